@@ -0,0 +1,226 @@
+/*
+  YourRecipe — servidor mock (desarrollo y pruebas)
+  ------------------------------------------------
+  Backend REST mínimo para el adaptador remoto de dataSdk (createRestAdapter en app.js).
+  Solo usa módulos de Node, sin dependencias.
+
+  Uso:
+    node _sdk/mock_server.js [--port 8787] [--data datos.json] [--latency 0]
+
+  - Sirve la app (index.html, recipe_scale.js, app.js, styles.css) en http://localhost:<port>/
+    y la API en http://localhost:<port>/api. Para que la app la use, en la consola del navegador:
+      localStorage.setItem('yourrecipe_api_url', 'http://localhost:8787/api'); location.reload();
+  - Sin --data los registros viven en memoria y se pierden al parar el servidor.
+  - --latency añade un retardo (ms) a cada respuesta de la API para probar estados de sincronización.
+  - require('./_sdk/mock_server.js') devuelve el http.Server sin arrancar (ver test/rest_adapter.test.js).
+
+  API:
+    GET    /api/records        -> 200 [registros]
+    GET    /api/records/:id    -> 200 registro | 404
+    PUT    /api/records/:id    -> 200 registro. Con If-Match: <rev>, 409 { error, current } si la
+                                  revisión guardada (rev) no coincide.
+    DELETE /api/records/:id    -> 204
+    DELETE /api/records        -> 405 (un cliente no puede borrar la colección entera)
+    POST   /api/login          -> 200 usuario | 401. Body { username, password }.
+
+  Credenciales y sesiones:
+  - Los usuarios se devuelven siempre sin password/passwordHash/passwordSalt/passwordIterations.
+    Se guardan al crear la cuenta; un PUT posterior del usuario (editar perfil) conserva las guardadas.
+    La contraseña se comprueba aquí, en /api/login (PBKDF2-SHA256, igual que hashPassword en app.js).
+  - Los registros 'session' son locales de cada navegador: se rechazan y nunca se listan.
+*/
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 20 * 1024 * 1024; // las fotos van en base64 dentro del registro
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(option('--port', process.env.PORT || 8787));
+const DATA_FILE = option('--data', null);
+const LATENCY_MS = Number(option('--latency', 0));
+
+const CREDENTIAL_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'passwordIterations'];
+const LOCAL_ONLY_TYPES = ['session'];
+const PASSWORD_ITERATIONS = 100000;
+
+// Registros por id. Si hay --data se cargan del fichero y se guardan tras cada escritura.
+const records = new Map();
+
+function loadRecords() {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+  try {
+    JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(record => records.set(record.id, record));
+  } catch (err) {
+    console.error(`No se pudo leer ${DATA_FILE}:`, err.message);
+  }
+}
+
+function saveRecords() {
+  if (!DATA_FILE) return;
+  fs.writeFileSync(DATA_FILE, JSON.stringify([...records.values()]));
+}
+
+// Lo que ve un cliente de un registro: los usuarios, sin credenciales.
+function publicRecord(record) {
+  if (!record || record.type !== 'user') return record;
+  const copy = { ...record };
+  CREDENTIAL_FIELDS.forEach(field => { delete copy[field]; });
+  return copy;
+}
+function isLocalOnly(record) {
+  return Boolean(record) && LOCAL_ONLY_TYPES.includes(record.type);
+}
+
+// Compara la contraseña con el hash PBKDF2 guardado (o con la contraseña en claro de cuentas antiguas).
+function verifyPassword(user, password) {
+  if (user.passwordHash && user.passwordSalt) {
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const hash = crypto.pbkdf2Sync(password, Buffer.from(user.passwordSalt, 'hex'), user.passwordIterations || PASSWORD_ITERATIONS, 32, 'sha256');
+    return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+  }
+  return typeof user.password === 'string' && user.password === password;
+}
+
+// Cuenta antigua con contraseña en claro: tras un login correcto se guarda su hash.
+// Las credenciales no forman parte de lo que ven los clientes, así que rev no cambia.
+function upgradePlainPassword(user, password) {
+  if (user.passwordHash) return;
+  const passwordSalt = crypto.randomBytes(16).toString('hex');
+  const passwordHash = crypto.pbkdf2Sync(password, Buffer.from(passwordSalt, 'hex'), PASSWORD_ITERATIONS, 32, 'sha256').toString('hex');
+  const { password: _plain, ...rest } = user;
+  records.set(user.id, { ...rest, passwordHash, passwordSalt, passwordIterations: PASSWORD_ITERATIONS });
+  saveRecords();
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, Accept'
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(Object.assign(new Error('payload_too_large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null')); }
+      catch { reject(Object.assign(new Error('invalid_json'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handleLogin(req, res) {
+  if (req.method !== 'POST') return send(res, 405, { error: 'method_not_allowed' });
+  const body = await readBody(req);
+  const username = typeof body?.username === 'string' ? body.username : '';
+  const password = typeof body?.password === 'string' ? body.password : '';
+  const user = [...records.values()].find(record => record.type === 'user' && record.username === username);
+  if (!user || !verifyPassword(user, password)) return send(res, 401, { error: 'invalid_credentials' });
+  upgradePlainPassword(user, password);
+  return send(res, 200, publicRecord(user));
+}
+
+async function handleApi(req, res, route) {
+  if (route === '/login') return handleLogin(req, res);
+  const match = route.match(/^\/records(?:\/([^/]+))?$/);
+  if (!match) return send(res, 404, { error: 'not_found' });
+  const id = match[1] ? decodeURIComponent(match[1]) : null;
+  const stored = id ? records.get(id) : null;
+  const visible = stored && !isLocalOnly(stored) ? stored : null;
+
+  if (req.method === 'GET' && !id) return send(res, 200, [...records.values()].filter(record => !isLocalOnly(record)).map(publicRecord));
+  if (req.method === 'GET') return visible ? send(res, 200, publicRecord(visible)) : send(res, 404, { error: 'not_found' });
+
+  if (req.method === 'PUT' && id) {
+    const record = await readBody(req);
+    if (!record || typeof record !== 'object' || record.id !== id) return send(res, 400, { error: 'invalid_record' });
+    if (isLocalOnly(record) || isLocalOnly(stored)) return send(res, 403, { error: 'local_only' });
+    const current = visible;
+    const expected = req.headers['if-match'];
+    if (expected !== undefined && Number(expected) !== (current?.rev || 0)) {
+      return send(res, 409, { error: 'conflict', current: publicRecord(current) });
+    }
+    // Las credenciales solo se fijan al crear la cuenta: después se conservan las guardadas.
+    if (record.type === 'user' && current) {
+      CREDENTIAL_FIELDS.forEach(field => {
+        delete record[field];
+        if (current[field] !== undefined) record[field] = current[field];
+      });
+    }
+    records.set(id, record);
+    saveRecords();
+    return send(res, 200, publicRecord(record));
+  }
+
+  if (req.method === 'DELETE' && id) {
+    if (isLocalOnly(stored)) return send(res, 403, { error: 'local_only' });
+    records.delete(id);
+    saveRecords();
+    return send(res, 204);
+  }
+
+  return send(res, 405, { error: 'method_not_allowed' });
+}
+
+// Archivos de la app. Solo se sirven los que están dentro de ROOT.
+function serveStatic(req, res, route) {
+  const file = path.resolve(ROOT, '.' + (route === '/' ? '/index.html' : route));
+  const type = STATIC_TYPES[path.extname(file)];
+  if (!file.startsWith(ROOT + path.sep) || !type) return send(res, 404, { error: 'not_found' });
+  fs.readFile(file, (err, content) => {
+    if (err) return send(res, 404, { error: 'not_found' });
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  let route;
+  try { route = decodeURI(new URL(req.url, 'http://localhost').pathname); }
+  catch { return send(res, 400, { error: 'invalid_url' }); }
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!route.startsWith('/api/')) return serveStatic(req, res, route);
+
+  if (LATENCY_MS) await new Promise(resolve => setTimeout(resolve, LATENCY_MS));
+  try {
+    await handleApi(req, res, route.slice('/api'.length));
+  } catch (err) {
+    send(res, err.status || 500, { error: err.message });
+  }
+});
+
+// Con require() (las pruebas) no se arranca: se exporta el servidor para escuchar en el puerto que se quiera.
+if (require.main === module) {
+  loadRecords();
+  server.listen(PORT, () => {
+    console.log(`YourRecipe mock server en http://localhost:${PORT}/ (API en /api, ${records.size} registros)`);
+  });
+}
+
+module.exports = server;
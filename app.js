@@ -1,38 +1,845 @@
 /*
   YourRecipe (SPA demo) — Comentarios extendidos
   ------------------------------------------------
-  Este archivo contiene:
-  - Un SDK de datos (dataSdk) que simula un backend usando localStorage.
+  Este archivo contiene, por secciones (// ===== nombre.js =====):
+  - Adaptadores de almacenamiento (window.storageAdapters): IndexedDB, localStorage y REST con cola
+    sin conexión (servidor de desarrollo en _sdk/mock_server.js).
+  - Esquemas y migraciones de registros (window.recordSchemas).
+  - Un SDK de datos (dataSdk) que simula un backend sobre uno de esos adaptadores: consultas, suscripciones
+    y sincronización entre pestañas.
   - Un SDK de configuración (elementSdk) para estilos/textos guardados en localStorage.
-  - Toda la lógica de UI: autenticación, timeline de recetas, perfil, búsqueda y mensajes.
-
-  Nota: solo se agregan comentarios extensos para documentación. No se modifica la lógica.
+  - Módulos sin DOM: modelo y búsqueda de recetas, despensa, lista de la compra, formatos de intercambio,
+    comentarios, avisos, reglas de privacidad (window.privacyRules: quién ve cada receta y cuenta),
+    orden del inicio, estadísticas y exportación de cuentas.
+  - Toda la lógica de UI: router por hash (ROUTER, #/...), autenticación, timeline de recetas, perfil,
+    búsqueda, despensa, planificador y mensajes.
+  - El escalado de raciones (window.recipeScale) vive aparte en recipe_scale.js, que index.html carga antes.
 */
 
-// ===== _sdk/data_sdk.js (mock localStorage) =====
+// ===== _sdk/storage_adapters.js (backends de persistencia para dataSdk) =====
+(function () {
+  /*
+    Interfaz de adaptador (todas las operaciones devuelven promesas):
+    - name: identificador del backend ('indexeddb' | 'localstorage' | 'rest').
+    - loadAll(): devuelve todos los registros guardados.
+    - get(id): un registro (o null), leído del almacenamiento (puede haberlo cambiado otra pestaña).
+    - put(record, expectedRev?): inserta o reemplaza por id. Si se indica expectedRev y la revisión
+      guardada (record.rev) es otra, no escribe y rechaza con StorageError('conflict').
+    - putMany(records): inserta o reemplaza varios sin comprobar revisiones.
+    - remove(id): elimina un registro.
+    - clear(): borra todo.
+    - authenticate(username, password) (opcional, solo el REST): comprueba la contraseña en el servidor.
+    Si el navegador se queda sin espacio, rechazan con StorageError('quota_exceeded').
+  */
+  class StorageError extends Error {
+    constructor(code, cause) {
+      super(code);
+      this.name = 'StorageError';
+      this.code = code;
+      this.cause = cause;
+    }
+  }
+
+  // Traduce las excepciones del navegador (DOMException de localStorage o IndexedDB) a StorageError.
+  function toStorageError(err) {
+    if (err instanceof StorageError) return err;
+    const isQuota = err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+    return new StorageError(isQuota ? 'quota_exceeded' : 'storage_error', err);
+  }
+
+  function revisionOf(record) { return record?.rev || 0; }
+
+  /*
+    Adaptador clásico: todo el array en una sola clave de localStorage (límite ~5 MB).
+    Cada escritura vuelve a leer la clave (otra pestaña pudo cambiarla) y la reescribe de una vez:
+    leer-comparar-escribir es síncrono, así que no se pisa con la otra pestaña.
+  */
+  function createLocalStorageAdapter(key) {
+    function read() {
+      try { return JSON.parse(localStorage.getItem(key) || '[]'); }
+      catch { return []; }
+    }
+    function write(next) {
+      try { localStorage.setItem(key, JSON.stringify(next)); }
+      catch (err) { throw toStorageError(err); }
+    }
+
+    return {
+      name: 'localstorage',
+      async loadAll() { return read(); },
+      async get(id) { return read().find(x => x.id === id) || null; },
+      async put(record, expectedRev) {
+        if (expectedRev !== undefined) {
+          const stored = read().find(x => x.id === record.id);
+          if (revisionOf(stored) !== expectedRev) throw new StorageError('conflict');
+        }
+        await this.putMany([record]);
+      },
+      async putMany(list) {
+        const next = read();
+        list.forEach(record => {
+          const i = next.findIndex(x => x.id === record.id);
+          if (i === -1) next.push(record); else next[i] = record;
+        });
+        write(next);
+      },
+      async remove(id) { write(read().filter(x => x.id !== id)); },
+      async clear() { write([]); }
+    };
+  }
+
+  /*
+    Adaptador IndexedDB: un registro por fila (object store 'records', clave 'id').
+    Las imágenes en base64 (data:image/...) se guardan como Blob, que ocupa ~25 % menos y
+    no cuenta como texto; al leer se vuelven a convertir en data URL para que la app no note el cambio.
+  */
+  const DB_NAME = 'yourrecipe';
+  const DB_VERSION = 1;
+  const STORE = 'records';
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('indexeddb_blocked'));
+    });
+  }
+
+  const IMAGE_DATA_URL = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+  // Data URL de imagen -> Blob. Si no es una data URL base64 válida de principio a fin, devuelve el texto.
+  function dataUrlToBlob(dataUrl) {
+    const match = IMAGE_DATA_URL.exec(dataUrl);
+    if (!match) return dataUrl;
+    let binary;
+    try { binary = atob(match[2]); }
+    catch { return dataUrl; }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: match[1] });
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Copia de 'value' con los campos indicados (si son texto) pasados a Blob.
+  function encodeFields(value, fields) {
+    const out = { ...value };
+    fields.forEach(field => { if (typeof out[field] === 'string') out[field] = dataUrlToBlob(out[field]); });
+    return out;
+  }
+
+  /*
+    Cambia por Blobs solo los campos que guardan fotos: recipeImage (también en cada revisión de
+    recipeRevisions), profilePhoto y photo de 'cooklog'. El resto del texto (mensajes, comentarios,
+    bio…) se guarda tal cual aunque empiece por "data:image/...".
+  */
+  function encodeImages(record) {
+    if (record.type === 'recipe') {
+      const out = encodeFields(record, ['recipeImage']);
+      if (Array.isArray(record.recipeRevisions)) {
+        out.recipeRevisions = record.recipeRevisions.map(rev => (rev && typeof rev === 'object' ? encodeFields(rev, ['recipeImage']) : rev));
+      }
+      return out;
+    }
+    if (record.type === 'user') return encodeFields(record, ['profilePhoto']);
+    if (record.type === 'cooklog') return encodeFields(record, ['photo']);
+    return record;
+  }
+
+  async function decodeImages(value) {
+    if (value instanceof Blob) return blobToDataUrl(value);
+    if (Array.isArray(value)) return Promise.all(value.map(decodeImages));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const k of Object.keys(value)) out[k] = await decodeImages(value[k]);
+      return out;
+    }
+    return value;
+  }
+
+  async function createIndexedDbAdapter() {
+    const db = await openDatabase();
+
+    // Ejecuta 'work' en una transacción y espera a que se confirme (o falle por cuota).
+    function transaction(mode, work) {
+      return new Promise((resolve, reject) => {
+        let tx;
+        try { tx = db.transaction(STORE, mode); }
+        catch (err) { reject(toStorageError(err)); return; }
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onabort = () => reject(toStorageError(tx.error));
+        tx.onerror = () => reject(toStorageError(tx.error));
+        try { result = work(tx.objectStore(STORE)); }
+        catch (err) { tx.abort(); reject(toStorageError(err)); }
+      });
+    }
+
+    return {
+      name: 'indexeddb',
+      async loadAll() {
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        const rows = await requestToPromise(store.getAll());
+        return Promise.all(rows.map(decodeImages));
+      },
+      async get(id) {
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        const row = await requestToPromise(store.get(id));
+        return row ? decodeImages(row) : null;
+      },
+      // La comprobación de revisión y la escritura van en la misma transacción (atómicas entre pestañas).
+      async put(record, expectedRev) {
+        const encoded = encodeImages(record);
+        let conflict = false;
+        await transaction('readwrite', store => {
+          if (expectedRev === undefined) { store.put(encoded); return; }
+          const check = store.get(record.id);
+          check.onsuccess = () => {
+            if (revisionOf(check.result) !== expectedRev) conflict = true;
+            else store.put(encoded);
+          };
+        });
+        if (conflict) throw new StorageError('conflict');
+      },
+      async putMany(list) {
+        const encoded = list.map(encodeImages);
+        await transaction('readwrite', store => encoded.forEach(record => store.put(record)));
+      },
+      async remove(id) { await transaction('readwrite', store => store.delete(id)); },
+      async clear() { await transaction('readwrite', store => store.clear()); }
+    };
+  }
+
+  /*
+    Adaptador REST: el servidor es la fuente de verdad y el adaptador local (IndexedDB/localStorage)
+    hace de caché, para poder leer y escribir sin conexión.
+    - API esperada (ver _sdk/mock_server.js): GET/PUT/DELETE {baseUrl}/records[/:id].
+      PUT con cabecera If-Match: <rev> responde 409 { current } si la revisión no coincide.
+    - Sin conexión (o con errores 5xx), las escrituras se guardan en la caché y en una cola
+      (outbox, en localStorage) que se reenvía al volver la conexión, con reintentos y espera
+      exponencial. Si al reenviar hay conflicto, gana la versión del servidor.
+    - Las sesiones (LOCAL_ONLY_TYPES) solo viven en la caché: su id es el token y no sale del navegador.
+    - clear() solo vacía la caché y la cola: un cliente no puede borrar la colección del servidor.
+    - El servidor no devuelve las credenciales de los usuarios (hash y salt): el login se comprueba
+      allí con authenticate(username, password) -> POST {baseUrl}/login.
+    - onStatus(status) informa del estado: { mode: 'remote', state: 'online' | 'offline' | 'syncing', pending }.
+    - onExternalChange(id) avisa de registros que cambiaron en la caché por el servidor.
+  */
+  const OUTBOX_KEY = 'yourrecipe_outbox';
+  const RETRY_BASE_MS = 1000;
+  const RETRY_MAX_MS = 60000;
+  const LOCAL_ONLY_TYPES = ['session'];
+
+  function isLocalOnly(record) { return Boolean(record) && LOCAL_ONLY_TYPES.includes(record.type); }
+
+  function createRestAdapter({ baseUrl, local }) {
+    const root = baseUrl.replace(/\/+$/, '');
+    let outbox = readOutbox();
+    let state = 'online';
+    let retryDelay = RETRY_BASE_MS;
+    let retryTimer = null;
+    let flushing = null;
+
+    function readOutbox() {
+      try { return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]'); }
+      catch { return []; }
+    }
+    function writeOutbox() {
+      try { localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox)); }
+      catch (err) { console.warn('No se pudo guardar la cola de sincronización', err); }
+    }
+
+    function setState(next) {
+      state = next;
+      adapter.onStatus && adapter.onStatus({ mode: 'remote', state, pending: outbox.length });
+    }
+
+    // Errores que se pueden reintentar más tarde (sin red o servidor caído).
+    function isTransient(err) {
+      return err?.code === 'offline' || err?.code === 'server_error';
+    }
+
+    async function request(method, path, { body, rev } = {}) {
+      const headers = { 'Accept': 'application/json' };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      if (rev !== undefined) headers['If-Match'] = String(rev);
+      let response;
+      try {
+        response = await fetch(root + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+      } catch (err) {
+        throw new StorageError('offline', err);
+      }
+      const payload = response.status === 204 ? null : await response.json().catch(() => null);
+      if (response.ok) return payload;
+      if (response.status === 409) {
+        const conflict = new StorageError('conflict');
+        conflict.current = payload?.current || null;
+        throw conflict;
+      }
+      if (response.status === 404 && method === 'DELETE') return null;
+      throw new StorageError(response.status >= 500 ? 'server_error' : 'remote_rejected', payload);
+    }
+
+    // Envía una operación. Los 'put' de la cola se leen de la caché en el momento del envío.
+    async function send(op, record) {
+      const path = `/records/${encodeURIComponent(op.id || '')}`;
+      if (op.op === 'clear') return null; // colas antiguas: el borrado total ya no se envía
+      if (op.op === 'remove') return request('DELETE', path);
+      const body = record || await local.get(op.id);
+      if (!body || isLocalOnly(body)) return null; // se borró después (habrá un 'remove' en la cola) o es local
+      return request('PUT', path, { body, rev: op.expectedRev });
+    }
+
+    // Gana el servidor: su versión reemplaza a la de la caché y se avisa a dataSdk.
+    async function acceptServerVersion(id, current) {
+      if (current) await local.putMany([current]);
+      else await local.remove(id);
+      adapter.onExternalChange && adapter.onExternalChange(id);
+    }
+
+    // Añade una operación a la cola, fusionándola con las pendientes del mismo registro.
+    function enqueue(op) {
+      if (op.op === 'remove') outbox = [...outbox.filter(x => x.id !== op.id), op];
+      else if (!outbox.some(x => x.op === 'put' && x.id === op.id)) outbox.push(op); // se conserva la rev base del primer 'put'
+      writeOutbox();
+      setState(state === 'syncing' ? 'syncing' : 'offline');
+      scheduleRetry();
+    }
+
+    function scheduleRetry() {
+      if (retryTimer) return;
+      retryTimer = setTimeout(() => { retryTimer = null; flush(); }, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+    }
+
+    // Reenvía la cola en orden; se detiene (y reprograma) al primer error transitorio.
+    function flush() {
+      if (flushing) return flushing;
+      flushing = (async () => {
+        outbox = readOutbox();
+        if (outbox.length) setState('syncing');
+        while (outbox.length) {
+          const op = outbox[0];
+          try {
+            await send(op);
+          } catch (err) {
+            if (isTransient(err)) { setState('offline'); scheduleRetry(); return false; }
+            if (err.code === 'conflict') await acceptServerVersion(op.id, err.current);
+            else console.warn('Cambio descartado por el servidor', op, err);
+          }
+          outbox.shift();
+          writeOutbox();
+        }
+        retryDelay = RETRY_BASE_MS;
+        setState('online');
+        return true;
+      })().finally(() => { flushing = null; });
+      return flushing;
+    }
+
+    // Intenta la operación en el servidor; si no hay conexión, la aplica en la caché y la encola.
+    async function write(op, applyLocally, record) {
+      if (outbox.length === 0) {
+        try {
+          await send(op, record);
+          await applyLocally(false);
+          if (state !== 'online') setState('online');
+          return;
+        } catch (err) {
+          if (err.code === 'conflict') { await acceptServerVersion(op.id, err.current); throw err; }
+          if (!isTransient(err)) throw err;
+        }
+      }
+      await applyLocally(true);
+      enqueue(op);
+    }
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => { retryDelay = RETRY_BASE_MS; flush(); });
+    }
+
+    const adapter = {
+      name: 'rest',
+      onStatus: null,
+      onExternalChange: null,
+      // Primero se reenvía lo pendiente; después la caché se rehace con lo que tiene el servidor.
+      async loadAll() {
+        const synced = await flush();
+        if (!synced) return local.loadAll();
+        try {
+          const remote = await request('GET', '/records');
+          const pendingIds = new Set(outbox.map(op => op.id));
+          // Se conservan las sesiones y lo que sigue en la cola; el resto se rehace con el servidor.
+          const kept = (await local.loadAll()).filter(record => isLocalOnly(record) || pendingIds.has(record.id));
+          await local.clear();
+          await local.putMany([...remote.filter(record => !pendingIds.has(record.id) && !isLocalOnly(record)), ...kept]);
+          setState('online');
+        } catch (err) {
+          if (!isTransient(err)) throw err;
+          setState('offline');
+          scheduleRetry();
+        }
+        return local.loadAll();
+      },
+      async get(id) { return local.get(id); },
+      async put(record, expectedRev) {
+        if (isLocalOnly(record)) { await local.put(record, expectedRev); return; }
+        // Sin conexión la revisión se comprueba contra la caché; el servidor vuelve a hacerlo al reenviar.
+        await write({ op: 'put', id: record.id, expectedRev }, queued => {
+          if (!queued) return local.putMany([record]);
+          return local.put(record, expectedRev);
+        }, record);
+      },
+      async putMany(list) {
+        for (const record of list) await this.put(record);
+      },
+      async remove(id) {
+        if (isLocalOnly(await local.get(id))) { await local.remove(id); return; }
+        await write({ op: 'remove', id }, () => local.remove(id));
+      },
+      async clear() {
+        outbox = [];
+        writeOutbox();
+        await local.clear();
+        setState(state);
+      },
+      // Comprueba usuario y contraseña en el servidor: devuelve el usuario (sin credenciales) o null.
+      async authenticate(username, password) {
+        try { return await request('POST', '/login', { body: { username, password } }); }
+        catch (err) {
+          if (err.code === 'remote_rejected') return null;
+          throw err;
+        }
+      },
+      status() { return { mode: 'remote', state, pending: outbox.length }; }
+    };
+    return adapter;
+  }
+
+  /*
+    Elige el backend. Por defecto todo es local: IndexedDB si existe y abre bien; si no
+    (navegación privada en algunos navegadores, entornos sin IndexedDB), localStorage.
+    Para usar un servidor se define la URL de su API antes de cargar la app, en
+    window.YOURRECIPE_API_URL o en localStorage ('yourrecipe_api_url'), p. ej. la del mock:
+      localStorage.setItem('yourrecipe_api_url', 'http://localhost:8787/api')
+  */
+  async function openLocalAdapter(localStorageKey) {
+    if (typeof indexedDB !== 'undefined') {
+      try { return await createIndexedDbAdapter(); }
+      catch (err) { console.warn('IndexedDB no disponible, se usa localStorage', err); }
+    }
+    return createLocalStorageAdapter(localStorageKey);
+  }
+
+  async function openBestAdapter(localStorageKey) {
+    const local = await openLocalAdapter(localStorageKey);
+    const apiUrl = window.YOURRECIPE_API_URL || localStorage.getItem('yourrecipe_api_url');
+    return apiUrl ? createRestAdapter({ baseUrl: apiUrl, local }) : local;
+  }
+
+  window.storageAdapters = { StorageError, createLocalStorageAdapter, createIndexedDbAdapter, createRestAdapter, openBestAdapter };
+})();
+
+// ===== _sdk/record_schemas.js (esquemas por tipo y migraciones de versión) =====
+(function () {
+  /*
+    Cada registro guarda la versión de esquema con la que se escribió (schemaVersion).
+    - SCHEMAS: campos por tipo. Los tipos sin esquema solo necesitan id y type.
+    - MIGRATIONS: pasos { version, up(record, context) } que llevan un registro de version-1 a version.
+      Los registros sin schemaVersion se consideran versión 1 (formato original).
+    up() puede lanzar un error si el registro está corrupto: dataSdk lo pone en cuarentena.
+    context (lo da dataSdk al cargar): userIdByName(username) y add(record) para crear registros
+    nuevos al partir uno antiguo (ya en el formato de esa versión).
+  */
+  const SCHEMA_VERSION = 3;
+
+  // Reglas de campo: { type, required, enum, minLength, items, oneOf }.
+  const ISO_DATE = { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}T/ };
+  const SCHEMAS = {
+    user: {
+      username: { type: 'string', required: true, minLength: 1 },
+      fullName: { type: 'string', required: true },
+      bio: { type: 'string' },
+      profilePhoto: { type: 'string' },
+      passwordHash: { type: 'string' },
+      passwordSalt: { type: 'string' },
+      passwordIterations: { type: 'number' },
+      // Privacidad de la cuenta (ver privacy_rules.js).
+      privateAccount: { type: 'boolean' },
+      hiddenFromSearch: { type: 'boolean' },
+      timestamp: ISO_DATE
+    },
+    recipe: {
+      recipeTitle: { type: 'string', required: true, minLength: 1 },
+      recipeDescription: { type: 'string' },
+      recipeIngredients: { oneOf: ['string', 'array'], required: true },
+      recipeSteps: { oneOf: ['string', 'array'], required: true },
+      // Emoji (sin foto) o foto como data URL.
+      recipeImage: { type: 'string', pattern: /^(data:image\/[\w.+-]+;base64,|[^\s<>"']{0,16}$)/u },
+      authorId: { type: 'string', required: true },
+      authorName: { type: 'string' },
+      likes: { type: 'number', required: true },
+      likedBy: { type: 'array', required: true, items: { type: 'string' } },
+      recipeRevisions: { type: 'array' },
+      // Sin campo = 'friends' (recetas anteriores a la visibilidad por receta).
+      visibility: { type: 'string', enum: ['public', 'friends', 'private'] },
+      timestamp: ISO_DATE
+    },
+    // Comentario de una receta; parentId apunta al comentario raíz si es una respuesta (un nivel).
+    comment: {
+      recipeId: { type: 'string', required: true },
+      authorId: { type: 'string', required: true },
+      parentId: { type: 'string' },
+      text: { type: 'string', required: true, minLength: 1 },
+      mentions: { type: 'array', items: { type: 'string' } },
+      likes: { type: 'number', required: true },
+      likedBy: { type: 'array', required: true, items: { type: 'string' } },
+      editedAt: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T/ },
+      timestamp: ISO_DATE
+    },
+    // Aviso de actividad para userId (ver notification_center.js).
+    notification: {
+      userId: { type: 'string', required: true },
+      actorId: { type: 'string', required: true },
+      kind: { type: 'string', required: true, enum: ['recipe_like', 'comment', 'reply', 'mention', 'comment_like', 'friend_request', 'friend_accepted', 'message'] },
+      read: { type: 'boolean', required: true },
+      excerpt: { type: 'string' },
+      timestamp: ISO_DATE
+    },
+    friendship: {
+      requesterId: { type: 'string', required: true },
+      receiverId: { type: 'string', required: true },
+      status: { type: 'string', required: true, enum: ['pending', 'accepted', 'declined'] },
+      timestamp: ISO_DATE
+    },
+    // Valoración de 1 a 5 estrellas: una por usuario y receta (id 'rating_<recipeId>_<userId>').
+    rating: {
+      recipeId: { type: 'string', required: true },
+      userId: { type: 'string', required: true },
+      stars: { type: 'number', required: true, enum: [1, 2, 3, 4, 5] },
+      timestamp: ISO_DATE
+    },
+    // "Lo cociné": una entrada cada vez que alguien cocina la receta, con notas y foto opcionales.
+    cooklog: {
+      recipeId: { type: 'string', required: true },
+      userId: { type: 'string', required: true },
+      notes: { type: 'string' },
+      photo: { type: 'string', pattern: /^data:image\/[\w.+-]+;base64,/ },
+      timestamp: ISO_DATE
+    },
+    message: {
+      fromUserId: { type: 'string', required: true },
+      toUserId: { type: 'string', required: true },
+      messageText: { type: 'string', required: true, minLength: 1 },
+      readAt: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T/ }, // cuando el destinatario abrió el chat
+      timestamp: ISO_DATE
+    }
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  // Comprueba un valor contra su regla; acumula los errores como 'ruta: motivo'.
+  function checkValue(path, value, rule, errors) {
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${path}: obligatorio`);
+      return;
+    }
+    const actual = typeOf(value);
+    const allowed = rule.oneOf || (rule.type ? [rule.type] : null);
+    if (allowed && !allowed.includes(actual)) { errors.push(`${path}: se esperaba ${allowed.join(' o ')}`); return; }
+    if (rule.enum && !rule.enum.includes(value)) errors.push(`${path}: valor no permitido`);
+    if (rule.minLength && String(value).trim().length < rule.minLength) errors.push(`${path}: vacío`);
+    if (rule.pattern && actual === 'string' && !rule.pattern.test(value)) errors.push(`${path}: formato no válido`);
+    if (rule.items && actual === 'array') value.forEach((item, i) => checkValue(`${path}[${i}]`, item, rule.items, errors));
+    if (rule.fields && actual === 'object') {
+      Object.keys(rule.fields).forEach(field => checkValue(`${path}.${field}`, value[field], rule.fields[field], errors));
+    }
+  }
+
+  // Valida un registro en el formato actual. Devuelve { ok, errors }.
+  function validateRecord(record) {
+    const errors = [];
+    if (typeOf(record) !== 'object') return { ok: false, errors: ['registro: no es un objeto'] };
+    if (typeof record.id !== 'string' || !record.id) errors.push('id: obligatorio');
+    if (typeof record.type !== 'string' || !record.type) errors.push('type: obligatorio');
+    const schema = SCHEMAS[record.type];
+    if (schema) Object.keys(schema).forEach(field => checkValue(field, record[field], schema[field], errors));
+    return { ok: errors.length === 0, errors };
+  }
+
+  const MIGRATIONS = [
+    {
+      // v2: likedBy deja de ser "id1,id2" y comments deja de ser JSON dentro de JSON.
+      version: 2,
+      up(record) {
+        if (record.type !== 'recipe') return record;
+        const likedBy = Array.isArray(record.likedBy)
+          ? record.likedBy
+          : String(record.likedBy || '').split(',').map(id => id.trim()).filter(Boolean);
+        let comments = record.comments ?? [];
+        if (typeof comments === 'string') comments = comments.trim() ? JSON.parse(comments) : []; // lanza si está corrupto
+        if (!Array.isArray(comments)) throw new Error('comments no es una lista');
+        const unique = [...new Set(likedBy)];
+        return { ...record, likedBy: unique, likes: unique.length, comments };
+      }
+    },
+    {
+      // v3: los comentarios salen de la receta a registros 'comment' propios (id, authorId).
+      // El autor se busca por username; si ya no existe queda como usuario eliminado ('u_deleted').
+      version: 3,
+      up(record, context) {
+        if (record.type !== 'recipe') return record;
+        const { comments, ...recipe } = record;
+        (Array.isArray(comments) ? comments : []).forEach((c, i) => {
+          if (!c || !String(c.text || '').trim()) return;
+          context.add({
+            id: `c_${record.id}_${i}`, type: 'comment', schemaVersion: 3,
+            recipeId: record.id, authorId: context.userIdByName(c.author) || 'u_deleted', parentId: null,
+            text: String(c.text), mentions: [], likes: 0, likedBy: [],
+            timestamp: c.timestamp || record.timestamp
+          });
+        });
+        return recipe;
+      }
+    }
+  ];
+
+  function recordVersion(record) {
+    return Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 1;
+  }
+
+  // Aplica las migraciones pendientes. Devuelve el registro en la versión actual (o lanza).
+  function migrateRecord(record, context = { userIdByName: () => null, add() {} }) {
+    let current = record;
+    MIGRATIONS.forEach(step => {
+      if (recordVersion(current) < step.version) current = { ...step.up(current, context), schemaVersion: step.version };
+    });
+    return recordVersion(current) === SCHEMA_VERSION ? current : { ...current, schemaVersion: SCHEMA_VERSION };
+  }
+
+  window.recordSchemas = { SCHEMA_VERSION, SCHEMAS, MIGRATIONS, validateRecord, migrateRecord, recordVersion };
+})();
+
+// ===== _sdk/data_sdk.js (mock de backend sobre un adaptador de almacenamiento) =====
 (function () {
-  const STORAGE_KEY = "yourrecipe_data";
-  let data = [];
+  const STORAGE_KEY = "yourrecipe_data"; // clave antigua (y del adaptador localStorage)
+  // Campos con índice secundario: valor -> Set de ids (ver candidateIds).
+  const INDEXED_FIELDS = ['type', 'authorId', 'fromUserId', 'toUserId', 'recipeId', 'userId'];
+  const data = new Map();
+  const indexes = new Map(INDEXED_FIELDS.map(field => [field, new Map()]));
   let subscribers = [];
-  // 'data' mantiene en memoria el estado persistido en localStorage.
-  // 'subscribers' son handlers con método onDataChanged para reactualizar la UI.
+  let querySubscriptions = [];
+  let adapter = null;
+  // 'data' mantiene en memoria el estado persistido por el adaptador (ver storage_adapters.js), por id.
+  // 'subscribers' son handlers con método onDataChanged(changes) para reactualizar la UI
+  // y, opcionalmente, onStorageError(error) para avisar de errores de almacenamiento.
+  // 'querySubscriptions' son las suscripciones de subscribe(query, callback).
+
+  function indexRecord(record) {
+    INDEXED_FIELDS.forEach(field => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+      const byValue = indexes.get(field);
+      if (!byValue.has(value)) byValue.set(value, new Set());
+      byValue.get(value).add(record.id);
+    });
+  }
+  function unindexRecord(record) {
+    INDEXED_FIELDS.forEach(field => {
+      const ids = indexes.get(field).get(record[field]);
+      if (!ids) return;
+      ids.delete(record.id);
+      if (ids.size === 0) indexes.get(field).delete(record[field]);
+    });
+  }
+  // Inserta o reemplaza en memoria y en los índices; devuelve la versión anterior (o null).
+  function putRecord(record) {
+    const previous = data.get(record.id) || null;
+    if (previous) unindexRecord(previous);
+    data.set(record.id, record);
+    indexRecord(record);
+    return previous;
+  }
+  function removeRecord(id) {
+    const previous = data.get(id) || null;
+    if (!previous) return null;
+    unindexRecord(previous);
+    data.delete(id);
+    return previous;
+  }
+
+  /*
+    Consultas
+    ---------
+    query = { where, filter, sort, offset, limit }
+    - where: { campo: valor } (igualdad), { campo: [v1, v2] } (cualquiera de los valores)
+      o un array de objetos así (OR entre ellos). Los campos indexados se resuelven sin recorrer todo.
+    - filter(record): condición extra libre.
+    - sort: { field, dir: 'asc' | 'desc' } o un array de ellos (desempate en orden).
+    - offset / limit: paginación sobre el resultado ordenado.
+  */
+  function matchesClause(clause, record) {
+    return Object.keys(clause).every(field => {
+      const expected = clause[field];
+      return Array.isArray(expected) ? expected.includes(record[field]) : record[field] === expected;
+    });
+  }
+  function matches(query, record) {
+    const where = query.where || {};
+    const ok = Array.isArray(where) ? where.some(clause => matchesClause(clause, record)) : matchesClause(where, record);
+    return ok && (!query.filter || query.filter(record));
+  }
+
+  // Ids candidatos según el índice más selectivo de la cláusula; null si no hay ninguno aplicable.
+  function clauseCandidates(clause) {
+    let best = null;
+    Object.keys(clause).forEach(field => {
+      if (!indexes.has(field)) return;
+      const values = Array.isArray(clause[field]) ? clause[field] : [clause[field]];
+      const sets = values.map(v => indexes.get(field).get(v)).filter(Boolean);
+      const size = sets.reduce((sum, set) => sum + set.size, 0);
+      if (!best || size < best.size) best = { sets, size };
+    });
+    return best;
+  }
+  function candidateIds(where) {
+    const clauses = Array.isArray(where) ? where : [where || {}];
+    const ids = new Set();
+    for (const clause of clauses) {
+      const best = clauseCandidates(clause);
+      if (!best) return null; // alguna rama no usa índices: se recorre todo
+      best.sets.forEach(set => set.forEach(id => ids.add(id)));
+    }
+    return ids;
+  }
+
+  function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : 1;
+  }
+  function sortRecords(records, sort) {
+    const keys = (Array.isArray(sort) ? sort : [sort]).map(k => typeof k === 'string' ? { field: k } : k);
+    return records.sort((a, b) => {
+      for (const { field, dir } of keys) {
+        const c = compareValues(a[field], b[field]);
+        if (c !== 0) return dir === 'desc' ? -c : c;
+      }
+      return 0;
+    });
+  }
+
+  function runQuery(query = {}) {
+    const ids = candidateIds(query.where);
+    const source = ids ? [...ids].map(id => data.get(id)) : [...data.values()];
+    let results = source.filter(record => matches(query, record));
+    if (query.sort) results = sortRecords(results, query.sort);
+    const offset = query.offset || 0;
+    if (offset || query.limit !== undefined) results = results.slice(offset, query.limit !== undefined ? offset + query.limit : undefined);
+    return results;
+  }
 
-  // Lee y parsea la colección desde localStorage.
-  function load() {
-    try { data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]"); }
-    catch { data = []; }
+  // Aplica un cambio de un registro (before -> after) a cada suscripción y le envía su diff.
+  function diffFor(query, changes) {
+    const diff = { added: [], updated: [], removed: [] };
+    changes.forEach(({ before, after }) => {
+      const was = Boolean(before) && matches(query, before);
+      const is = Boolean(after) && matches(query, after);
+      if (!was && is) diff.added.push(after);
+      else if (was && is) diff.updated.push(after);
+      else if (was && !is) diff.removed.push(before.id);
+    });
+    return diff;
+  }
+
+  // Notifica los cambios: los handlers de init reciben todos; las suscripciones, solo lo que les afecta.
+  function notify(changes = []) {
+    querySubscriptions.forEach(sub => {
+      const diff = diffFor(sub.query, changes);
+      if (diff.added.length || diff.updated.length || diff.removed.length) sub.callback(diff);
+    });
+    const all = diffFor({}, changes);
+    subscribers.forEach(h => h?.onDataChanged && h.onDataChanged(all));
+  }
+  function notifyError(error) { subscribers.forEach(h => h?.onStorageError && h.onStorageError(error)); }
+
+  // Estado de sincronización con el servidor (solo con el adaptador REST; en local es { mode: 'local' }).
+  let syncStatus = { mode: 'local' };
+  function notifySyncStatus(status) {
+    syncStatus = status;
+    subscribers.forEach(h => h?.onSyncStatus && h.onSyncStatus(status));
+  }
+
+  // Ejecuta una escritura del adaptador y la traduce al formato { isOk, error } de la API.
+  async function persist(write) {
+    try {
+      await write();
+      return { isOk: true };
+    } catch (err) {
+      const error = err?.code || 'storage_error';
+      if (error === 'conflict') return { isOk: false, error };
+      console.error('dataSdk: error de almacenamiento', err);
+      notifyError(error);
+      return { isOk: false, error };
+    }
+  }
+
+  // Migración única: copia el array de la clave antigua de localStorage al adaptador nuevo y la borra.
+  async function migrateFromLocalStorage() {
+    if (adapter.name !== 'indexeddb') return; // en localStorage (o su caché REST) la clave antigua es la actual
+    let legacy;
+    try { legacy = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'); }
+    catch { legacy = null; }
+    if (!Array.isArray(legacy)) return;
+
+    const missing = legacy.filter(x => x && x.id && !data.has(x.id));
+    if (missing.length) {
+      await adapter.putMany(missing);
+      missing.forEach(putRecord);
+    }
+    // Solo se borra la clave cuando los registros ya están a salvo en el adaptador nuevo.
+    localStorage.removeItem(STORAGE_KEY);
   }
-  // Persiste el array completo en localStorage.
-  function save() { localStorage.setItem(STORAGE_KEY, JSON.stringify(data)); }
-  // Notifica a los suscriptores con una copia para evitar mutaciones accidentales.
-  function notify() { subscribers.forEach(h => h?.onDataChanged && h.onDataChanged([...data])); }
 
   // Inserta datos de ejemplo si no hay nada guardado (demo/primera carga).
-  function seedIfEmpty() {
-    if (data.length > 0) return;
+  async function seedIfEmpty() {
+    if (data.size > 0) return;
     const now = new Date().toISOString();
-    const u1 = { id: "u_demo", type: "user", username: "demo", password: "demo", fullName: "Cuenta Demo", bio: "Amante de la cocina 👨‍🍳", profilePhoto: "", timestamp: now };
-    const u2 = { id: "u_ana", type: "user", username: "ana", password: "ana", fullName: "Ana Chef", bio: "Pasta lover 🍝", profilePhoto: "", timestamp: now };
+    // Contraseñas de demo ("demo" / "ana") ya derivadas con PBKDF2-SHA256 (ver hashPassword).
+    const u1 = {
+      id: "u_demo", type: "user", username: "demo", fullName: "Cuenta Demo", bio: "Amante de la cocina 👨‍🍳", profilePhoto: "", timestamp: now,
+      passwordSalt: "7f3a9c1e5b2d4f6a8c0e1b3d5f7a9c2e", passwordIterations: 100000,
+      passwordHash: "1eacffe3c15a5ee999ca292561bacc7732b16a47769705b300cdf8fdb5aa399c"
+    };
+    const u2 = {
+      id: "u_ana", type: "user", username: "ana", fullName: "Ana Chef", bio: "Pasta lover 🍝", profilePhoto: "", timestamp: now,
+      passwordSalt: "4b8d2f6a0c4e8b2d6f0a4c8e2b6d0f4a", passwordIterations: 100000,
+      passwordHash: "cf62dbf766a159d82a3b41c5344afc30c604a7dd02edcd80914e23636b22561b"
+    };
     const f1 = { id: "f1", type: "friendship", requesterId: "u_demo", receiverId: "u_ana", status: "accepted", timestamp: now };
     const r1 = {
       id: "r1", type: "recipe",
@@ -42,53 +849,283 @@
       recipeSteps: "Tostar el pan\nAplastar aguacate\nSazonar y servir",
       recipeImage: "🥑",
       authorId: "u_ana", authorName: "ana",
-      likes: 1, likedBy: "u_demo",
-      comments: JSON.stringify([{ author: "demo", text: "¡Brutal!", timestamp: now }]),
+      likes: 1, likedBy: ["u_demo"],
       timestamp: now
     };
-    data.push(u1, u2, f1, r1);
-    save();
+    const c1 = {
+      id: "c1", type: "comment", recipeId: "r1", authorId: "u_demo", parentId: null,
+      text: "¡Brutal!", mentions: [], likes: 0, likedBy: [], timestamp: now
+    };
+    const seed = [u1, u2, f1, r1, c1].map(stamp);
+    await adapter.putMany(seed);
+    seed.forEach(putRecord);
+  }
+
+  /*
+    Sincronización entre pestañas
+    -----------------------------
+    Cada escritura confirmada se anuncia como { op: 'put' | 'remove' | 'reset', id } por
+    BroadcastChannel (o, si no existe, con el evento 'storage' de una clave auxiliar).
+    Las demás pestañas releen ese registro del adaptador y lo aplican solo si su revisión es
+    más nueva que la que tienen en memoria; así pasan por notify() como un cambio local.
+  */
+  const SYNC_CHANNEL = 'yourrecipe_sync';
+  let channel = null;
+
+  function revisionOf(record) { return record?.rev || 0; }
+
+  function broadcast(message) {
+    if (channel) { channel.postMessage(message); return; }
+    try { localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ ...message, nonce: Math.random() })); }
+    catch { /* sin espacio: las otras pestañas verán el cambio al recargar */ }
+  }
+
+  // Relee un registro del adaptador y actualiza la memoria si cambió; devuelve el cambio aplicado.
+  // force: aplica la versión guardada aunque no sea más nueva (conflicto resuelto por el servidor).
+  async function refreshRecord(id, force = false) {
+    const stored = await adapter.get(id);
+    const local = data.get(id) || null;
+    if (stored) {
+      if (local && !force && revisionOf(local) >= revisionOf(stored)) return null;
+      putRecord(stored);
+      return { before: local, after: stored };
+    }
+    if (!local) return null;
+    removeRecord(id);
+    return { before: local, after: null };
+  }
+
+  async function applyRemoteChange(message) {
+    await ready;
+    if (message?.op === 'reset') {
+      const stored = await adapter.loadAll();
+      const changes = [...data.values()].map(before => ({ before, after: null }));
+      [...data.keys()].forEach(removeRecord);
+      stored.forEach(record => { putRecord(record); changes.push({ before: null, after: record }); });
+      notify(changes);
+      return;
+    }
+    if (!message?.id) return;
+    const change = await refreshRecord(message.id, message.force);
+    if (change) notify([change]);
+  }
+
+  function listenToOtherTabs() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(SYNC_CHANNEL);
+      channel.onmessage = (e) => applyRemoteChange(e.data);
+      return;
+    }
+    window.addEventListener('storage', (e) => {
+      if (e.key !== SYNC_CHANNEL || !e.newValue) return;
+      try { applyRemoteChange(JSON.parse(e.newValue)); } catch { /* mensaje ilegible: se ignora */ }
+    });
+  }
+
+  // Marca el registro con la versión de esquema actual.
+  function stamp(record) {
+    return { ...record, schemaVersion: window.recordSchemas.SCHEMA_VERSION };
+  }
+
+  /*
+    Migraciones al cargar: cada registro antiguo se sube a la versión actual y se vuelve a guardar.
+    Si una migración falla o el resultado no cumple el esquema, el registro no se carga:
+    se guarda aparte como { type: 'quarantine', original, reason } para poder revisarlo.
+    Los registros que crea una migración (context.add) se validan igual y solo se guardan si
+    el registro de origen migró bien.
+  */
+  async function upgradeRecords() {
+    const { SCHEMA_VERSION, migrateRecord, validateRecord, recordVersion } = window.recordSchemas;
+    const userIds = new Map([...data.values()].filter(r => r.type === 'user').map(u => [u.username, u.id]));
+    const upgraded = [];
+    const quarantined = [];
+    [...data.values()].forEach(record => {
+      if (record.type === 'quarantine') return;
+      let next = record;
+      let reason = null;
+      const added = [];
+      try {
+        if (recordVersion(record) < SCHEMA_VERSION) {
+          next = migrateRecord(record, { userIdByName: name => userIds.get(name) || null, add: extra => added.push(extra) });
+        }
+        const errors = [next, ...added].flatMap(r => validateRecord(r).errors.map(e => (r === next ? e : `${r.id}.${e}`)));
+        if (errors.length) reason = errors.join('; ');
+      } catch (err) {
+        reason = `migración fallida: ${err.message}`;
+      }
+      if (reason) quarantined.push({ record, reason });
+      else if (next !== record) upgraded.push(next, ...added.filter(r => !data.has(r.id)));
+    });
+
+    if (upgraded.length) {
+      await adapter.putMany(upgraded);
+      upgraded.forEach(putRecord);
+    }
+    for (const { record, reason } of quarantined) {
+      const entry = { id: `quarantine_${record.id}`, type: 'quarantine', original: record, reason, quarantinedAt: new Date().toISOString() };
+      console.warn('dataSdk: registro en cuarentena', record.id, reason);
+      await adapter.put(entry);
+      await adapter.remove(record.id);
+      removeRecord(record.id);
+      putRecord(entry);
+    }
   }
 
-  load();
-  seedIfEmpty();
+  // Carga inicial (asíncrona): todas las operaciones esperan a que termine.
+  const ready = (async () => {
+    adapter = await window.storageAdapters.openBestAdapter(STORAGE_KEY);
+    adapter.onStatus = notifySyncStatus;
+    // El servidor ganó un conflicto: se aplica su versión y se avisa a las otras pestañas.
+    adapter.onExternalChange = (id) => {
+      applyRemoteChange({ op: 'put', id, force: true });
+      broadcast({ op: 'put', id, force: true });
+    };
+    (await adapter.loadAll()).forEach(record => { if (record && record.id) putRecord(record); });
+    await migrateFromLocalStorage();
+    await upgradeRecords();
+    await seedIfEmpty();
+    listenToOtherTabs();
+  })();
+
+  // Valida contra el esquema antes de escribir; devuelve el error de la API o null.
+  function invalid(record) {
+    const check = window.recordSchemas.validateRecord(record);
+    if (check.ok) return null;
+    console.warn('dataSdk: registro no válido', record?.id, check.errors);
+    return { isOk: false, error: 'invalid_record', details: check.errors };
+  }
 
   /*
     API pública: dataSdk
     --------------------
     - init(handler): registra un suscriptor (opcional) y emite el estado actual.
-    - create(obj): agrega un objeto y persiste.
-    - update(obj): reemplaza por id y persiste.
+      handler.onDataChanged(changes) recibe { added, updated, removed } de cada escritura;
+      handler.onSyncStatus(status) el estado de sincronización con el servidor (ver createRestAdapter).
+    - create(obj): agrega un objeto (con rev = 1) y persiste.
+    - update(obj): reemplaza por id y persiste. obj.rev debe ser la revisión que se leyó:
+      si otra pestaña escribió antes, devuelve { isOk: false, error: 'conflict', current }.
+    - modify(id, fn): update sin conflictos para cambios que se pueden recalcular (likes,
+      comentarios): aplica fn(registro más reciente) y reintenta si otra pestaña se adelantó.
     - delete(id): elimina por id y persiste.
-    - reset(): limpia toda la colección y persiste.
+    - reset(): limpia toda la colección y persiste (con servidor, solo la caché local).
+    - authenticate(username, password): con servidor, comprueba allí la contraseña (los usuarios
+      llegan sin hash ni salt) y devuelve { isOk, user } o { isOk: false, error: 'invalid_credentials'
+      | 'offline' | ... }. En local devuelve { isOk: false, error: 'unsupported' }: se comprueba en la app.
+    - get(id): registro por id (o null).
+    - query(q) / count(q): consulta síncrona sobre el estado en memoria (ver "Consultas").
+    - subscribe(q, callback): avisa con { added, updated, removed } (ids) cada vez que cambian
+      los registros que cumplen q.where/q.filter; devuelve la función para cancelar.
+      sort/limit no se aplican a los diffs: el suscriptor ordena lo que recibe.
+    create/update validan el registro (ver record_schemas.js) y le ponen schemaVersion.
+    Si la escritura falla, la memoria no cambia y se devuelve { isOk: false, error }
+    con error 'invalid_record' (+ details), 'quota_exceeded' (sin espacio), 'remote_rejected'
+    (el servidor no aceptó el cambio) o 'storage_error'.
+    Los registros devueltos son los de memoria: no mutarlos, usar update() con una copia.
   */
   window.dataSdk = {
     async init(handler) {
+      try { await ready; }
+      catch (err) { console.error('dataSdk: no se pudo cargar el almacenamiento', err); return { isOk: false, error: 'storage_error' }; }
       if (handler && !subscribers.includes(handler)) subscribers.push(handler);
-      notify();
+      handler?.onDataChanged && handler.onDataChanged({ added: [...data.values()], updated: [], removed: [] });
+      handler?.onSyncStatus && handler.onSyncStatus(syncStatus);
       return { isOk: true };
     },
-    async create(obj) {
-      data.push(obj);
-      save(); notify();
+    async create(input) {
+      await ready;
+      const obj = stamp({ ...input, rev: 1 });
+      const rejected = invalid(obj);
+      if (rejected) return rejected;
+      const result = await persist(() => adapter.put(obj));
+      if (!result.isOk) return result;
+      const before = putRecord(obj);
+      notify([{ before, after: obj }]);
+      broadcast({ op: 'put', id: obj.id });
       return { isOk: true, data: obj };
     },
-    async update(obj) {
-      const i = data.findIndex(x => x.id === obj.id);
-      if (i === -1) return { isOk: false, error: "not_found" };
-      data[i] = obj;
-      save(); notify();
+    async update(input) {
+      await ready;
+      const current = data.get(input?.id);
+      if (!current) return { isOk: false, error: "not_found" };
+      const expectedRev = revisionOf(input);
+      if (expectedRev !== revisionOf(current)) return { isOk: false, error: 'conflict', current };
+      const obj = stamp({ ...input, rev: expectedRev + 1 });
+      const rejected = invalid(obj);
+      if (rejected) return rejected;
+      const result = await persist(() => adapter.put(obj, expectedRev));
+      if (!result.isOk) {
+        if (result.error !== 'conflict') return result;
+        // Otra pestaña escribió antes: se trae su versión para que el llamador pueda reintentar.
+        const change = await refreshRecord(obj.id);
+        if (change) notify([change]);
+        return { ...result, current: data.get(obj.id) || null };
+      }
+      // putRecord también cubre el caso de que otra operación lo borrara mientras se escribía.
+      const before = putRecord(obj);
+      notify([{ before, after: obj }]);
+      broadcast({ op: 'put', id: obj.id });
       return { isOk: true };
     },
+    async modify(id, fn, attempts = 3) {
+      await ready;
+      for (let i = 0; i < attempts; i++) {
+        const current = data.get(id);
+        if (!current) return { isOk: false, error: "not_found" };
+        const next = fn(current);
+        if (!next) return { isOk: true }; // nada que cambiar
+        const result = await this.update({ ...next, id, rev: revisionOf(current) });
+        if (result.error !== 'conflict') return result;
+      }
+      return { isOk: false, error: 'conflict' };
+    },
     async delete(id) {
-      const before = data.length;
-      data = data.filter(x => x.id !== id);
-      save(); notify();
-      return { isOk: data.length !== before };
+      await ready;
+      if (!data.has(id)) return { isOk: false };
+      const result = await persist(() => adapter.remove(id));
+      if (!result.isOk) return result;
+      const before = removeRecord(id);
+      notify(before ? [{ before, after: null }] : []);
+      broadcast({ op: 'remove', id });
+      return { isOk: true };
     },
     async reset() {
-      data = []; save(); notify();
+      await ready;
+      const result = await persist(() => adapter.clear());
+      if (!result.isOk) return result;
+      const changes = [...data.values()].map(before => ({ before, after: null }));
+      [...data.keys()].forEach(removeRecord);
+      notify(changes);
+      broadcast({ op: 'reset' });
       return { isOk: true };
+    },
+    async authenticate(username, password) {
+      await ready;
+      if (!adapter.authenticate) return { isOk: false, error: 'unsupported' };
+      try {
+        const user = await adapter.authenticate(username, password);
+        return user ? { isOk: true, user } : { isOk: false, error: 'invalid_credentials' };
+      } catch (err) {
+        return { isOk: false, error: err?.code || 'storage_error' };
+      }
+    },
+    get(id) {
+      return data.get(id) || null;
+    },
+    query(q) {
+      return runQuery(q);
+    },
+    count(q = {}) {
+      return runQuery({ where: q.where, filter: q.filter }).length;
+    },
+    subscribe(q, callback) {
+      const sub = { query: { where: q?.where, filter: q?.filter }, callback };
+      querySubscriptions.push(sub);
+      ready.then(() => {
+        if (!querySubscriptions.includes(sub)) return;
+        const current = runQuery(sub.query);
+        if (current.length) callback({ added: current, updated: [], removed: [] });
+      });
+      return () => { querySubscriptions = querySubscriptions.filter(x => x !== sub); };
     }
   };
 })();
@@ -132,657 +1169,4486 @@
   };
 })();
 
-// ======= APP LOGIC (UI) =======
+// ===== recipe_model.js (modelo estructurado de recetas, sin DOM) =====
+(function () {
+  // Unidades reconocidas al leer texto libre -> forma canónica guardada en la receta.
+  const UNIT_ALIASES = {
+    g: "g", gr: "g", grs: "g", gramo: "g", gramos: "g",
+    kg: "kg", kilo: "kg", kilos: "kg", kilogramo: "kg", kilogramos: "kg",
+    mg: "mg",
+    ml: "ml", mililitro: "ml", mililitros: "ml",
+    cl: "cl",
+    l: "l", lt: "l", litro: "l", litros: "l",
+    taza: "taza", tazas: "taza", cup: "taza", cups: "taza",
+    cda: "cda", cdas: "cda", cucharada: "cda", cucharadas: "cda", tbsp: "cda",
+    cdta: "cdta", cdtas: "cdta", cucharadita: "cdta", cucharaditas: "cdta", tsp: "cdta",
+    pizca: "pizca", pizcas: "pizca",
+    diente: "diente", dientes: "diente",
+    lata: "lata", latas: "lata",
+    rebanada: "rebanada", rebanadas: "rebanada",
+    unidad: "ud", unidades: "ud", ud: "ud", uds: "ud",
+    oz: "oz", onza: "oz", onzas: "oz",
+    lb: "lb", libra: "lb", libras: "lb",
+    "fl oz": "fl oz"
+  };
+  const UNICODE_FRACTIONS = { "½": 0.5, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 0.25, "¾": 0.75, "⅛": 0.125 };
+  // Unidades con nombre (se pluralizan y llevan "de") vs. abreviaturas métricas (se muestran con decimales).
+  const UNIT_PLURALS = { taza: "tazas", pizca: "pizcas", diente: "dientes", lata: "latas", rebanada: "rebanadas" };
+  const DECIMAL_UNITS = ["g", "kg", "mg", "ml", "cl", "l"];
+  const DIFFICULTIES = ["facil", "media", "dificil"];
 
-// Global state: estado mínimo compartido entre pantallas.
-let allData = [];
-let currentUser = null;
-let currentPage = 'auth';
-let selectedChatUser = null;
+  /*
+    Convierte una cantidad escrita a número:
+    "2" -> 2, "1,5" -> 1.5, "1/2" -> 0.5, "1 1/2" -> 1.5, "½" -> 0.5, "1½" -> 1.5.
+    Devuelve null si el texto no es una cantidad.
+  */
+  function parseQuantity(text) {
+    if (typeof text === "number") return Number.isFinite(text) ? text : null;
+    let str = String(text || "").trim();
+    if (!str) return null;
 
-// Default config
-// Default config: textos, colores y tipografías por defecto usados por elementSdk.
-const defaultConfig = {
-  app_title: 'YourRecipe',
-  app_tagline: 'Comparte tus recetas favoritas',
-  welcome_message: 'Bienvenido a YourRecipe',
-  login_button_text: 'Iniciar Sesión',
-  register_button_text: 'Registrarse',
-  timeline_title: 'Recetas de tus Amigos',
-  search_placeholder: 'Buscar usuarios...',
-  background_color: '#fafafa',
-  surface_color: '#ffffff',
-  text_color: '#262626',
-  primary_action_color: '#0095f6',
-  secondary_action_color: '#dbdbdb',
-  font_family: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
-  font_size: 14
-};
+    let extra = 0;
+    const last = str.slice(-1);
+    if (UNICODE_FRACTIONS[last] !== undefined) {
+      extra = UNICODE_FRACTIONS[last];
+      str = str.slice(0, -1).trim();
+      if (!str) return extra;
+    }
 
-// Data handler
-// Data handler: suscriptor de dataSdk para refrescar vistas al cambiar los datos.
-const dataHandler = {
-  onDataChanged(data) {
-    allData = data;
-    if (currentPage === 'timeline') renderTimeline();
-    else if (currentPage === 'profile') renderProfile();
-    else if (currentPage === 'search') renderSearchResults();
-    else if (currentPage === 'messages') {
+    let m = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (m && Number(m[3]) !== 0) return Number(m[1]) + Number(m[2]) / Number(m[3]) + extra;
+    m = str.match(/^(\d+)\/(\d+)$/);
+    if (m && Number(m[2]) !== 0) return Number(m[1]) / Number(m[2]) + extra;
+    m = str.match(/^\d+(?:[.,]\d+)?$/);
+    if (m) return Number(str.replace(",", ".")) + extra;
+    return null;
+  }
+
+  // Normaliza una unidad escrita ("Cucharadas" -> "cda"); las desconocidas se guardan tal cual.
+  function normalizeUnit(unit) {
+    const key = String(unit || "").trim().toLowerCase().replace(/\.$/, "");
+    return UNIT_ALIASES[key] || key;
+  }
+
+  /*
+    Interpreta una línea de ingrediente en texto libre (mejor esfuerzo):
+    "200 g de harina" -> { quantity: 200, unit: "g", name: "harina" }
+    "1 1/2 tazas leche" -> { quantity: 1.5, unit: "taza", name: "leche" }
+    "Sal al gusto" -> { quantity: null, unit: "", name: "Sal al gusto" }
+  */
+  function parseIngredientLine(line) {
+    const text = String(line || "").trim().replace(/^[-•*]\s*/, "");
+    const m = text.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?\s*[½⅓⅔¼¾⅛]?|[½⅓⅔¼¾⅛])\s*(.*)$/);
+    if (!m) return { quantity: null, unit: "", name: text };
+
+    const quantity = parseQuantity(m[1].replace(/\s+(?=[½⅓⅔¼¾⅛])/, ""));
+    let rest = m[2].trim();
+    let unit = "";
+
+    const words = rest.split(/\s+/);
+    const twoWords = words.slice(0, 2).join(" ").toLowerCase();
+    if (UNIT_ALIASES[twoWords]) { unit = UNIT_ALIASES[twoWords]; rest = words.slice(2).join(" "); }
+    else if (UNIT_ALIASES[words[0].toLowerCase().replace(/\.$/, "")]) { unit = normalizeUnit(words[0]); rest = words.slice(1).join(" "); }
+
+    rest = rest.replace(/^de\s+/i, "").trim();
+    return { quantity, unit, name: rest || text };
+  }
+
+  // Texto libre de ingredientes (uno por línea) -> filas estructuradas.
+  function parseIngredientsText(text) {
+    return String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(parseIngredientLine);
+  }
+
+  // Texto libre de pasos -> lista ordenada (quita numeraciones "1." / "2)" / viñetas).
+  function parseStepsText(text) {
+    return String(text || "").split(/\r?\n/)
+      .map(l => l.trim().replace(/^(\d+[.)]|[-•*])\s+/, ""))
+      .filter(Boolean);
+  }
+
+  // Acepta filas ya estructuradas o texto libre y devuelve siempre filas válidas.
+  function normalizeIngredients(value) {
+    if (typeof value === "string") return parseIngredientsText(value);
+    if (!Array.isArray(value)) return [];
+    return value
+      .map(row => typeof row === "string" ? parseIngredientLine(row) : {
+        quantity: parseQuantity(row?.quantity),
+        unit: normalizeUnit(row?.unit),
+        name: String(row?.name || "").trim()
+      })
+      .filter(row => row.name);
+  }
+  function normalizeSteps(value) {
+    if (typeof value === "string") return parseStepsText(value);
+    if (!Array.isArray(value)) return [];
+    return value.map(step => String(step || "").trim()).filter(Boolean);
+  }
+  function toPositiveNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /*
+    Devuelve una copia de la receta con el modelo estructurado garantizado:
+    - recipeIngredients: [{ quantity, unit, name }]
+    - recipeSteps: [string]
+    - recipeServings, recipePrepTime, recipeCookTime (minutos): número o null
+    - recipeDifficulty: 'facil' | 'media' | 'dificil' | ''
+    Las recetas antiguas (texto libre) se actualizan aquí con el parser.
+  */
+  function normalizeRecipe(recipe) {
+    return {
+      ...recipe,
+      recipeIngredients: normalizeIngredients(recipe.recipeIngredients),
+      recipeSteps: normalizeSteps(recipe.recipeSteps),
+      recipeServings: toPositiveNumber(recipe.recipeServings),
+      recipePrepTime: toPositiveNumber(recipe.recipePrepTime),
+      recipeCookTime: toPositiveNumber(recipe.recipeCookTime),
+      recipeDifficulty: DIFFICULTIES.includes(recipe.recipeDifficulty) ? recipe.recipeDifficulty : ""
+    };
+  }
+
+  /*
+    Número -> texto de cocina: 0.5 -> "1/2", 1.25 -> "1 1/4", 2.333 -> "2 1/3", 0.7 -> "0,7".
+    Con unidades métricas se usan siempre decimales (1.5 kg -> "1,5").
+  */
+  function formatQuantity(n, unit = "") {
+    if (n === null || n === undefined || !Number.isFinite(n)) return "";
+    if (DECIMAL_UNITS.includes(unit)) return String(Math.round(n * 100) / 100).replace(".", ",");
+    const whole = Math.floor(n);
+    const frac = n - whole;
+    const fractions = [[0, ""], [1 / 8, "1/8"], [1 / 4, "1/4"], [1 / 3, "1/3"], [1 / 2, "1/2"], [2 / 3, "2/3"], [3 / 4, "3/4"], [1, ""]];
+    for (const [value, label] of fractions) {
+      if (Math.abs(frac - value) < 0.02) {
+        const w = value === 1 ? whole + 1 : whole;
+        if (!label) return String(w);
+        return w ? `${w} ${label}` : label;
+      }
+    }
+    return String(Math.round(n * 100) / 100).replace(".", ",");
+  }
+
+  // Unidad para mostrar según la cantidad ("taza" -> "tazas" si hay más de una).
+  function formatUnit(unit, quantity) {
+    return quantity > 1 && UNIT_PLURALS[unit] ? UNIT_PLURALS[unit] : (unit || "");
+  }
+
+  // Fila -> { amount: "3 dientes", name: "de ajo" } para poder resaltar la cantidad.
+  function formatIngredientParts(row) {
+    const unit = formatUnit(row.unit, row.quantity);
+    const amount = [formatQuantity(row.quantity, row.unit), unit].filter(Boolean).join(" ");
+    const name = unit && UNIT_PLURALS[row.unit] ? `de ${row.name}` : row.name;
+    return { amount, name };
+  }
+
+  // Fila -> texto legible ("200 g harina", "1/2 taza de leche", "3 dientes de ajo", "Sal").
+  function formatIngredient(row) {
+    const { amount, name } = formatIngredientParts(row);
+    return [amount, name].filter(Boolean).join(" ");
+  }
+
+  /*
+    API pública: recipeModel
+    ------------------------
+    - parseQuantity / parseIngredientLine / parseIngredientsText / parseStepsText: lectura de texto libre.
+    - normalizeRecipe(recipe): copia con ingredientes/pasos/metadatos estructurados.
+    - formatQuantity / formatUnit / formatIngredientParts / formatIngredient: presentación.
+  */
+  window.recipeModel = {
+    UNIT_ALIASES, DIFFICULTIES,
+    parseQuantity, normalizeUnit, parseIngredientLine, parseIngredientsText, parseStepsText,
+    normalizeIngredients, normalizeSteps, normalizeRecipe, formatQuantity, formatUnit, formatIngredientParts, formatIngredient
+  };
+})();
+
+// ===== recipe_search.js (búsqueda de recetas sin DOM: texto completo, filtros y ranking) =====
+(function () {
+  // Minúsculas y sin tildes/diéresis: "Limón" -> "limon", "Pingüino" -> "pinguino" (la ñ se conserva).
+  function normalizeText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/ñ/g, "\u0000")
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/\u0000/g, "ñ");
+  }
+  function tokenize(text) {
+    return normalizeText(text).split(/[^a-z0-9ñ]+/).filter(Boolean);
+  }
+  // Lista separada por comas -> términos normalizados ("tomate, Limón" -> ["tomate", "limon"]).
+  function parseTermList(text) {
+    return String(text || "").split(",").map(t => normalizeText(t).trim()).filter(Boolean);
+  }
+
+  // Peso de cada campo en la relevancia.
+  const FIELD_WEIGHTS = { title: 10, description: 4, ingredients: 3, steps: 1 };
+
+  // Textos normalizados de una receta ya estructurada (ver recipeModel.normalizeRecipe).
+  function indexRecipe(recipe) {
+    return {
+      title: normalizeText(recipe.recipeTitle),
+      description: normalizeText(recipe.recipeDescription),
+      ingredients: normalizeText(recipe.recipeIngredients.map(row => row.name).join("\n")),
+      steps: normalizeText(recipe.recipeSteps.join("\n")),
+      ingredientNames: recipe.recipeIngredients.map(row => normalizeText(row.name))
+    };
+  }
+
+  // Puntuación de un término en un campo: palabra completa > inicio de palabra > subcadena.
+  function termScore(field, term) {
+    if (!field.includes(term)) return 0;
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (new RegExp(`(^|[^a-z0-9ñ])${escaped}($|[^a-z0-9ñ])`).test(field)) return 1;
+    if (new RegExp(`(^|[^a-z0-9ñ])${escaped}`).test(field)) return 0.75;
+    return 0.4;
+  }
+
+  function totalTime(recipe) {
+    if (!recipe.recipePrepTime && !recipe.recipeCookTime) return null;
+    return (recipe.recipePrepTime || 0) + (recipe.recipeCookTime || 0);
+  }
+
+  /*
+    Busca y ordena recetas.
+    - recipes: recetas normalizadas.
+    - criteria.query: texto libre; todos los términos deben aparecer en algún campo.
+    - criteria.include / criteria.exclude: términos que deben / no deben estar en los ingredientes.
+    - criteria.maxTime: minutos máximos (prep + cocción); las recetas sin tiempos no pasan el filtro.
+    - criteria.authorId: solo recetas de ese autor.
+    Devuelve [{ recipe, score }] de mayor a menor relevancia (a igualdad, más recientes primero).
+  */
+  function searchRecipes(recipes, criteria = {}) {
+    const terms = tokenize(criteria.query);
+    const include = (criteria.include || []).map(normalizeText).filter(Boolean);
+    const exclude = (criteria.exclude || []).map(normalizeText).filter(Boolean);
+    const maxTime = Number(criteria.maxTime) > 0 ? Number(criteria.maxTime) : null;
+
+    const results = [];
+    recipes.forEach(recipe => {
+      if (criteria.authorId && recipe.authorId !== criteria.authorId) return;
+      if (maxTime !== null) {
+        const time = totalTime(recipe);
+        if (time === null || time > maxTime) return;
+      }
+
+      const index = indexRecipe(recipe);
+      if (!include.every(term => index.ingredientNames.some(name => name.includes(term)))) return;
+      if (exclude.some(term => index.ingredientNames.some(name => name.includes(term)))) return;
+
+      let score = 0;
+      for (const term of terms) {
+        let best = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) best += termScore(index[field], term) * weight;
+        if (best === 0) return; // término sin coincidencias: la receta no aparece
+        score += best;
+      }
+      // Bonus si la frase completa aparece tal cual en el título.
+      const phrase = terms.join(" ");
+      if (terms.length > 1 && index.title.includes(phrase)) score += FIELD_WEIGHTS.title;
+      results.push({ recipe, score });
+    });
+
+    return results.sort((a, b) => (b.score - a.score) || (new Date(b.recipe.timestamp) - new Date(a.recipe.timestamp)));
+  }
+
+  /*
+    API pública: recipeSearch
+    -------------------------
+    - searchRecipes(recipes, criteria): resultados ordenados por relevancia.
+    - normalizeText / tokenize / parseTermList: utilidades de texto insensibles a tildes.
+  */
+  window.recipeSearch = { searchRecipes, normalizeText, tokenize, parseTermList };
+})();
+
+// ===== ingredient_match.js (despensa: coincidencia tolerante de ingredientes, sin DOM) =====
+(function () {
+  const { normalizeText } = window.recipeSearch;
+
+  // Sinónimos regionales -> forma canónica (ya en singular y sin tildes).
+  const SYNONYMS = {
+    palta: "aguacate", patata: "papa", jitomate: "tomate",
+    judia: "frijol", poroto: "frijol", alubia: "frijol", habichuela: "frijol",
+    elote: "maiz", choclo: "maiz", arveja: "guisante", chicharo: "guisante",
+    durazno: "melocoton", frutilla: "fresa", chancho: "cerdo", puerco: "cerdo",
+    zucchini: "calabacin", zapallito: "calabacin", gamba: "camaron",
+    platano: "banana", banano: "banana", mani: "cacahuete", jugo: "zumo",
+    betabel: "remolacha", repollo: "col", ejote: "frijol verde", vainita: "frijol verde",
+    cebollin: "cebolleta", coriandro: "cilantro"
+  };
+  // Frases de varias palabras que equivalen a un ingrediente.
+  const PHRASE_SYNONYMS = { "crema de leche": "nata", "aceite de oliva": "aceite" };
+  // Palabras que no cambian el ingrediente ("tomate maduro picado" -> "tomate").
+  const QUALIFIERS = new Set([
+    "de", "del", "la", "el", "los", "las", "y", "en", "con", "al", "gusto", "opcional",
+    "fresco", "fresca", "picado", "picada", "grande", "pequeño", "pequeña", "mediano", "mediana",
+    "maduro", "madura", "entero", "entera", "rallado", "rallada", "troceado", "troceada",
+    "cortado", "cortada", "molido", "molida", "cocido", "cocida", "extra", "virgen", "taza", "cda", "cdta"
+  ]);
+  // Básicos que se pueden dar por disponibles.
+  const STAPLES = ["sal", "agua", "aceite", "pimienta"];
+
+  // Plural -> singular (reglas simples del español): "limones" -> "limon", "nueces" -> "nuez", "tomates" -> "tomate".
+  function singularize(word) {
+    if (word.length < 4) return word;
+    if (word.endsWith("ces")) return word.slice(0, -3) + "z";
+    if (word.endsWith("es") && /[lnrdjy]$/.test(word.slice(0, -2))) return word.slice(0, -2);
+    if (word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+    return word;
+  }
+
+  /*
+    Forma canónica de un ingrediente como lista de palabras:
+    "2 Limones maduros (grandes)" -> ["limon"], "Palta" -> ["aguacate"], "Crema de leche" -> ["nata"].
+  */
+  function canonicalIngredient(name) {
+    let text = normalizeText(name).replace(/\([^)]*\)/g, " ").split(/[,;]/)[0];
+    for (const [phrase, canonical] of Object.entries(PHRASE_SYNONYMS)) {
+      text = text.replace(new RegExp(`\\b${phrase}\\b`, "g"), canonical);
+    }
+    return text.split(/[^a-zñ]+/)
+      .filter(w => w && !QUALIFIERS.has(w))
+      .map(singularize)
+      .filter(w => !QUALIFIERS.has(w))
+      .map(w => SYNONYMS[w] || w)
+      .join(" ").split(" ").filter(Boolean);
+  }
+
+  // Coinciden si todas las palabras de uno están en el otro ("tomate" ~ "tomate cherry").
+  function sameIngredient(a, b) {
+    if (a.length === 0 || b.length === 0) return false;
+    return a.every(w => b.includes(w)) || b.every(w => a.includes(w));
+  }
+
+  /*
+    Ordena recetas según cuántos ingredientes cubre la despensa.
+    - recipes: recetas normalizadas (recipeModel.normalizeRecipe).
+    - pantryItems: nombres escritos por el usuario.
+    - options.assumeStaples: considera disponibles sal, agua, aceite y pimienta.
+    Devuelve [{ recipe, have: [fila], missing: [fila], coverage }] con al menos una coincidencia,
+    de mayor a menor cobertura (a igualdad, menos ingredientes faltantes primero).
+  */
+  function rankRecipesByPantry(recipes, pantryItems, options = {}) {
+    const pantry = pantryItems.map(canonicalIngredient).filter(words => words.length);
+    if (options.assumeStaples) STAPLES.forEach(s => pantry.push([s]));
+
+    return recipes
+      .map(recipe => {
+        const have = [];
+        const missing = [];
+        recipe.recipeIngredients.forEach(row => {
+          const words = canonicalIngredient(row.name);
+          (pantry.some(p => sameIngredient(p, words)) ? have : missing).push(row);
+        });
+        const total = have.length + missing.length;
+        return { recipe, have, missing, coverage: total ? have.length / total : 0 };
+      })
+      .filter(r => r.have.length > 0)
+      .sort((a, b) => (b.coverage - a.coverage) || (a.missing.length - b.missing.length) ||
+        (new Date(b.recipe.timestamp) - new Date(a.recipe.timestamp)));
+  }
+
+  /*
+    API pública: ingredientMatch
+    ----------------------------
+    - canonicalIngredient(name): palabras canónicas (sin tildes, singular, sinónimos unificados).
+    - sameIngredient(a, b): compara dos formas canónicas.
+    - rankRecipesByPantry(recipes, pantryItems, options): ranking "¿qué puedo cocinar?".
+  */
+  window.ingredientMatch = { STAPLES, singularize, canonicalIngredient, sameIngredient, rankRecipesByPantry };
+})();
+
+// ===== shopping_list.js (lista de la compra a partir del plan semanal, sin DOM) =====
+(function () {
+  const { canonicalIngredient } = window.ingredientMatch;
+  const { scaleIngredients, roundForKitchen, toBaseQuantity, fromBaseQuantity } = window.recipeScale;
+  const { formatQuantity, formatUnit } = window.recipeModel;
+
+  // Pasillos del supermercado en el orden en que se recorren; se decide por palabras clave canónicas.
+  const AISLES = [
+    { id: "verduras", label: "Frutas y verduras", keywords: ["tomate", "cebolla", "ajo", "papa", "zanahoria", "lechuga", "aguacate", "limon", "lima", "manzana", "banana", "pimiento", "calabacin", "espinaca", "pepino", "fresa", "naranja", "perejil", "cilantro", "albahaca", "champiñon", "seta", "brocoli", "col", "guisante", "maiz", "cebolleta", "puerro", "apio", "berenjena", "melocoton", "remolacha", "jengibre"] },
+    { id: "carnes", label: "Carnes y pescados", keywords: ["pollo", "cerdo", "ternera", "carne", "res", "pavo", "jamon", "chorizo", "tocino", "bacon", "salchicha", "pescado", "salmon", "atun", "merluza", "camaron", "gamba", "bacalao", "calamar", "mejillon"] },
+    { id: "lacteos", label: "Lácteos y huevos", keywords: ["leche", "queso", "yogur", "mantequilla", "nata", "huevo", "crema", "requeson"] },
+    { id: "panaderia", label: "Panadería", keywords: ["pan", "baguette", "tortilla", "bizcocho", "brioche"] },
+    { id: "despensa", label: "Despensa", keywords: ["arroz", "pasta", "espagueti", "macarron", "harina", "azucar", "sal", "aceite", "vinagre", "pimienta", "comino", "oregano", "canela", "levadura", "frijol", "lenteja", "garbanzo", "avena", "chocolate", "cacao", "miel", "caldo", "tomate frito", "salsa", "mostaza", "mayonesa", "nuez", "almendra", "cacahuete", "pimenton", "vainilla", "bicarbonato", "maicena", "conserva"] },
+    { id: "bebidas", label: "Bebidas", keywords: ["agua", "vino", "cerveza", "zumo", "refresco", "cafe", "te", "ron"] },
+    { id: "otros", label: "Otros", keywords: [] }
+  ];
+
+  // Pasillo de un ingrediente (a partir de sus palabras canónicas).
+  function categorizeIngredient(name) {
+    const words = canonicalIngredient(name);
+    const aisle = AISLES.find(a => a.keywords.some(k => {
+      const kw = k.split(" ");
+      return kw.every(w => words.includes(w));
+    }));
+    return aisle ? aisle.id : "otros";
+  }
+
+  /*
+    Agrega los ingredientes de varias recetas.
+    - entries: [{ recipe (normalizada), servings }]: cada receta se escala a sus raciones planificadas
+      (si no indica raciones, servings se toma como multiplicador, igual que en scaleRecipe).
+    - Los ingredientes iguales (misma forma canónica) se fusionan; las cantidades se suman cuando las
+      unidades son compatibles (masa con masa, volumen con volumen, o la misma unidad). Las que no lo son
+      se listan por separado dentro del mismo artículo.
+    Devuelve [{ aisle, label, items: [{ key, name, amounts: [{ quantity, unit }], recipes: [título] }] }].
+  */
+  function buildShoppingList(entries, options = {}) {
+    const system = options.system || "metric";
+    const items = new Map();
+
+    entries.forEach(({ recipe, servings }) => {
+      // Misma regla que scaleRecipe: sin raciones en la receta, las planificadas son un multiplicador.
+      const factor = servings > 0 ? servings / (recipe.recipeServings || 1) : 1;
+      scaleIngredients(recipe.recipeIngredients, factor).forEach(row => {
+        const key = canonicalIngredient(row.name).join(" ") || row.name.toLowerCase();
+        if (!items.has(key)) items.set(key, { key, name: row.name, groups: new Map(), recipes: [] });
+        const item = items.get(key);
+        if (!item.recipes.includes(recipe.recipeTitle)) item.recipes.push(recipe.recipeTitle);
+
+        const base = toBaseQuantity(row.quantity, row.unit);
+        // Grupo de suma: magnitud física o, si no es convertible, la unidad tal cual ("" = piezas).
+        const groupKey = base ? base.dimension : `unit:${row.unit || ""}`;
+        const group = item.groups.get(groupKey) || { dimension: base?.dimension || null, unit: row.unit || "", total: 0, hasQuantity: false };
+        if (row.quantity !== null && row.quantity !== undefined) {
+          group.total += base ? base.base : row.quantity;
+          group.hasQuantity = true;
+        }
+        item.groups.set(groupKey, group);
+      });
+    });
+
+    const aisles = new Map(AISLES.map(a => [a.id, { aisle: a.id, label: a.label, items: [] }]));
+    items.forEach(item => {
+      const amounts = [];
+      item.groups.forEach(group => {
+        if (!group.hasQuantity) return;
+        const amount = group.dimension
+          ? fromBaseQuantity(group.total, group.dimension, system)
+          : { quantity: group.total, unit: group.unit };
+        amounts.push({ quantity: roundForKitchen(amount.quantity, amount.unit), unit: amount.unit });
+      });
+      aisles.get(categorizeIngredient(item.name)).items.push({ key: item.key, name: item.name, amounts, recipes: item.recipes });
+    });
+
+    return Array.from(aisles.values())
+      .filter(a => a.items.length > 0)
+      .map(a => ({ ...a, items: a.items.sort((x, y) => x.name.localeCompare(y.name, "es")) }));
+  }
+
+  // "200 g + 2 cda", o "" si el artículo no lleva cantidad (p. ej. "sal al gusto").
+  function formatAmounts(amounts) {
+    return amounts.map(a => [formatQuantity(a.quantity, a.unit), formatUnit(a.unit, a.quantity)].filter(Boolean).join(" ")).join(" + ");
+  }
+
+  // Lista en texto plano (para copiar/descargar): pasillos como títulos y casillas [ ] / [x].
+  function formatShoppingListText(list, checked = {}) {
+    const lines = ["Lista de la compra", ""];
+    list.forEach(aisle => {
+      lines.push(aisle.label.toUpperCase());
+      aisle.items.forEach(item => {
+        const amount = formatAmounts(item.amounts);
+        lines.push(`${checked[item.key] ? "[x]" : "[ ]"} ${item.name}${amount ? ` — ${amount}` : ""}`);
+      });
+      lines.push("");
+    });
+    return lines.join("\n").trim() + "\n";
+  }
+
+  /*
+    API pública: shoppingList
+    -------------------------
+    - buildShoppingList(entries, options): artículos fusionados y agrupados por pasillo.
+    - formatAmounts / formatShoppingListText: presentación y exportación.
+    - categorizeIngredient(name): pasillo de un ingrediente.
+  */
+  window.shoppingList = { AISLES, categorizeIngredient, buildShoppingList, formatAmounts, formatShoppingListText };
+})();
+
+// ===== recipe_formats.js (intercambio de recetas: schema.org JSON-LD y Markdown, sin DOM) =====
+(function () {
+  const { normalizeRecipe, parseIngredientLine, formatIngredient, DIFFICULTIES } = window.recipeModel;
+  const { normalizeText } = window.recipeSearch;
+  const DIFFICULTY_NAMES = { facil: "Fácil", media: "Media", dificil: "Difícil" };
+
+  // Minutos <-> duración ISO 8601 (90 -> "PT1H30M"; "PT1H30M" / "P0DT20M" -> 90 / 20).
+  function minutesToIsoDuration(minutes) {
+    if (!minutes) return undefined;
+    const h = Math.floor(minutes / 60);
+    const m = Math.round(minutes % 60);
+    return `PT${h ? `${h}H` : ""}${m || !h ? `${m}M` : ""}`;
+  }
+  function parseIsoDuration(value) {
+    const m = String(value || "").match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/i);
+    if (!m) return null;
+    const minutes = Number(m[1] || 0) * 1440 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+    return minutes > 0 ? minutes : null;
+  }
+  // Texto libre de tiempo: "10 min", "1 h 30 min", "1h30", "45" -> minutos.
+  function parseMinutesText(text) {
+    const s = String(text || "").toLowerCase();
+    const iso = parseIsoDuration(s.trim().toUpperCase());
+    if (iso) return iso;
+    const h = s.match(/(\d+(?:[.,]\d+)?)\s*(?:h|hora|horas)\b/);
+    const m = s.match(/(\d+)\s*(?:m|min|mins|minutos?)\b/) || (!h && s.match(/^\s*(\d+)\s*$/));
+    const minutes = (h ? parseFloat(h[1].replace(",", ".")) * 60 : 0) + (m ? Number(m[1]) : 0);
+    return minutes > 0 ? Math.round(minutes) : null;
+  }
+  // Primer número entero de un rendimiento ("4", "4 raciones", ["4", "4 servings"]).
+  function parseYield(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    const m = String(first ?? "").match(/\d+/);
+    return m && Number(m[0]) > 0 ? Number(m[0]) : null;
+  }
+
+  // Quita etiquetas HTML y decodifica las entidades más comunes (las webs las dejan en el JSON-LD).
+  function plainText(value) {
+    const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+    return String(value ?? "")
+      .replace(/<[^>]*>/g, " ")
+      .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (all, code) => {
+        if (code[0] === "#") return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+        return entities[code.toLowerCase()] ?? all;
+      })
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /*
+    Receta -> objeto schema.org/Recipe (JSON-LD).
+    options.authorName: nombre del autor. La foto solo se incluye si está guardada en la receta (data URL).
+  */
+  function toJsonLd(rawRecipe, { authorName = "" } = {}) {
+    const recipe = normalizeRecipe(rawRecipe);
+    const total = (recipe.recipePrepTime || 0) + (recipe.recipeCookTime || 0);
+    const doc = {
+      "@context": "https://schema.org",
+      "@type": "Recipe",
+      name: recipe.recipeTitle,
+      description: recipe.recipeDescription || undefined,
+      author: authorName ? { "@type": "Person", name: authorName } : undefined,
+      datePublished: recipe.timestamp ? recipe.timestamp.slice(0, 10) : undefined,
+      dateModified: recipe.editedAt ? recipe.editedAt.slice(0, 10) : undefined,
+      image: /^data:image\//.test(recipe.recipeImage || "") ? recipe.recipeImage : undefined,
+      inLanguage: "es",
+      recipeYield: recipe.recipeServings ? String(recipe.recipeServings) : undefined,
+      prepTime: minutesToIsoDuration(recipe.recipePrepTime),
+      cookTime: minutesToIsoDuration(recipe.recipeCookTime),
+      totalTime: minutesToIsoDuration(total),
+      recipeIngredient: recipe.recipeIngredients.map(formatIngredient),
+      recipeInstructions: recipe.recipeSteps.map((text, i) => ({ "@type": "HowToStep", position: i + 1, text }))
+    };
+    return JSON.parse(JSON.stringify(doc)); // quita los campos undefined
+  }
+
+  // Receta -> Markdown legible (y que fromMarkdown vuelve a leer).
+  function toMarkdown(rawRecipe, { authorName = "" } = {}) {
+    const recipe = normalizeRecipe(rawRecipe);
+    const lines = [`# ${recipe.recipeTitle}`, ""];
+    if (recipe.recipeDescription) lines.push(recipe.recipeDescription, "");
+    const meta = [
+      recipe.recipeServings && `- **Raciones:** ${recipe.recipeServings}`,
+      recipe.recipePrepTime && `- **Preparación:** ${recipe.recipePrepTime} min`,
+      recipe.recipeCookTime && `- **Cocción:** ${recipe.recipeCookTime} min`,
+      recipe.recipeDifficulty && `- **Dificultad:** ${DIFFICULTY_NAMES[recipe.recipeDifficulty]}`,
+      authorName && `- **Autor:** @${authorName}`
+    ].filter(Boolean);
+    if (meta.length) lines.push(...meta, "");
+    lines.push("## Ingredientes", "", ...recipe.recipeIngredients.map(row => `- ${formatIngredient(row)}`), "");
+    lines.push("## Pasos", "", ...recipe.recipeSteps.map((step, i) => `${i + 1}. ${step}`), "");
+    return lines.join("\n");
+  }
+
+  // Busca el nodo Recipe en un documento JSON-LD (objeto, array o @graph, a cualquier profundidad).
+  function findRecipeNode(node) {
+    if (Array.isArray(node)) {
+      for (const item of node) { const found = findRecipeNode(item); if (found) return found; }
+      return null;
+    }
+    if (!node || typeof node !== "object") return null;
+    const types = [].concat(node["@type"] || []);
+    if (types.some(t => String(t).replace(/^.*[/:]/, "") === "Recipe")) return node;
+    for (const key of ["@graph", "mainEntity", "itemListElement"]) {
+      const found = node[key] && findRecipeNode(node[key]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // recipeInstructions puede ser texto, lista de textos, HowToStep o HowToSection (con sus pasos).
+  function instructionsToSteps(value) {
+    if (!value) return [];
+    if (typeof value === "string") {
+      // Texto plano o HTML: un paso por línea, párrafo o elemento de lista.
+      return value.replace(/<\/(p|li)>|<br\s*\/?>/gi, "\n").split(/\r?\n/).map(plainText).filter(Boolean);
+    }
+    if (Array.isArray(value)) return value.flatMap(instructionsToSteps);
+    if (value.itemListElement) return instructionsToSteps(value.itemListElement);
+    return [plainText(value.text || value.name)].filter(Boolean);
+  }
+
+  // Contenido editable de una receta a partir de JSON-LD (texto JSON o página HTML con <script type="application/ld+json">).
+  function fromJsonLd(input) {
+    let docs;
+    if (typeof input === "string") {
+      const scripts = [...input.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)].map(m => m[1]);
+      docs = (scripts.length ? scripts : [input]).map(text => JSON.parse(text));
+    } else {
+      docs = [input];
+    }
+    const node = findRecipeNode(docs);
+    if (!node) throw new Error("No se encontró ninguna receta (schema.org Recipe) en el JSON-LD");
+
+    const prep = parseIsoDuration(node.prepTime);
+    const cook = parseIsoDuration(node.cookTime) || (!prep && parseIsoDuration(node.totalTime)) || null;
+    const image = [].concat(node.image || []).map(img => (typeof img === "string" ? img : img?.url)).find(url => /^data:image\//.test(url || ""));
+    const ingredients = [].concat(node.recipeIngredient || node.ingredients || []).map(plainText).filter(Boolean);
+    return {
+      recipeTitle: plainText(node.name),
+      recipeDescription: plainText(node.description),
+      recipeIngredients: ingredients.map(parseIngredientLine),
+      recipeSteps: instructionsToSteps(node.recipeInstructions),
+      recipeServings: parseYield(node.recipeYield),
+      recipePrepTime: prep,
+      recipeCookTime: cook,
+      recipeDifficulty: "",
+      recipeImage: image || ""
+    };
+  }
+
+  const SECTION_PATTERNS = {
+    ingredients: /^(ingredientes?|ingredients?)\b/i,
+    steps: /^(pasos?|preparaci[oó]n|elaboraci[oó]n|instrucciones|modo de preparaci[oó]n|steps|instructions|method|directions)\b/i
+  };
+  const META_PATTERNS = {
+    recipeServings: /^(raciones|porciones|rinde|servings|yield)$/i,
+    recipePrepTime: /^(preparaci[oó]n|tiempo de preparaci[oó]n|prep(aration)?( time)?)$/i,
+    recipeCookTime: /^(cocci[oó]n|tiempo de cocci[oó]n|cook( time)?)$/i,
+    recipeDifficulty: /^(dificultad|difficulty)$/i
+  };
+
+  /*
+    Contenido editable a partir de Markdown: "# Título", párrafo de descripción, viñetas
+    "**Raciones:** 4" como metadatos y secciones "## Ingredientes" / "## Pasos".
+    Sin encabezados de sección, la primera lista con viñetas son los ingredientes y la numerada los pasos.
+  */
+  function fromMarkdown(text) {
+    const content = { recipeTitle: "", recipeDescription: "", recipeIngredients: [], recipeSteps: [], recipeServings: null, recipePrepTime: null, recipeCookTime: null, recipeDifficulty: "", recipeImage: "" };
+    const description = [];
+    const bullets = [];
+    const numbered = [];
+    let section = null;
+
+    String(text || "").split(/\r?\n/).forEach(raw => {
+      const line = raw.trim();
+      if (!line) return;
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        const title = heading[2].replace(/[*_#]/g, "").trim();
+        if (heading[1].length === 1 && !content.recipeTitle) { content.recipeTitle = title; section = null; return; }
+        section = Object.keys(SECTION_PATTERNS).find(key => SECTION_PATTERNS[key].test(title)) || "other";
+        return;
+      }
+      const item = line.match(/^(?:([-*+•])|(\d+)[.)])\s+(.*)$/);
+      const itemText = item ? item[3].trim() : line;
+      const meta = itemText.replace(/\*\*|__/g, "").match(/^([^:]{2,30}):\s*(.+)$/);
+      const metaField = meta && Object.keys(META_PATTERNS).find(key => META_PATTERNS[key].test(meta[1].trim()));
+      if (metaField && section !== "ingredients" && section !== "steps") {
+        const value = meta[2].trim();
+        if (metaField === "recipeServings") content.recipeServings = parseYield(value);
+        else if (metaField === "recipeDifficulty") content.recipeDifficulty = DIFFICULTIES.find(d => normalizeText(value).startsWith(d)) || "";
+        else content[metaField] = parseMinutesText(value);
+        return;
+      }
+      const clean = itemText.replace(/\*\*|__/g, "");
+      if (section === "ingredients") { if (item || clean) content.recipeIngredients.push(parseIngredientLine(clean)); return; }
+      if (section === "steps") { content.recipeSteps.push(clean); return; }
+      if (item) { (item[1] ? bullets : numbered).push(clean); return; }
+      if (section === null) description.push(clean);
+    });
+
+    if (!content.recipeIngredients.length) content.recipeIngredients = bullets.map(parseIngredientLine);
+    if (!content.recipeSteps.length) content.recipeSteps = numbered;
+    content.recipeDescription = description.join(" ");
+    if (!content.recipeTitle && !content.recipeIngredients.length && !content.recipeSteps.length) {
+      throw new Error("No se reconoce ninguna receta en el texto");
+    }
+    return content;
+  }
+
+  // Detecta el formato del texto pegado (JSON-LD, página HTML con JSON-LD o Markdown) y lo interpreta.
+  function parseRecipeText(text) {
+    const trimmed = String(text || "").trim();
+    if (/^[{[]/.test(trimmed) || /application\/ld\+json/i.test(trimmed)) return fromJsonLd(trimmed);
+    return fromMarkdown(trimmed);
+  }
+
+  /*
+    API pública: recipeFormats
+    --------------------------
+    - toJsonLd(recipe, { authorName }) / toMarkdown(recipe, { authorName }): exportación.
+    - fromJsonLd(textoOObjeto) / fromMarkdown(texto) / parseRecipeText(texto): importación;
+      devuelven el contenido editable de una receta (ingredientes ya estructurados). Lanzan Error si no hay receta.
+    - minutesToIsoDuration / parseIsoDuration: duraciones ISO 8601.
+  */
+  window.recipeFormats = {
+    toJsonLd, toMarkdown, fromJsonLd, fromMarkdown, parseRecipeText,
+    minutesToIsoDuration, parseIsoDuration
+  };
+})();
+
+// ===== comment_threads.js (hilos de comentarios y menciones @usuario, sin DOM) =====
+(function () {
+  // Un nombre de usuario mencionado: "@" + letras, números, "_", "." o "-" (sin el punto final de una frase).
+  const MENTION_PATTERN = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_.-]*[\p{L}\p{N}_])/gu;
+
+  const byTimestamp = (a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+
+  /*
+    Agrupa los comentarios de una receta en hilos de un nivel: [{ comment, replies }].
+    Raíces y respuestas van de la más antigua a la más reciente. Una respuesta cuyo comentario
+    raíz ya no existe se muestra como raíz para no perderla.
+  */
+  function buildThreads(comments) {
+    const sorted = [...comments].sort(byTimestamp);
+    const ids = new Set(sorted.map(c => c.id));
+    const threads = new Map();
+    sorted.filter(c => !c.parentId || !ids.has(c.parentId)).forEach(c => threads.set(c.id, { comment: c, replies: [] }));
+    sorted.filter(c => c.parentId && threads.has(c.parentId)).forEach(c => threads.get(c.parentId).replies.push(c));
+    return [...threads.values()];
+  }
+
+  // Id del comentario raíz al que se responde (responder a una respuesta cuelga del mismo hilo).
+  function threadRootId(comment) {
+    return comment.parentId || comment.id;
+  }
+
+  /*
+    Parte un texto en trozos { text } y { text, user } para pintar las menciones como enlaces.
+    users: lista de { id, username }; solo cuentan los nombres que existen (sin distinguir mayúsculas).
+  */
+  function splitMentions(text, users) {
+    const byName = new Map(users.map(u => [u.username.toLowerCase(), u]));
+    const parts = [];
+    let last = 0;
+    String(text).replace(MENTION_PATTERN, (match, before, name, offset) => {
+      const user = byName.get(name.toLowerCase());
+      if (!user) return match;
+      const start = offset + before.length;
+      if (start > last) parts.push({ text: text.slice(last, start) });
+      parts.push({ text: `@${name}`, user });
+      last = start + name.length + 1;
+      return match;
+    });
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+  }
+
+  // Ids (sin repetir) de los usuarios mencionados en un texto.
+  function extractMentions(text, users) {
+    const ids = splitMentions(text, users).filter(part => part.user).map(part => part.user.id);
+    return [...new Set(ids)];
+  }
+
+  /*
+    Mención que se está escribiendo justo antes del cursor ("hola @an|" -> { query: "an", start: 5 })
+    o null. start es la posición de la "@", para reemplazarla al elegir una sugerencia.
+  */
+  function mentionAtCaret(text, caret) {
+    const before = String(text).slice(0, caret);
+    const m = before.match(/(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_.-]*)$/u);
+    return m ? { query: m[2], start: before.length - m[2].length - 1 } : null;
+  }
+
+  // Sugerencias para una mención: usuarios cuyo username empieza por query (luego los que lo contienen).
+  function suggestMentions(users, query, limit = 5) {
+    const q = String(query).toLowerCase();
+    const starts = users.filter(u => u.username.toLowerCase().startsWith(q));
+    const contains = users.filter(u => !starts.includes(u) && u.username.toLowerCase().includes(q));
+    return [...starts, ...contains].slice(0, limit);
+  }
+
+  /*
+    API pública: commentThreads
+    ---------------------------
+    - buildThreads(comments) / threadRootId(comment): hilos de un nivel.
+    - splitMentions(text, users) / extractMentions(text, users): menciones @usuario existentes.
+    - mentionAtCaret(text, caret) / suggestMentions(users, query): autocompletado.
+  */
+  window.commentThreads = { buildThreads, threadRootId, splitMentions, extractMentions, mentionAtCaret, suggestMentions };
+})();
+
+// ===== notification_center.js (avisos de actividad: qué avisar, a quién y con qué texto, sin DOM) =====
+(function () {
+  /*
+    Un aviso es un registro { type: 'notification', userId (destinatario), actorId, kind, read, timestamp }
+    más la referencia a lo que lo originó (recipeId, commentId, friendshipId, messageId) y,
+    en comentarios y mensajes, un extracto del texto (excerpt).
+    Los ids son deterministas para que repetir una acción no duplique avisos: quitar y volver a dar
+    "me gusta" reutiliza el mismo aviso, y los mensajes de una conversación comparten uno solo.
+  */
+  const KINDS = {
+    recipe_like: { icon: "❤️", text: (actor, n) => `A @${actor} le gusta tu receta «${n.recipeTitle}»` },
+    comment: { icon: "💬", text: (actor, n) => `@${actor} comentó tu receta «${n.recipeTitle}»: ${n.excerpt}` },
+    reply: { icon: "↩️", text: (actor, n) => `@${actor} respondió a tu comentario en «${n.recipeTitle}»: ${n.excerpt}` },
+    mention: { icon: "📣", text: (actor, n) => `@${actor} te mencionó en «${n.recipeTitle}»: ${n.excerpt}` },
+    comment_like: { icon: "❤️", text: (actor, n) => `A @${actor} le gusta tu comentario en «${n.recipeTitle}»` },
+    friend_request: { icon: "👋", text: actor => `@${actor} quiere ser tu amigo` },
+    friend_accepted: { icon: "🤝", text: actor => `@${actor} aceptó tu solicitud de amistad` },
+    message: { icon: "✉️", text: (actor, n) => `@${actor} te escribió: ${n.excerpt}` }
+  };
+  const EXCERPT_LENGTH = 80;
+
+  function excerpt(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    return clean.length > EXCERPT_LENGTH ? `${clean.slice(0, EXCERPT_LENGTH - 1)}…` : clean;
+  }
+
+  // Id estable del aviso para una acción (ver comentario de arriba).
+  function notificationId(kind, { userId, actorId, recipeId, commentId, friendshipId }) {
+    if (kind === "recipe_like") return `ntf_like_${recipeId}_${actorId}`;
+    if (kind === "comment_like") return `ntf_clike_${commentId}_${actorId}`;
+    if (kind === "friend_request") return `ntf_freq_${friendshipId}`;
+    if (kind === "friend_accepted") return `ntf_facc_${friendshipId}`;
+    if (kind === "message") return `ntf_msg_${actorId}_${userId}`;
+    return `ntf_cmt_${commentId}_${userId}`; // comment / reply / mention: un aviso por destinatario
+  }
+
+  /*
+    Crea el registro de aviso. Devuelve null si no hay que avisar (el destinatario es quien actúa
+    o no existe). fields: recipeId, commentId, friendshipId, messageId, excerpt.
+  */
+  function buildNotification(kind, userId, actorId, fields = {}, now = new Date().toISOString()) {
+    if (!KINDS[kind]) throw new Error(`kind desconocido: ${kind}`);
+    if (!userId || !actorId || userId === actorId) return null;
+    const record = { type: "notification", kind, userId, actorId, read: false, timestamp: now };
+    ["recipeId", "commentId", "friendshipId", "messageId"].forEach(field => { if (fields[field]) record[field] = fields[field]; });
+    if (fields.excerpt !== undefined) record.excerpt = excerpt(fields.excerpt);
+    return { id: notificationId(kind, { userId, actorId, ...fields }), ...record };
+  }
+
+  /*
+    Avisos de un comentario nuevo: al autor de la receta ('comment'), al del comentario al que
+    responde ('reply') y a los mencionados ('mention'). Cada persona recibe uno solo, el más concreto
+    (respuesta > mención > comentario). onlyMentions: ids a los que avisar de mención (al editar,
+    solo las menciones nuevas; por defecto todas las del comentario).
+  */
+  function commentNotifications(comment, { recipe, parent = null, onlyMentions = null }, now) {
+    const byUser = new Map();
+    const add = (kind, userId) => { if (userId && !byUser.has(userId)) byUser.set(userId, kind); };
+    const mentions = onlyMentions || comment.mentions || [];
+    if (!onlyMentions) {
+      add("reply", parent?.authorId);
+      mentions.forEach(id => add("mention", id));
+      add("comment", recipe?.authorId);
+    } else {
+      mentions.forEach(id => add("mention", id));
+    }
+    const fields = { recipeId: comment.recipeId, commentId: comment.id, excerpt: comment.text };
+    return [...byUser].map(([userId, kind]) => buildNotification(kind, userId, comment.authorId, fields, now)).filter(Boolean);
+  }
+
+  // Icono y texto legibles; names: { actor, recipeTitle } resueltos por la UI.
+  function describeNotification(notification, { actor = "alguien", recipeTitle = "una receta" } = {}) {
+    const kind = KINDS[notification.kind];
+    if (!kind) return { icon: "🔔", text: "Nueva actividad" };
+    return { icon: kind.icon, text: kind.text(actor, { ...notification, recipeTitle, excerpt: notification.excerpt || "" }) };
+  }
+
+  /*
+    API pública: notificationCenter
+    -------------------------------
+    - buildNotification(kind, userId, actorId, fields): registro de aviso (o null si no procede).
+    - commentNotifications(comment, { recipe, parent, onlyMentions }): avisos de un comentario.
+    - notificationId(kind, refs): id estable (para borrar el aviso al deshacer la acción).
+    - describeNotification(notification, names): { icon, text } para pintarlo.
+  */
+  window.notificationCenter = { KINDS, buildNotification, commentNotifications, notificationId, describeNotification };
+})();
+
+// ===== privacy_rules.js (visibilidad de recetas y privacidad de cuentas: quién ve qué, sin DOM) =====
+(function () {
+  /*
+    Única regla de acceso; la UI nunca filtra por su cuenta, siempre pregunta aquí.
+    - recipe.visibility: "public" (cualquiera), "friends" (amigos del autor) o "private" (solo el autor).
+      Las recetas anteriores a este campo se tratan como "friends", que era el comportamiento de siempre.
+    - user.privateAccount: una cuenta privada limita sus recetas públicas a sus amigos y solo les
+      muestra a ellos su nombre completo y su biografía.
+    - user.hiddenFromSearch: no aparece en la búsqueda de usuarios salvo para sus amigos.
+    El contexto ({ author, friendIds }) lo aporta la UI: author es el usuario autor y friendIds un Set
+    con los ids de los amigos de quien mira.
+  */
+  const VISIBILITIES = {
+    public: { icon: "🌍", label: "Pública" },
+    friends: { icon: "👥", label: "Solo amigos" },
+    private: { icon: "🔒", label: "Solo yo" }
+  };
+  const DEFAULT_VISIBILITY = "friends";
+
+  function recipeVisibility(recipe) {
+    return VISIBILITIES[recipe?.visibility] ? recipe.visibility : DEFAULT_VISIBILITY;
+  }
+
+  // Visibilidad real teniendo en cuenta la cuenta del autor.
+  function effectiveVisibility(recipe, author) {
+    const visibility = recipeVisibility(recipe);
+    return visibility === "public" && author?.privateAccount ? "friends" : visibility;
+  }
+
+  function canViewRecipe(recipe, viewerId, { author, friendIds }) {
+    if (recipe.authorId === viewerId) return true;
+    const visibility = effectiveVisibility(recipe, author);
+    if (visibility === "public") return true;
+    return visibility === "friends" && friendIds.has(recipe.authorId);
+  }
+
+  // Explorar: recetas visibles de gente que no es amiga (solo pueden ser públicas).
+  function isExplorable(recipe, viewerId, context) {
+    return recipe.authorId !== viewerId && !context.friendIds.has(recipe.authorId) && canViewRecipe(recipe, viewerId, context);
+  }
+
+  function canFindUser(user, viewerId, { friendIds }) {
+    return user.id !== viewerId && (!user.hiddenFromSearch || friendIds.has(user.id));
+  }
+
+  // Nombre completo y biografía: siempre en cuentas públicas; en privadas, solo para amigos.
+  function canSeeProfileDetails(user, viewerId, { friendIds }) {
+    return user.id === viewerId || !user.privateAccount || friendIds.has(user.id);
+  }
+
+  /*
+    API pública: privacyRules
+    -------------------------
+    - VISIBILITIES / DEFAULT_VISIBILITY: opciones de visibilidad de una receta (icono y texto).
+    - recipeVisibility(recipe): visibilidad guardada (o la de por defecto).
+    - effectiveVisibility(recipe, author): la que se aplica según la cuenta del autor.
+    - canViewRecipe(recipe, viewerId, context) / isExplorable(recipe, viewerId, context)
+    - canFindUser(user, viewerId, context) / canSeeProfileDetails(user, viewerId, context)
+  */
+  window.privacyRules = {
+    VISIBILITIES, DEFAULT_VISIBILITY,
+    recipeVisibility, effectiveVisibility, canViewRecipe, isExplorable, canFindUser, canSeeProfileDetails
+  };
+})();
+
+// ===== feed_ranking.js (orden del inicio: recientes o destacados, sin DOM) =====
+(function () {
+  /*
+    "Recientes": de la más nueva a la más antigua (el orden de siempre).
+    "Destacados": la interacción (likes y comentarios, que pesan el doble) dividida por la antigüedad
+    elevada a GRAVITY, así una receta muy comentada sube pero con los días deja sitio a las nuevas.
+    Los empates se resuelven por fecha para que el orden sea estable entre renders.
+  */
+  const FEED_ORDERS = ["recent", "featured"];
+  const COMMENT_WEIGHT = 2;
+  const GRAVITY = 1.5;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const newestFirst = (a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0);
+
+  function featuredScore(recipe, { comments = 0, now = Date.now() } = {}) {
+    const ageHours = Math.max(0, (now - new Date(recipe.timestamp).getTime()) / HOUR_MS);
+    const engagement = 1 + (Number(recipe.likes) || 0) + COMMENT_WEIGHT * comments;
+    return engagement / Math.pow(ageHours + 2, GRAVITY);
+  }
+
+  // commentCounts: { [recipeId]: número de comentarios } (solo hace falta para "featured").
+  function rankFeed(recipes, { order = "recent", commentCounts = {}, now = Date.now() } = {}) {
+    if (order !== "featured") return [...recipes].sort(newestFirst);
+    const scores = new Map(recipes.map(r => [r.id, featuredScore(r, { comments: commentCounts[r.id] || 0, now })]));
+    return [...recipes].sort((a, b) => scores.get(b.id) - scores.get(a.id) || newestFirst(a, b));
+  }
+
+  /*
+    API pública: feedRanking
+    ------------------------
+    - FEED_ORDERS: "recent" | "featured".
+    - featuredScore(recipe, { comments, now }): puntuación de "Destacados".
+    - rankFeed(recipes, { order, commentCounts, now }): copia ordenada de las recetas.
+  */
+  window.feedRanking = { FEED_ORDERS, featuredScore, rankFeed };
+})();
+
+// ===== recipe_stats.js (valoraciones, "lo cociné" y estadísticas de autor, sin DOM) =====
+(function () {
+  /*
+    - rating: { recipeId, userId, stars (1-5) }, uno por usuario y receta (ratingId).
+    - cooklog: { recipeId, userId, notes?, photo? }, tantos como veces se cocine.
+    Los resúmenes reciben las listas ya filtradas (las de una receta o las de las recetas de un autor).
+  */
+  const MAX_STARS = 5;
+
+  function ratingId(recipeId, userId) {
+    return `rating_${recipeId}_${userId}`;
+  }
+
+  // { count, average (null sin valoraciones), distribution: [nº de 1★, ..., nº de 5★] }
+  function ratingSummary(ratings) {
+    const distribution = Array(MAX_STARS).fill(0);
+    let total = 0;
+    ratings.forEach(r => { distribution[r.stars - 1]++; total += r.stars; });
+    return { count: ratings.length, average: ratings.length ? total / ratings.length : null, distribution };
+  }
+
+  // { count: veces cocinada, cooks: personas distintas, photos: entradas con foto (más recientes primero) }
+  function cookSummary(logs) {
+    const photos = logs.filter(log => log.photo).sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+    return { count: logs.length, cooks: new Set(logs.map(log => log.userId)).size, photos };
+  }
+
+  /*
+    Estadísticas de las recetas de un autor: likes recibidos, veces cocinadas, valoración media
+    y la receta más cocinada (null si nadie ha cocinado ninguna; empate -> la más reciente).
+  */
+  function authorStats(recipes, { ratings = [], cooklogs = [] } = {}) {
+    const ids = new Set(recipes.map(r => r.id));
+    const own = list => list.filter(item => ids.has(item.recipeId));
+    const logs = own(cooklogs);
+    const cooksByRecipe = new Map();
+    logs.forEach(log => cooksByRecipe.set(log.recipeId, (cooksByRecipe.get(log.recipeId) || 0) + 1));
+
+    let mostCooked = null;
+    recipes.forEach(recipe => {
+      const count = cooksByRecipe.get(recipe.id) || 0;
+      if (!count) return;
+      if (!mostCooked || count > mostCooked.count || (count === mostCooked.count && recipe.timestamp > mostCooked.recipe.timestamp)) {
+        mostCooked = { recipe, count };
+      }
+    });
+
+    return {
+      totalLikes: recipes.reduce((sum, r) => sum + (Number(r.likes) || 0), 0),
+      totalCooks: logs.length,
+      rating: ratingSummary(own(ratings)),
+      mostCooked
+    };
+  }
+
+  /*
+    API pública: recipeStats
+    ------------------------
+    - MAX_STARS, ratingId(recipeId, userId)
+    - ratingSummary(ratings) / cookSummary(cooklogs): resumen de una receta.
+    - authorStats(recipes, { ratings, cooklogs }): estadísticas del perfil de un autor.
+  */
+  window.recipeStats = { MAX_STARS, ratingId, ratingSummary, cookSummary, authorStats };
+})();
+
+// ===== account_archive.js (exportar/importar datos de una cuenta y plan de borrado, sin DOM) =====
+(function () {
+  const ARCHIVE_FORMAT = "yourrecipe-archive";
+  const ARCHIVE_VERSION = 2; // v2: comentarios como registros propios (v1 los llevaba dentro de cada receta)
+  // Autor con el que quedan las recetas y comentarios de una cuenta eliminada (si se conservan).
+  const DELETED_USER_ID = "u_deleted";
+  const DELETED_USER_NAME = "Usuario eliminado";
+
+  // Campos internos del almacenamiento que no viajan en el archivo.
+  function withoutStorageFields(record) {
+    const { rev, schemaVersion, ...rest } = record;
+    return rest;
+  }
+
+  /*
+    Archivo de una cuenta (JSON):
+    - user: perfil (sin contraseña ni sesiones).
+    - recipes: recetas propias completas (fotos en data URL, versiones).
+    - comments: comentarios escritos por la cuenta, en recetas propias o de otros, con la receta a la
+      que pertenecen y el comentario al que responden (parentId).
+    - friendships / messages: referidos al otro usuario por username, que es lo que se puede
+      volver a encontrar en otra instalación (los ids no).
+    - ratings / cooks: valoraciones y entradas de "lo cociné" de la cuenta, con la receta a la que
+      pertenecen (las de archivos anteriores no traen estas secciones).
+  */
+  function buildArchive(records, userId, now = new Date().toISOString()) {
+    const users = new Map(records.filter(r => r.type === "user").map(u => [u.id, u]));
+    const user = users.get(userId);
+    if (!user) throw new Error("user_not_found");
+    const usernameOf = id => users.get(id)?.username || null;
+
+    const recipes = records.filter(r => r.type === "recipe" && r.authorId === userId).map(withoutStorageFields);
+    const recipesById = new Map(records.filter(r => r.type === "recipe").map(r => [r.id, r]));
+    const comments = records
+      .filter(c => c.type === "comment" && c.authorId === userId && recipesById.has(c.recipeId))
+      .map(c => {
+        const recipe = recipesById.get(c.recipeId);
+        return {
+          id: c.id, recipeId: recipe.id, recipeTitle: recipe.recipeTitle, recipeAuthor: usernameOf(recipe.authorId),
+          parentId: c.parentId || null, text: c.text, timestamp: c.timestamp
+        };
+      })
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+    const friendships = records
+      .filter(f => f.type === "friendship" && (f.requesterId === userId || f.receiverId === userId))
+      .map(f => ({
+        username: usernameOf(f.requesterId === userId ? f.receiverId : f.requesterId),
+        direction: f.requesterId === userId ? "sent" : "received",
+        status: f.status, timestamp: f.timestamp
+      }))
+      .filter(f => f.username);
+    const messages = records
+      .filter(m => m.type === "message" && (m.fromUserId === userId || m.toUserId === userId))
+      .map(m => ({
+        with: usernameOf(m.fromUserId === userId ? m.toUserId : m.fromUserId),
+        direction: m.fromUserId === userId ? "sent" : "received",
+        messageText: m.messageText, timestamp: m.timestamp
+      }))
+      .filter(m => m.with)
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+
+    const ratings = records
+      .filter(r => r.type === "rating" && r.userId === userId && recipesById.has(r.recipeId))
+      .map(r => ({ recipeId: r.recipeId, recipeTitle: recipesById.get(r.recipeId).recipeTitle, stars: r.stars, timestamp: r.timestamp }));
+    const cooks = records
+      .filter(c => c.type === "cooklog" && c.userId === userId && recipesById.has(c.recipeId))
+      .map(c => ({
+        recipeId: c.recipeId, recipeTitle: recipesById.get(c.recipeId).recipeTitle,
+        notes: c.notes || "", photo: c.photo || "", timestamp: c.timestamp
+      }))
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+
+    return {
+      format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: now,
+      user: { id: user.id, username: user.username, fullName: user.fullName, bio: user.bio || "", profilePhoto: user.profilePhoto || "", timestamp: user.timestamp },
+      recipes, comments, friendships, messages, ratings, cooks
+    };
+  }
+
+  // Comprueba la forma básica del archivo; lanza un Error con mensaje legible si no sirve.
+  function checkArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) throw new Error("No es un archivo de YourRecipe");
+    if (archive.version > ARCHIVE_VERSION) throw new Error("El archivo es de una versión más nueva de la app");
+    ["recipes", "comments", "friendships", "messages", "ratings", "cooks"].forEach(key => {
+      if (archive[key] !== undefined && !Array.isArray(archive[key])) throw new Error(`Sección "${key}" no válida`);
+    });
+  }
+
+  const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+  // Comentarios de un archivo v1 (dentro de cada receta, firmados por username) en el formato v2.
+  function legacyComments(archive) {
+    const own = (archive.comments || []).map(c => ({ ...c, author: archive.user?.username }));
+    const inRecipes = (archive.recipes || []).flatMap(recipe => (Array.isArray(recipe.comments) ? recipe.comments : [])
+      .map(c => ({ recipeId: recipe.id, author: c.author, text: c.text, timestamp: c.timestamp })));
+    return [...inRecipes, ...own];
+  }
+
+  /*
+    Plan de importación de un archivo en la cuenta 'targetUser' (fusión, nunca reemplaza):
+    - Recetas: id nuevo (makeId) y autor = targetUser. Se omiten las que ya existen
+      (mismo título y misma fecha de publicación). Los likes solo conservan usuarios que existan aquí.
+    - Comentarios: de targetUser, en sus recetas importadas o en recetas que existan aquí; se omiten
+      los que ya están (misma receta, fecha y texto). Las respuestas conservan su hilo si el comentario
+      raíz existe o se importa también. Los archivos v1 traen además los comentarios de otros en las
+      recetas propias: se conservan con su autor si existe aquí (si no, como usuario eliminado).
+    - Amistades: se convierten en solicitudes pendientes a usuarios con el mismo username
+      (la otra persona tiene que aceptar de nuevo); se omiten si ya hay relación.
+    - Mensajes: con usuarios que existan aquí; se omiten los que ya están (misma fecha y texto).
+    Devuelve { creates: [registros], modifies: [{ id, apply(registro) }], summary }.
+  */
+  function planImport(archive, records, targetUser, makeId) {
+    checkArchive(archive);
+    const now = new Date().toISOString();
+    const oldUsername = archive.user?.username;
+    const users = records.filter(r => r.type === "user");
+    const usersByName = new Map(users.map(u => [u.username, u]));
+    const userIds = new Set(users.map(u => u.id));
+    const recipesById = new Map(records.filter(r => r.type === "recipe").map(r => [r.id, r]));
+    const ownRecipes = [...recipesById.values()].filter(r => r.authorId === targetUser.id);
+    const existingComments = records.filter(r => r.type === "comment");
+    const summary = { recipes: 0, comments: 0, friendships: 0, messages: 0, ratings: 0, cooks: 0, skipped: 0 };
+    const creates = [];
+    const modifies = [];
+
+    // id de la receta en el archivo -> id nuevo aquí
+    const recipeIds = new Map();
+    (archive.recipes || []).forEach(recipe => {
+      const duplicate = ownRecipes.some(r => sameText(r.recipeTitle, recipe.recipeTitle) && r.timestamp === recipe.timestamp);
+      if (duplicate || !recipe.recipeTitle) { summary.skipped++; return; }
+      const likedBy = (Array.isArray(recipe.likedBy) ? recipe.likedBy : []).filter(id => userIds.has(id) && id !== recipe.authorId);
+      const { comments, ...content } = withoutStorageFields(recipe);
+      const id = makeId();
+      recipeIds.set(recipe.id, id);
+      creates.push({
+        ...content,
+        id, type: "recipe", authorId: targetUser.id, authorName: targetUser.username,
+        likedBy, likes: likedBy.length,
+        timestamp: recipe.timestamp || now
+      });
+      summary.recipes++;
+    });
+
+    // Las raíces van antes que sus respuestas (orden por fecha) para poder enlazar el hilo.
+    const comments = (archive.version >= 2 ? (archive.comments || []).map(c => ({ ...c, author: oldUsername })) : legacyComments(archive))
+      .sort((a, b) => (String(a.timestamp) < String(b.timestamp) ? -1 : 1));
+    const commentIds = new Map();
+    comments.forEach(c => {
+      const recipeId = recipeIds.get(c.recipeId) || (recipesById.has(c.recipeId) ? c.recipeId : null);
+      const authorId = c.author === oldUsername ? targetUser.id : usersByName.get(c.author)?.id || DELETED_USER_ID;
+      const timestamp = c.timestamp || now;
+      const exists = existingComments.some(x => x.recipeId === recipeId && x.authorId === authorId && x.timestamp === timestamp && x.text === c.text);
+      if (!recipeId || exists || !String(c.text || "").trim()) { summary.skipped++; return; }
+      const parentId = commentIds.get(c.parentId) || (existingComments.some(x => x.id === c.parentId && x.recipeId === recipeId) ? c.parentId : null);
+      const id = makeId();
+      if (c.id) commentIds.set(c.id, id);
+      creates.push({
+        id, type: "comment", recipeId, authorId, parentId, text: String(c.text),
+        mentions: window.commentThreads.extractMentions(String(c.text), users), likes: 0, likedBy: [], timestamp
+      });
+      summary.comments++;
+    });
+
+    const related = new Set(records
+      .filter(f => f.type === "friendship" && (f.requesterId === targetUser.id || f.receiverId === targetUser.id))
+      .map(f => (f.requesterId === targetUser.id ? f.receiverId : f.requesterId)));
+    (archive.friendships || []).forEach(f => {
+      const other = usersByName.get(f.username);
+      if (!other || other.id === targetUser.id || related.has(other.id) || f.status === "declined") { summary.skipped++; return; }
+      related.add(other.id);
+      creates.push({ id: makeId(), type: "friendship", requesterId: targetUser.id, receiverId: other.id, status: "pending", timestamp: now });
+      summary.friendships++;
+    });
+
+    const existingMessages = new Set(records
+      .filter(m => m.type === "message" && (m.fromUserId === targetUser.id || m.toUserId === targetUser.id))
+      .map(m => `${m.fromUserId}|${m.toUserId}|${m.timestamp}|${m.messageText}`));
+    (archive.messages || []).forEach(m => {
+      const other = usersByName.get(m.with);
+      if (!other || other.id === targetUser.id || !m.messageText) { summary.skipped++; return; }
+      const [fromUserId, toUserId] = m.direction === "sent" ? [targetUser.id, other.id] : [other.id, targetUser.id];
+      const key = `${fromUserId}|${toUserId}|${m.timestamp}|${m.messageText}`;
+      if (existingMessages.has(key)) { summary.skipped++; return; }
+      existingMessages.add(key);
+      creates.push({ id: makeId(), type: "message", fromUserId, toUserId, messageText: m.messageText, timestamp: m.timestamp || now });
+      summary.messages++;
+    });
+
+    // Valoraciones (una por receta: se omite si ya hay una) y "lo cociné" (misma receta y fecha = duplicado).
+    const targetRecipeId = id => recipeIds.get(id) || (recipesById.has(id) ? id : null);
+    const existingIds = new Set(records.map(r => r.id));
+    (archive.ratings || []).forEach(r => {
+      const recipeId = targetRecipeId(r.recipeId);
+      const id = recipeId && window.recipeStats.ratingId(recipeId, targetUser.id);
+      const stars = Number(r.stars);
+      const ownRecipe = recipeIds.has(r.recipeId) || recipesById.get(recipeId)?.authorId === targetUser.id;
+      if (!recipeId || ownRecipe || existingIds.has(id) || !Number.isInteger(stars) || stars < 1 || stars > 5) { summary.skipped++; return; }
+      existingIds.add(id);
+      creates.push({ id, type: "rating", recipeId, userId: targetUser.id, stars, timestamp: r.timestamp || now });
+      summary.ratings++;
+    });
+    const existingCooks = new Set(records
+      .filter(c => c.type === "cooklog" && c.userId === targetUser.id)
+      .map(c => `${c.recipeId}|${c.timestamp}`));
+    (archive.cooks || []).forEach(c => {
+      const recipeId = targetRecipeId(c.recipeId);
+      const timestamp = c.timestamp || now;
+      if (!recipeId || existingCooks.has(`${recipeId}|${timestamp}`)) { summary.skipped++; return; }
+      existingCooks.add(`${recipeId}|${timestamp}`);
+      creates.push({
+        id: makeId(), type: "cooklog", recipeId, userId: targetUser.id,
+        ...(c.notes ? { notes: String(c.notes) } : {}), ...(c.photo ? { photo: String(c.photo) } : {}), timestamp
+      });
+      summary.cooks++;
+    });
+
+    return { creates, modifies, summary };
+  }
+
+  /*
+    Plan de borrado de una cuenta.
+    - Se eliminan: el usuario, sus sesiones, amistades, mensajes (enviados y recibidos),
+      guardados, colecciones, despensa, plan semanal, avisos (recibidos y provocados), valoraciones
+      y entradas de "lo cociné".
+    - Recetas propias: se eliminan (con sus comentarios, valoraciones y "lo cociné"), o con keepRecipes se conservan anónimas (DELETED_USER_ID).
+    - En lo de otros: se quitan sus likes (recetas y comentarios) y sus comentarios quedan como DELETED_USER_ID.
+    Devuelve { deletes: [ids] (el usuario al final), modifies: [{ id, apply(registro) }] }.
+  */
+  function planAccountDeletion(records, userId, { keepRecipes = false } = {}) {
+    const user = records.find(r => r.type === "user" && r.id === userId);
+    if (!user) throw new Error("user_not_found");
+    const OWNED_TYPES = ["session", "saved", "collection", "pantry", "mealplan", "notification", "rating", "cooklog"];
+    const deletes = [];
+    const modifies = [];
+
+    records.forEach(r => {
+      if (OWNED_TYPES.includes(r.type) && (r.userId === userId || r.ownerId === userId)) deletes.push(r.id);
+      else if (r.type === "friendship" && (r.requesterId === userId || r.receiverId === userId)) deletes.push(r.id);
+      else if (r.type === "message" && (r.fromUserId === userId || r.toUserId === userId)) deletes.push(r.id);
+      else if (r.type === "notification" && r.actorId === userId) deletes.push(r.id);
+      else if (r.type === "recipe" && r.authorId === userId && !keepRecipes) deletes.push(r.id);
+    });
+    const deletedRecipes = new Set(deletes);
+    const RECIPE_CHILD_TYPES = ["comment", "rating", "cooklog"];
+    records.forEach(r => {
+      if (RECIPE_CHILD_TYPES.includes(r.type) && deletedRecipes.has(r.recipeId) && !deletedRecipes.has(r.id)) deletes.push(r.id);
+    });
+
+    const anonymise = latest => {
+      const likedBy = latest.likedBy.filter(id => id !== userId);
+      const next = { ...latest, likedBy, likes: likedBy.length };
+      if (latest.authorId !== userId) return next;
+      return latest.type === "recipe" ? { ...next, authorId: DELETED_USER_ID, authorName: DELETED_USER_NAME } : { ...next, authorId: DELETED_USER_ID };
+    };
+    records
+      .filter(r => (r.type === "recipe" || r.type === "comment") && !deletes.includes(r.id))
+      .filter(r => r.authorId === userId || (r.likedBy || []).includes(userId))
+      .forEach(r => modifies.push({ id: r.id, apply: anonymise }));
+
+    deletes.push(userId);
+    return { deletes, modifies };
+  }
+
+  /*
+    API pública: accountArchive
+    ---------------------------
+    - buildArchive(records, userId): archivo JSON exportable de una cuenta.
+    - planImport(archive, records, targetUser, makeId): qué crear/modificar al importar (fusión).
+    - planAccountDeletion(records, userId, { keepRecipes }): qué borrar/anonimizar al eliminar la cuenta.
+  */
+  window.accountArchive = {
+    ARCHIVE_FORMAT, ARCHIVE_VERSION, DELETED_USER_ID, DELETED_USER_NAME,
+    buildArchive, checkArchive, planImport, planAccountDeletion
+  };
+})();
+
+// ======= APP LOGIC (UI) =======
+
+// Global state: estado mínimo compartido entre pantallas (los datos se consultan con dataSdk.query).
+let currentUser = null;
+let currentPage = 'auth';
+let currentRoute = null; // ruta activa del hash (ver ROUTER)
+let openRecipeId = null; // receta de la página #/recipe/:id
+let selectedChatUser = null;
+let searchTab = 'users';
+let timelineFeed = 'friends'; // 'friends' (#/) o 'explore' (#/explore)
+let timelineOrder = 'recent'; // 'recent' o 'featured' (?order=featured)
+let profileTab = 'recipes';
+let profileUserId = null; // usuario del perfil abierto (el propio o el de #/user/:username)
+let openCollectionId = null; // colección abierta en el perfil ('all' = todas las guardadas)
+
+// Sesión: token guardado en localStorage (la validez la decide el registro 'session' en dataSdk).
+const SESSION_KEY = 'yourrecipe_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 días
+const PASSWORD_ITERATIONS = 100000;
+
+// Default config
+// Default config: textos, colores y tipografías por defecto usados por elementSdk.
+const defaultConfig = {
+  app_title: 'YourRecipe',
+  app_tagline: 'Comparte tus recetas favoritas',
+  welcome_message: 'Bienvenido a YourRecipe',
+  login_button_text: 'Iniciar Sesión',
+  register_button_text: 'Registrarse',
+  timeline_title: 'Recetas de tus Amigos',
+  search_placeholder: 'Buscar usuarios...',
+  background_color: '#fafafa',
+  surface_color: '#ffffff',
+  text_color: '#262626',
+  primary_action_color: '#0095f6',
+  secondary_action_color: '#dbdbdb',
+  font_family: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+  font_size: 14
+};
+
+// Data handler
+// Data handler: suscriptor de dataSdk para refrescar vistas al cambiar los datos.
+// Tipos que ninguna página pinta a partir del estado completo: mensajes y avisos llegan por sus
+// propias suscripciones (watchMessages, watchNotifications) y las sesiones no se muestran.
+const SUBSCRIBED_TYPES = ['message', 'notification', 'session'];
+
+const dataHandler = {
+  onDataChanged(changes) {
+    // Un lote que solo toca esos tipos no obliga a repintar la página activa.
+    const touched = changes.added.concat(changes.updated);
+    if (changes.removed.length === 0 && touched.every(record => SUBSCRIBED_TYPES.includes(record.type))) return;
+    // El usuario actual puede haber cambiado (perfil editado en otra pestaña) o haberse eliminado.
+    if (currentUser) {
+      const fresh = getUser(currentUser.id);
+      if (!fresh) { currentUser = null; selectedChatUser = null; navigate('/login', { replace: true }); return; }
+      currentUser = fresh;
+    }
+    updatePlannerDock();
+    if (currentUser) renderMessagesBadge();
+    if (savingRecipeId) renderCollectionPicker();
+    if (currentPage === 'timeline') renderTimeline();
+    else if (currentPage === 'recipe') renderRecipePage();
+    else if (currentPage === 'profile') renderProfile();
+    else if (currentPage === 'search') renderSearchResults();
+    else if (currentPage === 'pantry') renderPantry();
+    else if (currentPage === 'planner') renderPlanner();
+    else if (currentPage === 'messages') {
       renderConversations();
       if (selectedChatUser) renderChat(selectedChatUser);
     }
+  },
+  // Estado de sincronización con el servidor (ver createRestAdapter).
+  onSyncStatus(status) {
+    renderSyncStatus(status);
+  },
+  // Errores de escritura del almacenamiento (ver storage_adapters.js).
+  onStorageError(error) {
+    if (error !== 'quota_exceeded') return;
+    document.getElementById('storageAlert').classList.remove('hidden');
+  }
+};
+
+// Indicador de la cabecera: solo aparece cuando hay un servidor configurado.
+function renderSyncStatus(status) {
+  const el = document.getElementById('syncStatus');
+  el.classList.toggle('hidden', status.mode !== 'remote');
+  if (status.mode !== 'remote') return;
+  const pending = status.pending ? ` · ${status.pending} pendiente${status.pending === 1 ? '' : 's'}` : '';
+  const labels = { online: '☁️ Sincronizado', syncing: '🔄 Sincronizando', offline: '📴 Sin conexión' };
+  el.textContent = (labels[status.state] || status.state) + pending;
+  el.classList.toggle('offline', status.state === 'offline');
+}
+
+// Initialize SDK
+// Initialize SDK: arranca dataSdk y elementSdk y aplica la configuración visual.
+async function initApp() {
+  const initResult = await window.dataSdk.init(dataHandler);
+  if (!initResult.isOk) { showToast('Error al inicializar la aplicación'); return; }
+
+  await window.elementSdk.init({
+    defaultConfig,
+    // Se ejecuta cada vez que cambie la configuración guardada.
+    onConfigChange: async (config) => {
+      const customFont = config.font_family || defaultConfig.font_family;
+      const baseFontStack = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+      const baseSize = config.font_size || defaultConfig.font_size;
+
+      document.body.style.fontFamily = `${customFont}, ${baseFontStack}`;
+      document.body.style.fontSize = `${baseSize}px`;
+      document.body.style.background = config.background_color || defaultConfig.background_color;
+
+      const surfaces = document.querySelectorAll('.auth-container, .header, .recipe-card, .search-container, .conversations-list, .chat-container, .modal-content, .profile-header');
+      surfaces.forEach(el => { el.style.background = config.surface_color || defaultConfig.surface_color; });
+
+      const textElements = document.querySelectorAll('.logo, .auth-logo, .profile-username, .timeline-title, .search-title, .modal-title, .recipe-title, .user-name, .conversation-name, .chat-user-name, .stat, .profile-bio, .recipe-description, .comment, label');
+      textElements.forEach(el => { el.style.color = config.text_color || defaultConfig.text_color; });
+
+      const primaryButtons = document.querySelectorAll('.btn-primary, .btn-new-recipe, .btn-add-friend, .btn-send, .btn-comment');
+      primaryButtons.forEach(el => { el.style.background = config.primary_action_color || defaultConfig.primary_action_color; });
+
+      const secondaryElements = document.querySelectorAll('.btn-edit-profile, .form-input, .search-input, .chat-input');
+      secondaryElements.forEach(el => { el.style.borderColor = config.secondary_action_color || defaultConfig.secondary_action_color; });
+
+      document.getElementById('authLogo').textContent = config.app_title || defaultConfig.app_title;
+      document.getElementById('logoBtn').textContent = config.app_title || defaultConfig.app_title;
+      document.getElementById('authTagline').textContent = config.app_tagline || defaultConfig.app_tagline;
+      document.getElementById('loginBtn').textContent = config.login_button_text || defaultConfig.login_button_text;
+      document.getElementById('registerBtn').textContent = config.register_button_text || defaultConfig.register_button_text;
+      if (timelineFeed === 'friends') document.getElementById('timelineTitle').textContent = config.timeline_title || defaultConfig.timeline_title;
+      document.getElementById('searchInput').placeholder = config.search_placeholder || defaultConfig.search_placeholder;
+
+      const headings = document.querySelectorAll('.timeline-title, .search-title, .modal-title');
+      headings.forEach(el => { el.style.fontSize = `${baseSize * 1.7}px`; });
+      const largeText = document.querySelectorAll('.auth-logo, .logo');
+      largeText.forEach(el => { el.style.fontSize = `${baseSize * 2}px`; });
+    }
+  });
+
+  await restoreSession();
+  handleRoute();
+}
+
+// Utils
+// Muestra un toast temporal con un mensaje de estado.
+function showToast(message) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.add('show');
+  setTimeout(() => { toast.classList.remove('show'); }, 3000);
+}
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+// Fecha y hora legibles en español ("19 oct 2026, 10:30").
+function formatDateTime(iso) {
+  const date = new Date(iso);
+  if (isNaN(date)) return '';
+  return date.toLocaleString('es-ES', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+function formatTime(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? '' : date.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+}
+// Días naturales entre dos fechas (0 = mismo día, 1 = ayer...), en hora local.
+function daysBetween(date, now) {
+  const start = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  return Math.round((start(now) - start(date)) / 86400000);
+}
+// Separador de día del chat: "Hoy", "Ayer", el día de la semana (última semana) o la fecha.
+function formatDayLabel(iso, now = new Date()) {
+  const date = new Date(iso);
+  const days = daysBetween(date, now);
+  if (days === 0) return 'Hoy';
+  if (days === 1) return 'Ayer';
+  if (days > 1 && days < 7) return date.toLocaleDateString('es-ES', { weekday: 'long' });
+  return date.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: days > 300 ? 'numeric' : undefined });
+}
+// Hace cuánto ("ahora", "hace 5 min", "hace 3 h", "ayer", "lun", "3 oct").
+function formatRelativeTime(iso, now = new Date()) {
+  const date = new Date(iso);
+  if (isNaN(date)) return '';
+  const minutes = Math.floor((now - date) / 60000);
+  if (minutes < 1) return 'ahora';
+  if (minutes < 60) return `hace ${minutes} min`;
+  if (minutes < 12 * 60 && daysBetween(date, now) === 0) return `hace ${Math.floor(minutes / 60)} h`;
+  const days = daysBetween(date, now);
+  if (days === 0) return formatTime(iso);
+  if (days === 1) return 'ayer';
+  if (days < 7) return date.toLocaleDateString('es-ES', { weekday: 'short' });
+  return date.toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: days > 300 ? 'numeric' : undefined });
+}
+function getUsers() { return window.dataSdk.query({ where: { type: 'user' } }); }
+function getRecipes() { return window.dataSdk.query({ where: { type: 'recipe' }, sort: { field: 'timestamp', dir: 'desc' } }); }
+function getFriendships() { return window.dataSdk.query({ where: { type: 'friendship' } }); }
+function getMessages() { return window.dataSdk.query({ where: { type: 'message' }, sort: 'timestamp' }); }
+// Búsquedas por id (sin recorrer la colección).
+function getRecord(id, type) {
+  const record = window.dataSdk.get(id);
+  return record && record.type === type ? record : null;
+}
+function getUser(id) { return getRecord(id, 'user'); }
+function getRecipe(id) { return getRecord(id, 'recipe'); }
+function getComment(id) { return getRecord(id, 'comment'); }
+// Comentarios de una receta (índice recipeId), del más antiguo al más reciente.
+function getRecipeComments(recipeId) {
+  return window.dataSdk.query({ where: { type: 'comment', recipeId }, sort: 'timestamp' });
+}
+// Mensajes entre dos usuarios (índices fromUserId/toUserId). options: { limit, dir } para el último, etc.
+function getConversationMessages(a, b, { limit, dir = 'asc' } = {}) {
+  return window.dataSdk.query({
+    where: [
+      { type: 'message', fromUserId: a, toUserId: b },
+      { type: 'message', fromUserId: b, toUserId: a }
+    ],
+    sort: { field: 'timestamp', dir },
+    limit
+  });
+}
+function getUserFriends(userId) {
+  const friendships = getFriendships().filter(f => f.status === 'accepted' && (f.requesterId === userId || f.receiverId === userId));
+  const friendIds = friendships.map(f => f.requesterId === userId ? f.receiverId : f.requesterId);
+  return friendIds.map(getUser).filter(Boolean);
+}
+function areFriends(a, b) {
+  return getFriendships().some(f => f.status === 'accepted' && ((f.requesterId === a && f.receiverId === b) || (f.requesterId === b && f.receiverId === a)));
+}
+// Devuelve el registro de amistad entre dos usuarios (en cualquier dirección) o undefined.
+function getFriendship(a, b) {
+  return getFriendships().find(f => (f.requesterId === a && f.receiverId === b) || (f.requesterId === b && f.receiverId === a));
+}
+/*
+  Estado de la relación vista desde el usuario 'a':
+  - 'accepted': son amigos.
+  - 'pending_sent' / 'pending_received': solicitud pendiente enviada por 'a' / recibida por 'a'.
+  - 'declined_by_them': 'b' rechazó la solicitud de 'a' (no puede volver a enviarla).
+  - 'declined_by_me': 'a' rechazó la solicitud de 'b' (puede enviar una nueva si cambia de idea).
+  - null: sin relación.
+*/
+function getFriendshipStatus(a, b) {
+  const f = getFriendship(a, b);
+  if (!f) return null;
+  if (f.status === 'pending') return f.requesterId === a ? 'pending_sent' : 'pending_received';
+  if (f.status === 'declined') return f.requesterId === a ? 'declined_by_them' : 'declined_by_me';
+  return f.status;
+}
+// Amigos que tienen en común dos usuarios (por nombre).
+function getMutualFriends(a, b) {
+  const friendIds = new Set(getUserFriends(b).map(f => f.id));
+  return getUserFriends(a).filter(f => friendIds.has(f.id))
+    .sort((x, y) => x.username.localeCompare(y.username, 'es'));
+}
+// Solicitudes pendientes recibidas por el usuario (bandeja de entrada).
+function getIncomingFriendRequests(userId) {
+  return getFriendships()
+    .filter(f => f.status === 'pending' && f.receiverId === userId)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+// Render seguro
+/*
+  Capa de render compartida:
+  - html`...`: plantilla etiquetada que escapa TODO valor interpolado salvo fragmentos
+    ya generados con html``. Los arrays se concatenan.
+  - setHtml(el, fragmento): única vía para volcar plantillas en innerHTML.
+  - safeImageSrc(url): solo acepta data URLs de imagen en base64 bien formadas.
+  Los eventos se enlazan por delegación con atributos data-action (ver EVENT DELEGATION).
+*/
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+}
+function renderHtmlValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  return escapeHtml(value);
+}
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? renderHtmlValue(values[i]) : ''), ''));
+}
+function setHtml(el, fragment) {
+  el.innerHTML = renderHtmlValue(fragment);
+}
+
+// Solo se aceptan imágenes subidas (data URL base64 de formatos raster conocidos).
+const SAFE_IMAGE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+function safeImageSrc(url) {
+  return typeof url === 'string' && SAFE_IMAGE_DATA_URL.test(url) ? url : null;
+}
+// <img> de avatar si la foto es válida; si no, vacío (se ve el degradado del contenedor).
+function avatarHtml(user, altField = 'username') {
+  const src = safeImageSrc(user?.profilePhoto);
+  return src ? html`<img src="${src}" alt="${user[altField] || ''}" />` : '';
+}
+
+// Navigation
+// Navigation: muestra la página indicada y renderiza su contenido si aplica.
+function showPage(pageName) {
+  currentPage = pageName;
+  watchNotifications();
+  watchMessages();
+  if (currentUser) renderMessagesBadge();
+  document.getElementById('authPage').classList.add('hidden');
+  document.getElementById('timelinePage').classList.add('hidden');
+  document.getElementById('recipePage').classList.add('hidden');
+  document.getElementById('profilePage').classList.add('hidden');
+  document.getElementById('searchPage').classList.add('hidden');
+  document.getElementById('pantryPage').classList.add('hidden');
+  document.getElementById('plannerPage').classList.add('hidden');
+  document.getElementById('messagesPage').classList.add('hidden');
+  updatePlannerDock();
+
+  if (pageName === 'auth') {
+    document.getElementById('header').classList.add('hidden');
+    document.getElementById('authPage').classList.remove('hidden');
+  } else {
+    document.getElementById('header').classList.remove('hidden');
+    document.getElementById(`${pageName}Page`).classList.remove('hidden');
+    if (pageName === 'timeline') renderTimeline();
+    else if (currentPage === 'recipe') renderRecipePage();
+    else if (currentPage === 'profile') renderProfile();
+    else if (currentPage === 'search') renderSearchResults();
+    else if (currentPage === 'pantry') renderPantry();
+    else if (currentPage === 'planner') renderPlanner();
+    else if (currentPage === 'messages') renderConversations();
+  }
+}
+
+/*
+  ROUTER: la URL (hash #/...) indica la pantalla, así hay enlaces directos y funciona el botón Atrás.
+  - Rutas: #/?order=, #/explore?order=, #/recipe/:id, #/user/:username, #/profile, #/search?q=&tab=, #/pantry, #/planner,
+    #/messages, #/messages/:userId y #/login?next=.
+  - Las rutas no públicas exigen sesión: sin ella se pasa a #/login?next=<ruta> y, al iniciar
+    sesión, se vuelve a la ruta pedida.
+  - showPage solo cambia de página; para navegar se usa navigate(), que actualiza el historial.
+*/
+const ROUTES = [
+  { path: '/login', public: true, handler: () => showPage('auth') },
+  { path: '/', handler: ({ query }) => showTimelinePage('friends', query.order) },
+  { path: '/explore', handler: ({ query }) => showTimelinePage('explore', query.order) },
+  { path: '/recipe/:id', handler: ({ params, query }) => showRecipePage(params.id, query.comment) },
+  { path: '/user/:username', handler: ({ params }) => showUserPage(params.username) },
+  { path: '/profile', handler: () => showProfilePage(currentUser) },
+  { path: '/search', handler: ({ query }) => showSearchPage(query) },
+  { path: '/pantry', handler: () => showPage('pantry') },
+  { path: '/planner', handler: () => showPage('planner') },
+  { path: '/messages', handler: () => { closeChat(); showPage('messages'); } },
+  { path: '/messages/:userId', handler: ({ params }) => showChatPage(params.userId) }
+];
+
+// Construye una ruta con query string (omite los valores vacíos).
+function routePath(path, query = {}) {
+  const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value));
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+// Busca la ruta que corresponde a un hash; devuelve { route, path, params, query } o null.
+function parseRoute(hash) {
+  const [rawPath, rawQuery = ''] = String(hash || '').replace(/^#/, '').split('?');
+  const parts = rawPath.split('/').filter(Boolean);
+  const query = Object.fromEntries(new URLSearchParams(rawQuery));
+  for (const route of ROUTES) {
+    const pattern = route.path.split('/').filter(Boolean);
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    try {
+      const matches = pattern.every((segment, i) => {
+        if (segment.startsWith(':')) { params[segment.slice(1)] = decodeURIComponent(parts[i]); return true; }
+        return segment === parts[i];
+      });
+      if (matches) return { route, path: `/${parts.join('/')}`, params, query };
+    } catch {
+      return null; // segmento mal codificado (%E0...)
+    }
+  }
+  return null;
+}
+
+// Navega a una ruta: añade una entrada al historial (o reemplaza la actual) y la muestra.
+function navigate(path, { replace = false } = {}) {
+  const hash = `#${path}`;
+  if (replace) history.replaceState(null, '', hash);
+  else if (location.hash !== hash) history.pushState(null, '', hash);
+  handleRoute();
+}
+
+// Actualiza la URL sin volver a mostrar la página (p. ej. al escribir en la búsqueda).
+function replaceRoute(path) {
+  history.replaceState(null, '', `#${path}`);
+  currentRoute = parseRoute(location.hash);
+}
+
+// Muestra la ruta del hash actual aplicando la protección de sesión.
+function handleRoute() {
+  const match = parseRoute(location.hash || '#/');
+  if (!match) { navigate('/', { replace: true }); return; }
+
+  if (!match.route.public && !currentUser) {
+    navigate(routePath('/login', { next: routePath(match.path, match.query) }), { replace: true });
+    return;
+  }
+  if (match.route.path === '/login' && currentUser) {
+    navigate(routeAfterLogin(match), { replace: true });
+    return;
+  }
+
+  currentRoute = match;
+  match.route.handler(match);
+}
+
+// Ruta a la que volver tras iniciar sesión (el 'next' de #/login si es una ruta válida).
+function routeAfterLogin(match = currentRoute) {
+  const next = match?.query.next;
+  const target = next && parseRoute(next);
+  return target && !target.route.public ? next : '/';
+}
+
+function isRoute(path) {
+  return currentRoute?.route.path === path;
+}
+
+// #/ y #/explore: pestañas Amigos y Explorar del inicio; cambiar de pestaña u orden vuelve a la primera página.
+function showTimelinePage(feed, order) {
+  const nextOrder = window.feedRanking.FEED_ORDERS.includes(order) ? order : 'recent';
+  if (feed !== timelineFeed || nextOrder !== timelineOrder) {
+    timelineFeed = feed;
+    timelineOrder = nextOrder;
+    timelineLimit = TIMELINE_PAGE_SIZE;
+    window.scrollTo(0, 0);
+  }
+  showPage('timeline');
+}
+function timelineRoute(feed, order) {
+  return routePath(feed === 'explore' ? '/explore' : '/', { order: order === 'featured' ? order : '' });
+}
+
+// #/recipe/:id: la receta sola (y el comentario indicado, resaltado).
+function showRecipePage(recipeId, commentId = null) {
+  openRecipeId = recipeId;
+  showPage('recipe');
+  if (!commentId) { window.scrollTo(0, 0); return; }
+  const comment = document.querySelector(`#recipeDetail [data-comment-id="${CSS.escape(commentId)}"]`);
+  if (!comment) return;
+  comment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  comment.classList.add('highlight');
+  setTimeout(() => comment.classList.remove('highlight'), 2000);
+}
+
+// #/user/:username: perfil de cualquier usuario (el propio incluido).
+function showUserPage(username) {
+  const user = getUsers().find(u => u.username === username);
+  if (!user) { showToast('Usuario no encontrado'); navigate('/', { replace: true }); return; }
+  showProfilePage(user);
+}
+
+// Al cambiar de usuario se vuelve a la pestaña de recetas.
+function showProfilePage(user) {
+  if (profileUserId !== user.id) {
+    profileUserId = user.id;
+    profileTab = 'recipes';
+    openCollectionId = null;
+  }
+  showPage('profile');
+}
+
+// #/search?q=&tab=: la consulta y la pestaña salen de la URL.
+function showSearchPage(query) {
+  document.getElementById('searchInput').value = query.q || '';
+  showPage('search');
+  setSearchTab(query.tab === 'recipes' ? 'recipes' : 'users');
+}
+
+// #/messages/:userId: abre el chat si el usuario es amigo; si no, la lista de conversaciones.
+function showChatPage(userId) {
+  if (!getUser(userId) || !areFriends(currentUser.id, userId)) {
+    showToast('Solo puedes chatear con tus amigos');
+    navigate('/messages', { replace: true });
+    return;
+  }
+  showPage('messages');
+  selectChat(userId);
+}
+
+// Auth
+// Convierte bytes a hex y viceversa (formato de almacenamiento de hash y salt).
+function bytesToHex(bytes) {
+  return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+}
+function randomHex(byteLength) {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// Deriva el hash de una contraseña con PBKDF2-SHA256 (Web Crypto) y devuelve hex.
+async function hashPassword(password, saltHex, iterations = PASSWORD_ITERATIONS) {
+  const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: hexToBytes(saltHex), iterations },
+    keyMaterial, 256
+  );
+  return bytesToHex(bits);
+}
+
+// Genera los campos de contraseña (salt aleatorio + hash) que se guardan en el usuario.
+async function createPasswordFields(password) {
+  const passwordSalt = randomHex(16);
+  const passwordHash = await hashPassword(password, passwordSalt);
+  return { passwordHash, passwordSalt, passwordIterations: PASSWORD_ITERATIONS };
+}
+
+/*
+  Verifica la contraseña de un usuario.
+  - Cuentas nuevas: compara el hash PBKDF2 en tiempo constante.
+  - Cuentas antiguas (campo 'password' en claro): comparación directa; el login las migra.
+*/
+async function verifyPassword(user, password) {
+  if (user.passwordHash && user.passwordSalt) {
+    const hash = await hashPassword(password, user.passwordSalt, user.passwordIterations || PASSWORD_ITERATIONS);
+    if (hash.length !== user.passwordHash.length) return false;
+    let diff = 0;
+    for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ user.passwordHash.charCodeAt(i);
+    return diff === 0;
+  }
+  return typeof user.password === 'string' && user.password === password;
+}
+
+// Sustituye la contraseña en claro de una cuenta antigua por su hash.
+async function migratePlainPassword(user, password) {
+  const { password: _plain, ...rest } = user;
+  const migrated = { ...rest, ...(await createPasswordFields(password)) };
+  const result = await window.dataSdk.update(migrated);
+  return result.isOk ? migrated : user;
+}
+
+// SESSION: lee/escribe el token local de sesión.
+function readStoredSession() {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null'); }
+  catch { return null; }
+}
+function writeStoredSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+}
+
+// Crea un registro de sesión con caducidad y guarda su token en el navegador.
+async function startSession(user) {
+  const now = Date.now();
+  const token = randomHex(32);
+  const result = await window.dataSdk.create({
+    id: `s_${token}`, type: 'session', userId: user.id,
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(), timestamp: new Date(now).toISOString()
+  });
+  if (result.isOk) writeStoredSession({ token });
+}
+
+// Restaura la sesión guardada si su registro existe y no ha caducado.
+async function restoreSession() {
+  const stored = readStoredSession();
+  if (!stored?.token) return;
+
+  const session = getRecord(`s_${stored.token}`, 'session');
+  const user = session && getUser(session.userId);
+  if (!session || !user || new Date(session.expiresAt).getTime() <= Date.now()) {
+    writeStoredSession(null);
+    if (session) await window.dataSdk.delete(session.id);
+    return;
+  }
+
+  currentUser = user;
+}
+
+// Invalida la sesión actual (registro + token local).
+async function endSession() {
+  const stored = readStoredSession();
+  writeStoredSession(null);
+  if (stored?.token) await window.dataSdk.delete(`s_${stored.token}`);
+}
+
+// AUTH: manejo de inicio de sesión (login).
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const username = document.getElementById('loginUsername').value.trim();
+  const password = document.getElementById('loginPassword').value;
+
+  const submitBtn = document.getElementById('loginBtn');
+  submitBtn.disabled = true;
+
+  try {
+    let user;
+    // Con servidor las credenciales no llegan al navegador: la contraseña se comprueba allí.
+    const remote = await window.dataSdk.authenticate(username, password);
+    if (remote.error === 'unsupported') {
+      user = getUsers().find(u => u.username === username);
+      if (!user || !(await verifyPassword(user, password))) { showToast('Usuario o contraseña incorrectos'); return; }
+      if (!user.passwordHash) user = await migratePlainPassword(user, password);
+    } else if (remote.isOk) {
+      user = getUser(remote.user.id) || remote.user;
+    } else {
+      showToast(remote.error === 'invalid_credentials' ? 'Usuario o contraseña incorrectos' : 'Sin conexión con el servidor: no se puede iniciar sesión');
+      return;
+    }
+
+    await startSession(user);
+    currentUser = user;
+    document.getElementById('loginForm').reset();
+    showToast('¡Bienvenido de nuevo!'); navigate(routeAfterLogin(), { replace: true });
+  } catch (err) {
+    console.error('login error', err);
+    showToast('Error al iniciar sesión');
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+// AUTH: manejo de registro de nueva cuenta (signup).
+document.getElementById('registerForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fullName = document.getElementById('registerFullName').value.trim();
+  const username = document.getElementById('registerUsername').value.trim();
+  const password = document.getElementById('registerPassword').value;
+
+  if (getUsers().some(u => u.username === username)) { showToast('El nombre de usuario ya existe'); return; }
+
+  const submitBtn = document.getElementById('registerBtn');
+  submitBtn.disabled = true; submitBtn.textContent = 'Registrando...';
+
+  let result;
+  try {
+    result = await window.dataSdk.create({
+      id: generateId(), type: 'user', username, fullName, ...(await createPasswordFields(password)),
+      bio: 'Amante de la cocina 👨‍🍳', profilePhoto: '', timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('register error', err);
+    result = { isOk: false };
+  }
+
+  submitBtn.disabled = false;
+  submitBtn.textContent = window.elementSdk.config.register_button_text || defaultConfig.register_button_text;
+
+  if (result.isOk) { showToast('¡Cuenta creada! Ahora puedes iniciar sesión'); document.getElementById('authSwitchBtn').click(); document.getElementById('registerForm').reset(); }
+  else showToast('Error al crear la cuenta');
+});
+
+document.getElementById('authSwitchBtn').addEventListener('click', () => {
+  const loginForm = document.getElementById('loginForm');
+  const registerForm = document.getElementById('registerForm');
+  const switchText = document.getElementById('authSwitchText');
+  const switchBtn = document.getElementById('authSwitchBtn');
+
+  if (loginForm.classList.contains('hidden')) {
+    loginForm.classList.remove('hidden'); registerForm.classList.add('hidden');
+    switchText.textContent = '¿No tienes cuenta?'; switchBtn.textContent = 'Regístrate';
+  } else {
+    loginForm.classList.add('hidden'); registerForm.classList.remove('hidden');
+    switchText.textContent = '¿Ya tienes cuenta?'; switchBtn.textContent = 'Inicia sesión';
+  }
+});
+
+// Timeline
+// TIMELINE: lista recetas de amigos + propias, con me gusta y comentarios.
+/*
+  TIMELINE: se pinta por páginas (TIMELINE_PAGE_SIZE) y con clave por receta (ver renderRecipeCards),
+  así un like solo repinta su tarjeta y no se pierde lo que se escribe en las demás.
+*/
+const TIMELINE_PAGE_SIZE = 10;
+let timelineLimit = TIMELINE_PAGE_SIZE; // recetas pintadas (crece al hacer scroll)
+
+function renderTimeline() {
+  const recipesList = document.getElementById('recipesList');
+  const isExplore = timelineFeed === 'explore';
+  const recipes = rankTimeline(isExplore ? getExploreRecipes() : getTimelineRecipes());
+
+  document.getElementById('timelineTitle').textContent = isExplore
+    ? 'Explorar recetas'
+    : (window.elementSdk.config.timeline_title || defaultConfig.timeline_title);
+  document.querySelectorAll('.timeline-tabs .search-tab').forEach(el => el.classList.toggle('active', el.dataset.feed === timelineFeed));
+  document.getElementById('timelineOrder').value = timelineOrder;
+  document.getElementById('timelineMore').classList.toggle('hidden', recipes.length <= timelineLimit);
+
+  if (recipes.length === 0) {
+    setHtml(recipesList, isExplore ? html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🌍</div>
+        <div class="empty-state-text">Aún no hay recetas públicas de otros usuarios</div>
+      </div>` : html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🍳</div>
+        <div class="empty-state-text">No hay recetas aún</div>
+        <div class="empty-state-subtext">¡Sé el primero en compartir una receta!</div>
+      </div>`);
+    return;
+  }
+
+  renderRecipeCards(recipesList, recipes.slice(0, timelineLimit));
+}
+
+// Las recetas ya llegan por fecha; "Destacados" necesita además cuántos comentarios tiene cada una.
+function rankTimeline(recipes) {
+  if (timelineOrder !== 'featured') return recipes;
+  const commentCounts = Object.fromEntries(recipes.map(r => [r.id, window.dataSdk.count({ where: { type: 'comment', recipeId: r.id } })]));
+  return window.feedRanking.rankFeed(recipes, { order: 'featured', commentCounts });
+}
+
+function loadMoreTimeline() {
+  timelineLimit += TIMELINE_PAGE_SIZE;
+  renderTimeline();
+  // Si la página sigue siendo corta, el aviso de "visible" no se repetiría: se vuelve a observar.
+  if (timelineObserver) {
+    timelineObserver.unobserve(document.getElementById('timelineMore'));
+    timelineObserver.observe(document.getElementById('timelineMore'));
+  }
+}
+
+// Scroll infinito: al acercarse a #timelineMore se carga otra página (el botón queda de alternativa).
+const timelineObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver(entries => {
+    if (currentPage === 'timeline' && entries.some(entry => entry.isIntersecting)) loadMoreTimeline();
+  }, { rootMargin: '600px 0px' })
+  : null;
+timelineObserver?.observe(document.getElementById('timelineMore'));
+
+/*
+  Pintado con clave: cada tarjeta se identifica por data-recipe-id y solo se vuelve a crear si su HTML
+  cambió. Las demás se conservan tal cual (imágenes ya cargadas, foco, texto a medio escribir) y,
+  si cambia el orden, solo se mueven.
+*/
+const renderedCardMarkup = new WeakMap(); // tarjeta -> HTML con el que se pintó
+
+function renderRecipeCards(container, recipes) {
+  const existing = new Map();
+  [...container.children].forEach(el => {
+    if (renderedCardMarkup.has(el)) existing.set(el.dataset.recipeId, el);
+    else el.remove(); // estado vacío u otro contenido pintado con setHtml
+  });
+
+  let previous = null;
+  recipes.forEach(recipe => {
+    const markup = renderHtmlValue(recipeCardHtml(recipe));
+    let card = existing.get(recipe.id);
+    existing.delete(recipe.id);
+    if (!card || renderedCardMarkup.get(card) !== markup) {
+      const fresh = cardFromMarkup(markup);
+      renderedCardMarkup.set(fresh, markup);
+      if (card) replaceCard(card, fresh);
+      card = fresh;
+    }
+    const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+    if (card !== expected) container.insertBefore(card, expected);
+    previous = card;
+  });
+  existing.forEach(card => card.remove());
+}
+
+function cardFromMarkup(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = markup;
+  return template.content.firstElementChild;
+}
+
+// Sustituye una tarjeta conservando los comentarios a medio escribir, el foco y los desplegables abiertos.
+function replaceCard(oldCard, newCard) {
+  const focused = oldCard.contains(document.activeElement) ? document.activeElement : null;
+  const drafts = [...oldCard.querySelectorAll('.comment-input')].map(input => [input.id, input.value]);
+  const openDetails = [...oldCard.querySelectorAll('details[open]')].map(el => el.className);
+  oldCard.replaceWith(newCard);
+  newCard.querySelectorAll('details').forEach(el => { if (openDetails.includes(el.className)) el.open = true; });
+  drafts.forEach(([id, value]) => {
+    const input = newCard.querySelector(`#${CSS.escape(id)}`);
+    if (input) input.value = value;
+  });
+  const refocus = focused?.id && newCard.querySelector(`#${CSS.escape(focused.id)}`);
+  if (refocus) {
+    refocus.focus();
+    if (typeof focused.selectionStart === 'number') refocus.setSelectionRange(focused.selectionStart, focused.selectionEnd);
+  }
+}
+
+// RECIPE PAGE: una sola receta (#/recipe/:id); el autor ve también sus controles.
+function renderRecipePage() {
+  const recipeDetail = document.getElementById('recipeDetail');
+  const recipe = getRecipe(openRecipeId);
+
+  if (!recipe || !canViewRecipe(recipe)) {
+    setHtml(recipeDetail, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🔒</div>
+        <div class="empty-state-text">Receta no disponible</div>
+        <div class="empty-state-subtext">Se ha eliminado o su autor no la comparte contigo.</div>
+      </div>`);
+    return;
+  }
+
+  setHtml(recipeDetail, recipeCardHtml(recipe, { ownerActions: recipe.authorId === currentUser.id }));
+}
+
+// Icono con quién puede ver la receta (la visibilidad efectiva, que tiene en cuenta la cuenta del autor).
+function recipeVisibilityBadgeHtml(recipe, author) {
+  const { VISIBILITIES, effectiveVisibility } = window.privacyRules;
+  const visibility = VISIBILITIES[effectiveVisibility(recipe, author)];
+  return html`<span class="recipe-visibility" title="${visibility.label}">${visibility.icon}</span>`;
+}
+
+/*
+  Tarjeta de receta compartida por timeline y perfil.
+  - options.ownerActions: muestra editar/historial/eliminar (solo en el perfil del autor).
+*/
+function recipeCardHtml(rawRecipe, options = {}) {
+  const recipe = window.recipeModel.normalizeRecipe(rawRecipe);
+  const author = getUser(recipe.authorId);
+  const isLiked = recipe.likedBy.includes(currentUser.id);
+  const isSaved = Boolean(getSavedRecipe(currentUser.id, recipe.id));
+
+  // Foto subida (data URL validada) o emoji; un data: no válido cae al emoji por defecto.
+  const imageSrc = safeImageSrc(recipe.recipeImage);
+  const emoji = recipe.recipeImage && !String(recipe.recipeImage).startsWith('data:') ? recipe.recipeImage : '🍕';
+  // La imagen sirve de asa para arrastrar la receta al plan semanal.
+  const imageHtml = imageSrc
+    ? html`<div class="recipe-image" draggable="true" data-drag-recipe="${recipe.id}" title="Arrastra al plan semanal"><img src="${imageSrc}" alt="${recipe.recipeTitle || 'receta'}" draggable="false" loading="lazy" decoding="async" /></div>`
+    : html`<div class="recipe-image" draggable="true" data-drag-recipe="${recipe.id}" title="Arrastra al plan semanal">${emoji}</div>`;
+
+  return html`
+    <div class="recipe-card" data-recipe-id="${recipe.id}">
+      <div class="recipe-header">
+        <div class="recipe-author-photo">${avatarHtml(author)}</div>
+        ${author
+          ? html`<button type="button" class="recipe-author-name" data-action="open-user" data-id="${author.id}">${author.username}</button>`
+          : html`<div class="recipe-author-name">${recipe.authorName || 'Usuario'}</div>`}
+        ${recipe.editedAt ? html`<span class="recipe-edited" title="Editado el ${formatDateTime(recipe.editedAt)}">· editado</span>` : ''}
+        ${recipeVisibilityBadgeHtml(rawRecipe, author)}
+      </div>
+      ${imageHtml}
+      <div class="recipe-actions">
+        <button class="action-btn ${isLiked ? 'liked' : ''}" data-action="toggle-like" data-id="${recipe.id}">${isLiked ? '❤️' : '🤍'}</button>
+        <button class="action-btn" data-action="focus-comment" data-id="${recipe.id}">💬</button>
+        <button class="action-btn btn-save ${isSaved ? 'saved' : ''}" data-action="save-recipe" data-id="${recipe.id}" title="${isSaved ? 'Guardada' : 'Guardar'}">🔖</button>
+        <button class="action-btn" data-action="share-recipe" data-id="${recipe.id}" title="Compartir o imprimir">📤</button>
+        ${options.ownerActions ? html`
+          <button class="action-btn" data-action="edit-recipe" data-id="${recipe.id}" title="Editar receta">✏️</button>
+          ${recipe.recipeRevisions?.length ? html`<button class="action-btn" data-action="recipe-history" data-id="${recipe.id}" title="Historial de cambios">🕘</button>` : ''}
+          <button class="action-btn btn-delete" data-action="delete-recipe" data-id="${recipe.id}" title="Eliminar receta">🗑️</button>` : ''}
+      </div>
+      <div class="recipe-likes">${recipe.likes || 0} me gusta</div>
+      ${recipeFeedbackHtml(recipe)}
+      <div class="recipe-content">
+        <div class="recipe-title"><a href="#/recipe/${encodeURIComponent(recipe.id)}">${recipe.recipeTitle}</a></div>
+        <div class="recipe-description">${recipe.recipeDescription}</div>
+        ${recipeMetaHtml(recipe)}
+        <div class="recipe-scalable">${recipeScalableHtml(recipe)}</div>
+      </div>
+      <div class="comment-threads">${recipeCommentsHtml(recipe)}</div>
+      <div class="recipe-comments">
+        ${commentFormHtml(recipe.id)}
+      </div>
+    </div>`;
+}
+
+const DIFFICULTY_LABELS = { facil: 'Fácil', media: 'Media', dificil: 'Difícil' };
+
+// Línea de metadatos (raciones, tiempos, dificultad); vacía si la receta no tiene ninguno.
+function recipeMetaHtml(recipe) {
+  const totalTime = (recipe.recipePrepTime || 0) + (recipe.recipeCookTime || 0);
+  const parts = [
+    recipe.recipeServings && `🍽️ ${recipe.recipeServings} raciones`,
+    recipe.recipePrepTime && `🔪 ${recipe.recipePrepTime} min prep.`,
+    recipe.recipeCookTime && `🔥 ${recipe.recipeCookTime} min cocción`,
+    totalTime && (recipe.recipePrepTime && recipe.recipeCookTime) && `⏱️ ${totalTime} min total`,
+    recipe.recipeDifficulty && `📊 ${DIFFICULTY_LABELS[recipe.recipeDifficulty]}`
+  ].filter(Boolean);
+  if (parts.length === 0) return '';
+  return html`<div class="recipe-meta">${parts.map(p => html`<span>${p}</span>`)}</div>`;
+}
+
+/*
+  SERVINGS SCALER: estado por receta (raciones elegidas y sistema de unidades).
+  Se guarda fuera del DOM para que sobreviva a los re-render del feed.
+*/
+const recipeScaleState = new Map();
+const UNIT_SYSTEM_LABELS = { original: 'Unidades originales', metric: 'Métrico', imperial: 'Imperial' };
+
+function getRecipeScaleState(recipe) {
+  return recipeScaleState.get(recipe.id) || { servings: recipe.recipeServings || 1, system: 'original' };
+}
+
+// Control de raciones + ingredientes y pasos ya escalados/convertidos.
+function recipeScalableHtml(recipe) {
+  const state = getRecipeScaleState(recipe);
+  const { ingredients, steps } = window.recipeScale.scaleRecipe(recipe, state.servings, state.system);
+  // Sin raciones declaradas el control actúa como multiplicador (×1, ×2…).
+  const servingsLabel = recipe.recipeServings ? `${state.servings} ${state.servings === 1 ? 'ración' : 'raciones'}` : `×${state.servings}`;
+
+  return html`
+    <div class="recipe-scaler">
+      <button type="button" class="scaler-btn" data-action="scale-servings" data-id="${recipe.id}" data-delta="-1" ${state.servings <= 1 ? 'disabled' : ''} title="Menos raciones">−</button>
+      <span class="scaler-value">${servingsLabel}</span>
+      <button type="button" class="scaler-btn" data-action="scale-servings" data-id="${recipe.id}" data-delta="1" title="Más raciones">+</button>
+      <select class="scaler-units" data-action="convert-units" data-id="${recipe.id}">
+        ${Object.entries(UNIT_SYSTEM_LABELS).map(([value, label]) => html`<option value="${value}" ${state.system === value ? 'selected' : ''}>${label}</option>`)}
+      </select>
+    </div>
+    <div class="recipe-details">
+      <div class="recipe-section-title">Ingredientes:</div>
+      <ul class="recipe-list">
+        ${ingredients.map(row => ingredientItemHtml(row))}
+      </ul>
+    </div>
+    <div class="recipe-details">
+      <div class="recipe-section-title">Pasos:</div>
+      <ol class="recipe-list">
+        ${steps.map(step => html`<li>${step}</li>`)}
+      </ol>
+    </div>`;
+}
+
+// Actualiza el estado de escalado y re-renderiza solo la parte afectada de la tarjeta.
+function updateRecipeScale(recipeId, changes) {
+  const rawRecipe = getRecipe(recipeId);
+  if (!rawRecipe) return;
+  const recipe = window.recipeModel.normalizeRecipe(rawRecipe);
+  const state = { ...getRecipeScaleState(recipe), ...changes };
+  state.servings = Math.min(99, Math.max(1, state.servings));
+  recipeScaleState.set(recipeId, state);
+
+  document.querySelectorAll(`.recipe-card[data-recipe-id="${CSS.escape(recipeId)}"] .recipe-scalable`)
+    .forEach(el => setHtml(el, recipeScalableHtml(recipe)));
+}
+
+// Ingrediente con la cantidad+unidad resaltada.
+function ingredientItemHtml(row) {
+  const { amount, name } = window.recipeModel.formatIngredientParts(row);
+  if (!amount) return html`<li>${name}</li>`;
+  return html`<li><span class="ingredient-qty">${amount}</span> ${name}</li>`;
+}
+
+// Alterna el 'me gusta' del usuario actual sobre una receta.
+async function toggleLike(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return;
+  // Se decide con lo que ve el usuario y se aplica sobre la versión más reciente (modify),
+  // para no perder likes o comentarios hechos a la vez en otra pestaña.
+  const like = !recipe.likedBy.includes(currentUser.id);
+  const result = await window.dataSdk.modify(recipeId, latest => {
+    const others = latest.likedBy.filter(id => id !== currentUser.id);
+    const likedBy = like ? [...others, currentUser.id] : others;
+    return { ...latest, likedBy, likes: likedBy.length };
+  });
+  if (!result.isOk) { showToast('Error al actualizar el me gusta'); return; }
+  if (like) await sendNotification('recipe_like', recipe.authorId, { recipeId });
+  else await withdrawNotification('recipe_like', { recipeId });
+}
+
+/*
+  COMMENTS: registros 'comment' con hilos de un nivel (parentId), likes y menciones @usuario.
+  - El autor puede editar y borrar sus comentarios; el autor de la receta puede borrar cualquiera.
+  - Borrar un comentario raíz borra también sus respuestas.
+  El formulario de respuesta o edición abierto se guarda aquí para que sobreviva a los re-render.
+*/
+let replyingToCommentId = null;
+let editingCommentId = null;
+
+function commentAuthorName(comment) {
+  return getUser(comment.authorId)?.username || window.accountArchive.DELETED_USER_NAME;
+}
+
+// Texto de un comentario con las menciones a usuarios existentes como enlaces a su perfil.
+function commentTextHtml(text) {
+  return window.commentThreads.splitMentions(text, getUsers()).map(part => (part.user
+    ? html`<button type="button" class="mention" data-action="open-user" data-id="${part.user.id}">${part.text}</button>`
+    : part.text));
+}
+
+/*
+  Formulario de comentario con autocompletado de menciones.
+  - options.parentId: responde a ese comentario. options.comment: edita ese comentario.
+*/
+function commentFormHtml(recipeId, { parentId = null, comment = null } = {}) {
+  const action = comment ? 'edit-comment' : 'add-comment';
+  const inputId = comment ? `comment-edit-${comment.id}` : parentId ? `comment-reply-${parentId}` : `comment-${recipeId}`;
+  const placeholder = parentId ? `Responde a @${commentAuthorName(getComment(parentId) || {})}...` : 'Añade un comentario...';
+  return html`
+    <form class="comment-form" data-action="${action}" data-id="${comment ? comment.id : recipeId}" data-parent="${parentId || ''}">
+      <div class="comment-input-wrap">
+        <input type="text" class="comment-input" id="${inputId}" placeholder="${placeholder}" value="${comment ? comment.text : ''}" autocomplete="off" required />
+        <div class="mention-suggestions hidden"></div>
+      </div>
+      <button type="submit" class="btn-comment">${comment ? 'Guardar' : 'Publicar'}</button>
+      ${comment || parentId ? html`<button type="button" class="btn-comment-cancel" data-action="cancel-comment-form">Cancelar</button>` : ''}
+    </form>`;
+}
+
+function commentHtml(comment, recipe) {
+  if (comment.id === editingCommentId) return html`<div class="comment">${commentFormHtml(recipe.id, { comment })}</div>`;
+  const isAuthor = comment.authorId === currentUser.id;
+  const isLiked = comment.likedBy.includes(currentUser.id);
+  const authorLink = getUser(comment.authorId)
+    ? html`<button type="button" class="comment-author" data-action="open-user" data-id="${comment.authorId}">${commentAuthorName(comment)}</button>`
+    : html`<span class="comment-author">${commentAuthorName(comment)}</span>`;
+  return html`
+    <div class="comment" data-comment-id="${comment.id}">
+      ${authorLink}${commentTextHtml(comment.text)}
+      <div class="comment-meta">
+        <span>${formatDateTime(comment.timestamp)}${comment.editedAt ? ' · editado' : ''}</span>
+        <button type="button" class="comment-link ${isLiked ? 'liked' : ''}" data-action="toggle-comment-like" data-id="${comment.id}">${isLiked ? '❤️' : '🤍'}${comment.likes ? ` ${comment.likes}` : ''}</button>
+        <button type="button" class="comment-link" data-action="reply-comment" data-id="${comment.id}">Responder</button>
+        ${isAuthor ? html`<button type="button" class="comment-link" data-action="start-edit-comment" data-id="${comment.id}">Editar</button>` : ''}
+        ${isAuthor || recipe.authorId === currentUser.id ? html`<button type="button" class="comment-link" data-action="delete-comment" data-id="${comment.id}">Eliminar</button>` : ''}
+      </div>
+    </div>`;
+}
+
+// Hilos de comentarios de una receta (vacío si no hay ninguno).
+function recipeCommentsHtml(recipe) {
+  const threads = window.commentThreads.buildThreads(getRecipeComments(recipe.id));
+  if (threads.length === 0) return '';
+  return html`
+    <div class="recipe-comments">
+      ${threads.map(({ comment, replies }) => html`
+        <div class="comment-thread">
+          ${commentHtml(comment, recipe)}
+          ${replies.length || replyingToCommentId === comment.id ? html`
+            <div class="comment-replies">
+              ${replies.map(reply => commentHtml(reply, recipe))}
+              ${replyingToCommentId === comment.id ? commentFormHtml(recipe.id, { parentId: comment.id }) : ''}
+            </div>` : ''}
+        </div>`)}
+    </div>`;
+}
+
+// Re-renderiza solo los comentarios de una receta (sin tocar el formulario principal).
+function refreshRecipeComments(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return;
+  document.querySelectorAll(`.recipe-card[data-recipe-id="${CSS.escape(recipeId)}"] .comment-threads`)
+    .forEach(el => setHtml(el, recipeCommentsHtml(recipe)));
+}
+
+// Abre el formulario de respuesta (o de edición) de un comentario y le da el foco.
+function openCommentForm(commentId, mode) {
+  const comment = getComment(commentId);
+  if (!comment) return;
+  const rootId = window.commentThreads.threadRootId(comment);
+  replyingToCommentId = mode === 'reply' ? rootId : null;
+  editingCommentId = mode === 'edit' ? comment.id : null;
+  refreshRecipeComments(comment.recipeId);
+  const input = document.getElementById(mode === 'reply' ? `comment-reply-${rootId}` : `comment-edit-${comment.id}`);
+  if (!input) return;
+  // Responder a una respuesta menciona a su autor.
+  if (mode === 'reply' && comment.parentId && comment.authorId !== currentUser.id) input.value = `@${commentAuthorName(comment)} `;
+  input.focus();
+}
+function closeCommentForms(recipeId) {
+  replyingToCommentId = null;
+  editingCommentId = null;
+  refreshRecipeComments(recipeId);
+}
+
+// Agrega un comentario (o una respuesta, si el formulario trae data-parent) a una receta.
+async function addComment(event, recipeId) {
+  event.preventDefault();
+  const form = event.target;
+  const input = form.querySelector('.comment-input');
+  const commentText = input.value.trim();
+  if (!commentText) return;
+
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return;
+
+  const parentId = form.dataset.parent || null;
+  const comment = {
+    id: generateId(), type: 'comment', recipeId, authorId: currentUser.id, parentId,
+    text: commentText, mentions: window.commentThreads.extractMentions(commentText, getUsers()),
+    likes: 0, likedBy: [], timestamp: new Date().toISOString()
+  };
+  const result = await window.dataSdk.create(comment);
+  if (!result.isOk) { showToast('Error al añadir el comentario'); return; }
+  input.value = '';
+  if (parentId) closeCommentForms(recipeId);
+  await pushNotifications(window.notificationCenter.commentNotifications(comment, { recipe, parent: getComment(parentId) }));
+}
+
+// Guarda la edición de un comentario propio.
+async function editComment(event, commentId) {
+  event.preventDefault();
+  const text = event.target.querySelector('.comment-input').value.trim();
+  const comment = getComment(commentId);
+  if (!text || !comment || comment.authorId !== currentUser.id) return;
+  if (text === comment.text) { closeCommentForms(comment.recipeId); return; }
+
+  const mentions = window.commentThreads.extractMentions(text, getUsers());
+  const result = await window.dataSdk.modify(commentId, latest => ({ ...latest, text, mentions, editedAt: new Date().toISOString() }));
+  if (!result.isOk) { showToast('Error al guardar el comentario'); return; }
+  closeCommentForms(comment.recipeId);
+  // Solo se avisa a quien se menciona por primera vez en la edición.
+  const added = mentions.filter(id => !(comment.mentions || []).includes(id));
+  if (added.length) {
+    await pushNotifications(window.notificationCenter.commentNotifications(getComment(commentId), { recipe: getRecipe(comment.recipeId), onlyMentions: added }));
+  }
+}
+
+// Borra un comentario (su autor o el autor de la receta) junto con sus respuestas.
+async function deleteComment(commentId) {
+  const comment = getComment(commentId);
+  if (!comment) return;
+  const recipe = getRecipe(comment.recipeId);
+  if (comment.authorId !== currentUser.id && recipe?.authorId !== currentUser.id) { showToast('No puedes eliminar este comentario'); return; }
+
+  const replies = comment.parentId ? [] : getRecipeComments(comment.recipeId).filter(c => c.parentId === comment.id);
+  const ok = confirm(replies.length ? `¿Eliminar el comentario y sus ${replies.length} respuestas?` : '¿Eliminar el comentario?');
+  if (!ok) return;
+
+  let failed = false;
+  for (const c of [...replies, comment]) {
+    if ((await window.dataSdk.delete(c.id)).isOk) await removeNotificationsFor('commentId', c.id);
+    else failed = true;
+  }
+  if (failed) showToast('Error al eliminar el comentario');
+}
+
+// Alterna el 'me gusta' del usuario actual sobre un comentario (recalculado sobre la última versión).
+async function toggleCommentLike(commentId) {
+  const comment = getComment(commentId);
+  if (!comment) return;
+  const like = !comment.likedBy.includes(currentUser.id);
+  const result = await window.dataSdk.modify(commentId, latest => {
+    const others = latest.likedBy.filter(id => id !== currentUser.id);
+    const likedBy = like ? [...others, currentUser.id] : others;
+    return { ...latest, likedBy, likes: likedBy.length };
+  });
+  if (!result.isOk) { showToast('Error al actualizar el me gusta'); return; }
+  if (like) await sendNotification('comment_like', comment.authorId, { recipeId: comment.recipeId, commentId });
+  else await withdrawNotification('comment_like', { commentId });
+}
+// La misma receta puede estar pintada en varias páginas: se busca el campo en la visible.
+function focusComment(recipeId) {
+  document.getElementById(`${currentPage}Page`)?.querySelector(`#${CSS.escape(`comment-${recipeId}`)}`)?.focus();
+}
+
+// MENTIONS: sugerencias de amigos al escribir "@" en un comentario.
+function updateMentionSuggestions(input) {
+  const box = input.parentElement.querySelector('.mention-suggestions');
+  const mention = window.commentThreads.mentionAtCaret(input.value, input.selectionStart ?? input.value.length);
+  const users = mention ? window.commentThreads.suggestMentions(getUserFriends(currentUser.id), mention.query) : [];
+  box.classList.toggle('hidden', users.length === 0);
+  setHtml(box, users.map(u => html`
+    <button type="button" class="mention-suggestion" data-action="pick-mention" data-username="${u.username}">
+      <span class="mention-suggestion-photo">${avatarHtml(u)}</span>@${u.username}
+    </button>`));
+}
+// Sustituye la mención que se está escribiendo por "@username ".
+function pickMention(button) {
+  const input = button.closest('.comment-input-wrap').querySelector('.comment-input');
+  const caret = input.selectionStart ?? input.value.length;
+  const mention = window.commentThreads.mentionAtCaret(input.value, caret);
+  if (!mention) return;
+  const inserted = `@${button.dataset.username} `;
+  input.value = input.value.slice(0, mention.start) + inserted + input.value.slice(caret);
+  input.focus();
+  input.setSelectionRange(mention.start + inserted.length, mention.start + inserted.length);
+  updateMentionSuggestions(input);
+}
+document.addEventListener('input', (e) => {
+  if (e.target.classList?.contains('comment-input')) updateMentionSuggestions(e.target);
+});
+document.addEventListener('keydown', (e) => {
+  if (!e.target.classList?.contains('comment-input')) return;
+  const box = e.target.parentElement.querySelector('.mention-suggestions');
+  if (box.classList.contains('hidden')) return;
+  if (e.key === 'Enter' || e.key === 'Tab') {
+    e.preventDefault();
+    pickMention(box.querySelector('.mention-suggestion'));
+  } else if (e.key === 'Escape') {
+    box.classList.add('hidden');
+  }
+});
+
+// Perfil de un usuario (ruta #/user/:username, ver showUserPage).
+function openUserProfile(userId) {
+  const user = getUser(userId);
+  if (!user) return;
+  navigate(`/user/${encodeURIComponent(user.username)}`);
+}
+
+// New recipe modal
+// NEW RECIPE MODAL: abrir/cerrar y publicar una nueva receta.
+document.getElementById('newRecipeBtn').addEventListener('click', () => openRecipeModal());
+
+// Receta en edición (null = publicar una nueva).
+let editingRecipeId = null;
+// Versión del contenido que se abrió en el editor (editedAt/timestamp): si cambia antes de
+// guardar es que se editó en otra pestaña. Los likes y comentarios no cuentan.
+let editingRecipeVersion = null;
+// Foto (data URL) que trajo una receta importada; se usa si no se sube otra.
+let importedRecipeImage = null;
+
+// Abre el modal vacío (nueva receta) o prellenado con una receta propia (edición).
+function openRecipeModal(recipe = null) {
+  editingRecipeId = recipe ? recipe.id : null;
+  editingRecipeVersion = recipe ? (recipe.editedAt || recipe.timestamp) : null;
+  importedRecipeImage = null;
+  const form = document.getElementById('newRecipeForm');
+  form.reset();
+  document.getElementById('recipeImportBox').open = false;
+  fillRecipeForm(recipe);
+
+  const hasPhoto = Boolean(safeImageSrc(recipe?.recipeImage));
+  document.getElementById('recipeImageCurrent').classList.toggle('hidden', !hasPhoto);
+  document.getElementById('recipeModalTitle').textContent = recipe ? 'Editar Receta' : 'Nueva Receta';
+  document.getElementById('submitRecipeBtn').textContent = recipeSubmitLabel();
+  document.getElementById('newRecipeModal').classList.add('active');
+}
+// Rellena los campos y el editor de filas con el contenido de una receta (o los vacía).
+function fillRecipeForm(recipe) {
+  resetRecipeEditor(recipe);
+  const data = recipe ? window.recipeModel.normalizeRecipe(recipe) : null;
+  document.getElementById('recipeTitle').value = data?.recipeTitle || '';
+  document.getElementById('recipeDescription').value = data?.recipeDescription || '';
+  document.getElementById('recipeServings').value = data?.recipeServings || '';
+  document.getElementById('recipePrepTime').value = data?.recipePrepTime || '';
+  document.getElementById('recipeCookTime').value = data?.recipeCookTime || '';
+  document.getElementById('recipeDifficulty').value = data?.recipeDifficulty || '';
+  document.getElementById('recipeVisibility').value = window.privacyRules.recipeVisibility(recipe);
+  document.getElementById('recipeVisibilityHint').classList.toggle('hidden', !currentUser.privateAccount);
+}
+
+// Importa el texto pegado (JSON-LD, HTML con JSON-LD o Markdown) y prellena el formulario para revisarlo.
+function importRecipeText() {
+  const input = document.getElementById('recipeImportText');
+  if (!input.value.trim()) { showToast('Pega primero el texto de la receta'); return; }
+  let content;
+  try {
+    content = window.recipeFormats.parseRecipeText(input.value);
+  } catch (err) {
+    showToast(err instanceof SyntaxError ? 'El JSON-LD no es válido' : err.message);
+    return;
+  }
+  fillRecipeForm(content);
+  importedRecipeImage = safeImageSrc(content.recipeImage);
+  input.value = '';
+  document.getElementById('recipeImportBox').open = false;
+  const missing = [!content.recipeIngredients.length && 'ingredientes', !content.recipeSteps.length && 'pasos'].filter(Boolean);
+  showToast(missing.length ? `Receta importada sin ${missing.join(' ni ')}. Complétala antes de publicar.` : 'Receta importada. Revísala antes de publicar.');
+}
+function recipeSubmitLabel() { return editingRecipeId ? 'Guardar Cambios' : 'Publicar Receta'; }
+function closeRecipeModal() {
+  editingRecipeId = null;
+  document.getElementById('newRecipeModal').classList.remove('active');
+}
+
+// RECIPE EDITOR: filas dinámicas de ingredientes (cantidad/unidad/nombre) y pasos.
+function ingredientRowHtml(row = {}) {
+  const { formatQuantity } = window.recipeModel;
+  return html`
+    <div class="editor-row ingredient-row">
+      <input type="text" class="form-input ingredient-qty-input" placeholder="Cant." value="${formatQuantity(row.quantity, row.unit)}" >
+      <input type="text" class="form-input ingredient-unit-input" placeholder="Unidad" list="unitOptions" value="${row.unit || ''}" >
+      <input type="text" class="form-input ingredient-name-input" placeholder="Ingrediente" value="${row.name || ''}" >
+      <button type="button" class="btn-remove-row" data-action="remove-editor-row" title="Quitar">×</button>
+    </div>`;
+}
+function stepRowHtml(step = '') {
+  return html`
+    <li class="editor-row step-row">
+      <textarea class="form-input step-input" rows="2" placeholder="Describe el paso">${step}</textarea>
+      <button type="button" class="btn-remove-row" data-action="remove-editor-row" title="Quitar">×</button>
+    </li>`;
+}
+function appendEditorRow(containerId, fragment) {
+  const container = document.getElementById(containerId);
+  const template = document.createElement('template');
+  setHtml(template, fragment);
+  const row = template.content.firstElementChild;
+  container.appendChild(row);
+  return row;
+}
+function addIngredientRow(row) { return appendEditorRow('ingredientRows', ingredientRowHtml(row)); }
+function addStepRow(step) { return appendEditorRow('stepRows', stepRowHtml(step)); }
+function removeEditorRow(button) {
+  const row = button.closest('.editor-row');
+  const container = row.parentElement;
+  row.remove();
+  // Siempre queda al menos una fila vacía para escribir.
+  if (container.children.length === 0) {
+    if (container.id === 'ingredientRows') addIngredientRow();
+    else addStepRow();
+  }
+}
+
+// Vacía el editor y, si se pasa una receta, lo rellena con sus datos estructurados.
+function resetRecipeEditor(recipe = null) {
+  const data = recipe ? window.recipeModel.normalizeRecipe(recipe) : null;
+  setHtml(document.getElementById('ingredientRows'), '');
+  setHtml(document.getElementById('stepRows'), '');
+  (data?.recipeIngredients.length ? data.recipeIngredients : [{}]).forEach(row => addIngredientRow(row));
+  (data?.recipeSteps.length ? data.recipeSteps : ['']).forEach(step => addStepRow(step));
+}
+
+// Lee las filas del editor; las filas sin nombre/texto se ignoran.
+function readRecipeEditor() {
+  const { parseQuantity, normalizeUnit } = window.recipeModel;
+  const ingredients = Array.from(document.querySelectorAll('#ingredientRows .ingredient-row')).map(row => ({
+    quantity: parseQuantity(row.querySelector('.ingredient-qty-input').value),
+    unit: normalizeUnit(row.querySelector('.ingredient-unit-input').value),
+    name: row.querySelector('.ingredient-name-input').value.trim()
+  })).filter(row => row.name);
+  const steps = Array.from(document.querySelectorAll('#stepRows .step-input'))
+    .map(input => input.value.trim()).filter(Boolean);
+  return { ingredients, steps };
+}
+document.getElementById('closeRecipeModal').addEventListener('click', closeRecipeModal);
+// NEW RECIPE: submit mejorado con lectura/redimensionado y restauración segura del botón
+document.getElementById('newRecipeForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const title = document.getElementById('recipeTitle').value.trim();
+  const description = document.getElementById('recipeDescription').value.trim();
+  const { ingredients, steps } = readRecipeEditor();
+  const servings = Number(document.getElementById('recipeServings').value) || null;
+  const prepTime = Number(document.getElementById('recipePrepTime').value) || null;
+  const cookTime = Number(document.getElementById('recipeCookTime').value) || null;
+  const difficulty = document.getElementById('recipeDifficulty').value;
+  const visibility = window.privacyRules.recipeVisibility({ visibility: document.getElementById('recipeVisibility').value });
+
+  if (ingredients.length === 0) { showToast('Añade al menos un ingrediente'); return; }
+  if (steps.length === 0) { showToast('Añade al menos un paso'); return; }
+
+  const fileInput = document.getElementById('recipeImageFile');
+  const file = fileInput && fileInput.files && fileInput.files[0] ? fileInput.files[0] : null;
+
+  const submitBtn = document.getElementById('submitRecipeBtn');
+  submitBtn.disabled = true;
+  submitBtn.textContent = editingRecipeId ? 'Guardando...' : 'Publicando...';
+
+  let imageDataUrl = null;
+  try {
+    if (file) {
+      imageDataUrl = await readAndResizeImage(file, 1200, 0.8); // redimensiona para evitar errores de tamaño
+    }
+  } catch (err) {
+    console.error('Error procesando imagen receta:', err);
+    showToast('Error al procesar la imagen. Usa otra imagen o prueba menor tamaño.');
+    submitBtn.disabled = false;
+    submitBtn.textContent = recipeSubmitLabel();
+    return;
   }
-};
 
-// Initialize SDK
-// Initialize SDK: arranca dataSdk y elementSdk y aplica la configuración visual.
-async function initApp() {
-  const initResult = await window.dataSdk.init(dataHandler);
-  if (!initResult.isOk) { showToast('Error al inicializar la aplicación'); return; }
+  const content = {
+    recipeTitle: title, recipeDescription: description,
+    recipeIngredients: ingredients, recipeSteps: steps,
+    recipeServings: servings, recipePrepTime: prepTime, recipeCookTime: cookTime, recipeDifficulty: difficulty,
+    visibility
+  };
+
+  try {
+    if (editingRecipeId) {
+      const recipe = getRecipe(editingRecipeId);
+      if (!recipe || recipe.authorId !== currentUser.id) { showToast('No puedes editar esta receta'); return; }
+      if ((recipe.editedAt || recipe.timestamp) !== editingRecipeVersion) {
+        // Se conserva lo escrito; un segundo "Guardar" sobrescribe la otra edición a conciencia.
+        editingRecipeVersion = recipe.editedAt || recipe.timestamp;
+        showToast('La receta se editó en otra pestaña. Guarda de nuevo para sobrescribir esos cambios.');
+        return;
+      }
+
+      // La foto se conserva salvo que se suba otra o se marque "Quitar foto".
+      const removeImage = document.getElementById('recipeImageRemove').checked;
+      const recipeImage = imageDataUrl || (removeImage ? '🍕' : importedRecipeImage || recipe.recipeImage);
+      const result = await saveRecipeRevision(recipe, { ...content, recipeImage });
+
+      if (result.isOk) {
+        showToast('Receta actualizada');
+        closeRecipeModal();
+      } else if (result.error === 'conflict') {
+        showToast('La receta cambió en otra pestaña. Revisa los cambios y vuelve a guardar.');
+      } else {
+        showToast('Error al guardar los cambios');
+      }
+      return;
+    }
+
+    const result = await window.dataSdk.create({
+      id: generateId(), type: 'recipe', ...content,
+      recipeImage: imageDataUrl || importedRecipeImage || '🍕', authorId: currentUser.id, authorName: currentUser.username,
+      likes: 0, likedBy: [], timestamp: new Date().toISOString()
+    });
+
+    if (result.isOk) {
+      showToast('¡Receta publicada!');
+      closeRecipeModal();
+      document.getElementById('newRecipeForm').reset();
+      resetRecipeEditor();
+    } else {
+      showToast('Error al publicar la receta');
+    }
+  } catch (err) {
+    console.error('save recipe error', err);
+    showToast(editingRecipeId ? 'Error al guardar los cambios' : 'Error al publicar la receta');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = recipeSubmitLabel();
+  }
+});
+
+/*
+  RATINGS & COOK LOGS: valoración de 1 a 5 estrellas y entradas de "lo cociné" (ver recipe_stats.js).
+  - La valoración es un registro por usuario y receta; volver a pulsar la misma estrella la quita.
+  - El autor no puede valorar sus recetas, pero sí anotar que las ha cocinado.
+*/
+let cookingRecipeId = null;
+
+function getRecipeRatings(recipeId) {
+  return window.dataSdk.query({ where: { type: 'rating', recipeId } });
+}
+function getRecipeCookLogs(recipeId) {
+  return window.dataSdk.query({ where: { type: 'cooklog', recipeId }, sort: { field: 'timestamp', dir: 'desc' } });
+}
+
+async function rateRecipe(recipeId, stars) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe || !canViewRecipe(recipe)) return;
+  if (recipe.authorId === currentUser.id) { showToast('No puedes valorar tus propias recetas'); return; }
+
+  const id = window.recipeStats.ratingId(recipeId, currentUser.id);
+  const existing = getRecord(id, 'rating');
+  const timestamp = new Date().toISOString();
+  let result;
+  if (existing?.stars === stars) result = await window.dataSdk.delete(id);
+  else if (existing) result = await window.dataSdk.modify(id, latest => ({ ...latest, stars, timestamp }));
+  else result = await window.dataSdk.create({ id, type: 'rating', recipeId, userId: currentUser.id, stars, timestamp });
+  if (!result.isOk) showToast('Error al guardar la valoración');
+}
+
+// Estrellas (la valoración propia rellena), media y botón "Lo cociné" bajo los likes de la tarjeta.
+function recipeFeedbackHtml(recipe) {
+  const { MAX_STARS, ratingId, ratingSummary, cookSummary } = window.recipeStats;
+  const rating = ratingSummary(getRecipeRatings(recipe.id));
+  const logs = getRecipeCookLogs(recipe.id);
+  const cooks = cookSummary(logs);
+  const isAuthor = recipe.authorId === currentUser.id;
+  const myStars = getRecord(ratingId(recipe.id, currentUser.id), 'rating')?.stars || 0;
+  const stars = Array.from({ length: MAX_STARS }, (_, i) => i + 1);
+
+  return html`
+    <div class="recipe-feedback">
+      <div class="rating-stars" title="${isAuthor ? 'Valoración media' : 'Tu valoración'}">
+        ${stars.map(n => html`<button type="button" class="rating-star ${n <= (isAuthor ? Math.round(rating.average || 0) : myStars) ? 'filled' : ''}"
+          data-action="rate-recipe" data-id="${recipe.id}" data-stars="${n}" ${isAuthor ? 'disabled' : ''} aria-label="${n} de ${MAX_STARS}">★</button>`)}
+      </div>
+      <span class="rating-summary">${rating.count
+        ? `${formatAverage(rating.average)} · ${rating.count} ${rating.count === 1 ? 'valoración' : 'valoraciones'}`
+        : 'Sin valoraciones'}</span>
+      <button type="button" class="btn-cooked" data-action="open-cook-log" data-id="${recipe.id}">🍳 Lo cociné</button>
+    </div>
+    ${cooks.count ? html`
+      <details class="cook-logs">
+        <summary>
+          <span>🍳 Cocinada ${cooks.count} ${cooks.count === 1 ? 'vez' : 'veces'}${cooks.cooks > 1 ? ` por ${cooks.cooks} personas` : ''}</span>
+          <span class="cook-gallery">${cooks.photos.map(log => safeImageSrc(log.photo)).filter(Boolean).slice(0, 5)
+            .map(src => html`<img src="${src}" alt="" loading="lazy" />`)}</span>
+        </summary>
+        ${logs.map(cookLogHtml)}
+      </details>` : ''}`;
+}
+
+function cookLogHtml(log) {
+  const photo = safeImageSrc(log.photo);
+  const cook = getUser(log.userId);
+  return html`
+    <div class="cook-log">
+      ${photo ? html`<img class="cook-log-photo" src="${photo}" alt="" loading="lazy" />` : ''}
+      <div class="cook-log-body">
+        ${cook
+          ? html`<button type="button" class="comment-author" data-action="open-user" data-id="${cook.id}">${cook.username}</button>`
+          : html`<span class="comment-author">${window.accountArchive.DELETED_USER_NAME}</span>`}
+        <span class="cook-log-date">${formatDateTime(log.timestamp)}</span>
+        ${log.notes ? html`<div>${log.notes}</div>` : ''}
+      </div>
+      ${log.userId === currentUser.id ? html`<button type="button" class="btn-comment-cancel" data-action="delete-cook-log" data-id="${log.id}" title="Borrar">✕</button>` : ''}
+    </div>`;
+}
+
+function formatAverage(value) {
+  return `${value.toLocaleString('es-ES', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ★`;
+}
+
+function openCookLogModal(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe || !canViewRecipe(recipe)) return;
+  cookingRecipeId = recipeId;
+  document.getElementById('cookLogForm').reset();
+  document.getElementById('cookLogRecipeTitle').textContent = recipe.recipeTitle;
+  document.getElementById('cookLogModal').classList.add('active');
+}
+function closeCookLogModal() {
+  cookingRecipeId = null;
+  document.getElementById('cookLogModal').classList.remove('active');
+}
+
+document.getElementById('closeCookLogModal').addEventListener('click', closeCookLogModal);
+document.getElementById('cookLogForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const recipe = getRecipe(cookingRecipeId);
+  if (!recipe) { showToast('La receta ya no existe'); closeCookLogModal(); return; }
+  const notes = document.getElementById('cookLogNotes').value.trim();
+  const fileInput = document.getElementById('cookLogPhoto');
+  const file = fileInput.files && fileInput.files[0] ? fileInput.files[0] : null;
+
+  const submitBtn = document.getElementById('submitCookLogBtn');
+  submitBtn.disabled = true;
+  try {
+    let photo = null;
+    try {
+      photo = file ? await readAndResizeImage(file, 1000, 0.8) : null;
+    } catch (err) {
+      console.error('Error procesando foto de "lo cociné":', err);
+      showToast('Error al procesar la imagen. Prueba con otro archivo más pequeño.');
+      return;
+    }
+    const result = await window.dataSdk.create({
+      id: generateId(), type: 'cooklog', recipeId: recipe.id, userId: currentUser.id,
+      ...(notes ? { notes } : {}), ...(photo ? { photo } : {}), timestamp: new Date().toISOString()
+    });
+    if (result.isOk) { showToast('¡Anotado! 🍳'); closeCookLogModal(); }
+    else showToast('Error al guardar');
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+async function deleteCookLog(id) {
+  const log = getRecord(id, 'cooklog');
+  if (!log || log.userId !== currentUser.id) return;
+  if (!confirm('¿Borrar esta entrada de "lo cociné"?')) return;
+  const result = await window.dataSdk.delete(id);
+  if (!result.isOk) showToast('Error al borrar');
+}
+
+/*
+  RECIPE REVISIONS: historial de versiones de una receta.
+  - recipeRevisions: versiones anteriores, de la más antigua a la más reciente (máx. MAX_RECIPE_REVISIONS).
+  - Cada versión guarda los campos de contenido, cuándo se escribió (versionAt) y cuándo se reemplazó (replacedAt).
+  - La foto solo se copia si cambió en la edición; si falta, es la misma que la de la versión siguiente.
+  Likes, comentarios y autor nunca forman parte de una versión, así que editar no los pierde.
+*/
+const MAX_RECIPE_REVISIONS = 10;
+const RECIPE_CONTENT_FIELDS = [
+  'recipeTitle', 'recipeDescription', 'recipeIngredients', 'recipeSteps',
+  'recipeServings', 'recipePrepTime', 'recipeCookTime', 'recipeDifficulty'
+];
+
+function recipeSnapshot(recipe, nextImage, now) {
+  const snapshot = { versionAt: recipe.editedAt || recipe.timestamp, replacedAt: now };
+  RECIPE_CONTENT_FIELDS.forEach(field => { if (recipe[field] !== undefined) snapshot[field] = recipe[field]; });
+  if (recipe.recipeImage !== nextImage) snapshot.recipeImage = recipe.recipeImage;
+  return snapshot;
+}
+
+// Guarda una nueva versión del contenido, archivando la actual en el historial.
+async function saveRecipeRevision(recipe, content) {
+  const now = new Date().toISOString();
+  const revisions = [...(recipe.recipeRevisions || []), recipeSnapshot(recipe, content.recipeImage, now)];
+  return window.dataSdk.update({
+    ...recipe, ...content,
+    recipeRevisions: revisions.slice(-MAX_RECIPE_REVISIONS),
+    editedAt: now
+  });
+}
+
+// Foto de una versión: la propia o, si no cambió, la de la siguiente versión (o la actual).
+function revisionImage(recipe, index) {
+  const revisions = recipe.recipeRevisions || [];
+  for (let i = index; i < revisions.length; i++) {
+    if (revisions[i].recipeImage !== undefined) return revisions[i].recipeImage;
+  }
+  return recipe.recipeImage;
+}
+
+// Abre el historial de una receta propia.
+function openRecipeHistory(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe || recipe.authorId !== currentUser.id) return;
+  renderRecipeHistory(recipe);
+  document.getElementById('recipeHistoryModal').classList.add('active');
+}
+
+function renderRecipeHistory(recipe) {
+  const revisions = recipe.recipeRevisions || [];
+  const list = document.getElementById('recipeHistoryList');
+  if (revisions.length === 0) {
+    setHtml(list, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🕘</div>
+        <div class="empty-state-text">Esta receta no tiene versiones anteriores</div>
+      </div>`);
+    return;
+  }
+
+  // Más recientes primero; el índice original se usa para restaurar.
+  setHtml(list, revisions.map((rev, index) => html`
+    <div class="revision-item">
+      <div>
+        <div class="revision-title">${rev.recipeTitle}</div>
+        <div class="revision-date">Versión del ${formatDateTime(rev.versionAt)} · reemplazada el ${formatDateTime(rev.replacedAt)}</div>
+      </div>
+      <button class="btn-add-friend secondary" data-action="restore-recipe-revision" data-id="${recipe.id}" data-index="${index}">Restaurar</button>
+    </div>`).reverse());
+}
+
+// Restaura una versión anterior; la versión actual se archiva para poder deshacerlo.
+async function restoreRecipeRevision(recipeId, index) {
+  const recipe = getRecipe(recipeId);
+  const revision = recipe?.recipeRevisions?.[index];
+  if (!revision || recipe.authorId !== currentUser.id) { showToast('Versión no encontrada'); return; }
+
+  const ok = confirm('¿Restaurar esta versión? La versión actual se guardará en el historial.');
+  if (!ok) return;
+
+  const content = { recipeImage: revisionImage(recipe, index) };
+  RECIPE_CONTENT_FIELDS.forEach(field => { content[field] = revision[field] !== undefined ? revision[field] : null; });
+
+  const result = await saveRecipeRevision(recipe, content);
+  if (result.isOk) {
+    showToast('Versión restaurada');
+    document.getElementById('recipeHistoryModal').classList.remove('active');
+  } else {
+    showToast('Error al restaurar la versión');
+  }
+}
+
+document.getElementById('closeRecipeHistoryModal').addEventListener('click', () => {
+  document.getElementById('recipeHistoryModal').classList.remove('active');
+});
+
+/*
+  SHARE RECIPE: exportación e impresión de una receta (módulo recipeFormats).
+  - JSON-LD y Markdown usan la receta original (sin escalar).
+  - La vista de impresión usa las raciones y unidades elegidas en la tarjeta.
+*/
+let sharingRecipeId = null;
+
+function openShareRecipeModal(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return;
+  sharingRecipeId = recipeId;
+  document.getElementById('shareRecipeTitle').textContent = recipe.recipeTitle;
+  document.getElementById('shareRecipeModal').classList.add('active');
+}
+function closeShareRecipeModal() {
+  sharingRecipeId = null;
+  document.getElementById('shareRecipeModal').classList.remove('active');
+}
+
+// Receta que se está compartiendo + nombre del autor para los formatos de exportación.
+function sharingRecipe() {
+  const recipe = getRecipe(sharingRecipeId);
+  if (!recipe) { showToast('Receta no encontrada'); return null; }
+  const authorName = getUser(recipe.authorId)?.username || recipe.authorName || '';
+  return { recipe, authorName };
+}
+
+// Nombre de archivo a partir del título ("Tortilla de patatas" -> "tortilla-de-patatas").
+function recipeFileName(recipe, extension) {
+  const slug = String(recipe.recipeTitle || 'receta').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'receta'}.${extension}`;
+}
+
+function downloadRecipeJsonLd() {
+  const shared = sharingRecipe();
+  if (!shared) return;
+  const doc = window.recipeFormats.toJsonLd(shared.recipe, { authorName: shared.authorName });
+  downloadFile(recipeFileName(shared.recipe, 'jsonld'), JSON.stringify(doc, null, 2), 'application/ld+json');
+}
+
+function downloadRecipeMarkdown() {
+  const shared = sharingRecipe();
+  if (!shared) return;
+  const text = window.recipeFormats.toMarkdown(shared.recipe, { authorName: shared.authorName });
+  downloadFile(recipeFileName(shared.recipe, 'md'), text, 'text/markdown;charset=utf-8');
+}
+
+async function copyRecipeMarkdown() {
+  const shared = sharingRecipe();
+  if (!shared) return;
+  const text = window.recipeFormats.toMarkdown(shared.recipe, { authorName: shared.authorName });
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast('Receta copiada en Markdown');
+  } catch (err) {
+    console.error('clipboard error', err);
+    showToast('No se pudo copiar. Usa la descarga en Markdown.');
+  }
+}
+
+// Enlace directo a la receta (#/recipe/:id) para enviarlo a otra persona.
+async function copyRecipeLink() {
+  const shared = sharingRecipe();
+  if (!shared) return;
+  const url = `${location.href.split('#')[0]}#/recipe/${encodeURIComponent(shared.recipe.id)}`;
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast('Enlace copiado');
+  } catch (err) {
+    console.error('clipboard error', err);
+    showToast('No se pudo copiar el enlace');
+  }
+}
+
+// Vista limpia para imprimir o guardar como PDF: sin cabecera, likes ni comentarios.
+function printRecipeHtml(rawRecipe, authorName) {
+  const recipe = window.recipeModel.normalizeRecipe(rawRecipe);
+  const state = getRecipeScaleState(recipe);
+  const { ingredients, steps } = window.recipeScale.scaleRecipe(recipe, state.servings, state.system);
+  const imageSrc = safeImageSrc(recipe.recipeImage);
+  return html`
+    <h1 class="print-recipe-title">${recipe.recipeTitle}</h1>
+    ${authorName ? html`<div class="print-recipe-author">por @${authorName}</div>` : ''}
+    ${imageSrc ? html`<img class="print-recipe-image" src="${imageSrc}" alt="${recipe.recipeTitle}" />` : ''}
+    ${recipe.recipeDescription ? html`<p class="print-recipe-description">${recipe.recipeDescription}</p>` : ''}
+    ${recipeMetaHtml({ ...recipe, recipeServings: recipe.recipeServings ? state.servings : null })}
+    <h2>Ingredientes</h2>
+    <ul class="recipe-list">${ingredients.map(row => ingredientItemHtml(row))}</ul>
+    <h2>Pasos</h2>
+    <ol class="recipe-list">${steps.map(step => html`<li>${step}</li>`)}</ol>`;
+}
+
+// Imprime solo la receta (ver @media print en styles.css).
+function printRecipe() {
+  const shared = sharingRecipe();
+  if (!shared) return;
+  setHtml(document.getElementById('printRecipeView'), printRecipeHtml(shared.recipe, shared.authorName));
+  closeShareRecipeModal();
+  document.body.classList.add('print-recipe');
+  window.print();
+  document.body.classList.remove('print-recipe');
+}
+
+document.getElementById('closeShareRecipeModal').addEventListener('click', closeShareRecipeModal);
+
+// Profile
+// PROFILE: render de perfil propio y lista de recetas publicadas.
+function renderProfile() {
+  const user = getUser(profileUserId);
+  // El usuario visitado puede haber eliminado su cuenta: se vuelve al perfil propio.
+  if (!user) { navigate('/profile', { replace: true }); return; }
+  const isOwner = user.id === currentUser.id;
+  const context = privacyContext();
+  // En un perfil ajeno solo se listan las recetas que el visitante puede ver.
+  const recipes = window.dataSdk.query({ where: { type: 'recipe', authorId: user.id }, sort: { field: 'timestamp', dir: 'desc' } })
+    .filter(recipe => canViewRecipe(recipe, currentUser.id, context));
+  const friends = getUserFriends(user.id);
+
+  setHtml(document.getElementById('profilePhoto'), avatarHtml(user)); // sin emoji por defecto
+
+  document.getElementById('profileUsername').textContent = user.username;
+  document.getElementById('recipesCount').textContent = recipes.length;
+  document.getElementById('friendsCount').textContent = friends.length;
+  renderProfileRecipeStats(recipes);
+  document.getElementById('profileBio').textContent = canSeeProfileDetails(user, context)
+    ? (user.bio || 'Amante de la cocina 👨‍🍳')
+    : '🔒 Cuenta privada';
+
+  // Controles de la cuenta solo para el dueño; a los demás, amistad/mensaje y amigos en común.
+  document.getElementById('profileOwnerActions').classList.toggle('hidden', !isOwner);
+  const visitorActions = document.getElementById('profileVisitorActions');
+  visitorActions.classList.toggle('hidden', isOwner);
+  setHtml(visitorActions, isOwner ? '' : profileVisitorActionsHtml(user));
+  const mutualFriends = document.getElementById('profileMutualFriends');
+  const mutual = isOwner ? [] : getMutualFriends(currentUser.id, user.id);
+  mutualFriends.classList.toggle('hidden', mutual.length === 0);
+  setHtml(mutualFriends, mutual.length ? html`
+    ${mutual.length} ${mutual.length === 1 ? 'amigo' : 'amigos'} en común:
+    ${mutual.map((friend, i) => html`${i ? ', ' : ''}<button type="button" class="mention" data-action="open-user" data-id="${friend.id}">@${friend.username}</button>`)}` : '');
+
+  document.querySelectorAll('.profile-tabs .search-tab').forEach(el => el.classList.toggle('active', el.dataset.tab === profileTab));
+  const userRecipesList = document.getElementById('userRecipesList');
+  userRecipesList.classList.toggle('hidden', profileTab !== 'recipes');
+  document.getElementById('profileCollections').classList.toggle('hidden', profileTab !== 'collections');
+  if (profileTab === 'collections') { renderProfileCollections(user); return; }
+
+  if (recipes.length === 0) {
+    setHtml(userRecipesList, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">📝</div>
+        <div class="empty-state-text">${isOwner ? 'No has publicado recetas aún' : `@${user.username} no tiene recetas que puedas ver`}</div>
+        ${!isOwner && !context.friendIds.has(user.id) ? html`<div class="empty-state-subtext">Sus recetas solo las ven sus amigos</div>` : ''}
+      </div>`);
+    return;
+  }
+
+  // Botones editar/historial/eliminar visibles solo en el perfil propio
+  setHtml(userRecipesList, recipes.map(recipe => recipeCardHtml(recipe, { ownerActions: isOwner })));
+}
+
+// Estadísticas de las recetas (las que ve el visitante): likes, veces cocinadas, media y la más cocinada.
+function renderProfileRecipeStats(recipes) {
+  const container = document.getElementById('profileRecipeStats');
+  container.classList.toggle('hidden', recipes.length === 0);
+  if (recipes.length === 0) { setHtml(container, ''); return; }
+
+  const recipeId = recipes.map(r => r.id);
+  const stats = window.recipeStats.authorStats(recipes, {
+    ratings: window.dataSdk.query({ where: { type: 'rating', recipeId } }),
+    cooklogs: window.dataSdk.query({ where: { type: 'cooklog', recipeId } })
+  });
+  setHtml(container, html`
+    ❤️ ${stats.totalLikes} me gusta recibidos · 🍳 ${stats.totalCooks} ${stats.totalCooks === 1 ? 'vez cocinada' : 'veces cocinadas'}
+    ${stats.rating.count ? html` · ${formatAverage(stats.rating.average)} de media` : ''}
+    ${stats.mostCooked ? html`<div>Más cocinada: <a href="#/recipe/${encodeURIComponent(stats.mostCooked.recipe.id)}">${stats.mostCooked.recipe.recipeTitle}</a> (${stats.mostCooked.count})</div>` : ''}`);
+}
+
+// Perfil ajeno: botón de amistad según getFriendshipStatus y, entre amigos, acceso al chat.
+function profileVisitorActionsHtml(user) {
+  const isFriend = getFriendshipStatus(currentUser.id, user.id) === 'accepted';
+  return html`
+    ${friendshipActionsHtml(user)}
+    ${isFriend ? html`<button type="button" class="btn-edit-profile" data-action="select-chat" data-id="${user.id}">💬 Mensaje</button>` : ''}`;
+}
+
+function setProfileTab(tab) {
+  profileTab = tab;
+  openCollectionId = null;
+  renderProfile();
+}
+
+/*
+  SAVED RECIPES & COLLECTIONS
+  - 'saved': un registro por usuario y receta (id 'saved_<userId>_<recipeId>') con las colecciones
+    en las que está y una copia del título/autor para poder mostrarla si el autor la elimina.
+  - 'collection': { ownerId, name, visibility: 'private' | 'friends' }.
+  Como se guarda la referencia (recipeId) y no una copia, las ediciones del autor se ven al momento.
+*/
+function getSavedRecipes(userId) {
+  return window.dataSdk.query({ where: { type: 'saved', userId }, sort: { field: 'timestamp', dir: 'desc' } });
+}
+function getSavedRecipe(userId, recipeId) {
+  return getRecord(`saved_${userId}_${recipeId}`, 'saved');
+}
+function getCollections(ownerId) {
+  return window.dataSdk.query({ where: { type: 'collection', ownerId } })
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+}
+// Colecciones de 'ownerId' que puede ver 'viewerId' (las privadas solo el dueño; las de amigos, sus amigos).
+function getVisibleCollections(ownerId, viewerId) {
+  return getCollections(ownerId).filter(c =>
+    ownerId === viewerId || (c.visibility === 'friends' && areFriends(ownerId, viewerId)));
+}
+
+// 🔖: guarda la receta (si no lo estaba) y abre el selector de colecciones.
+let savingRecipeId = null;
+async function saveRecipe(recipeId) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) return;
+  if (!getSavedRecipe(currentUser.id, recipeId)) {
+    const author = getUser(recipe.authorId);
+    const result = await window.dataSdk.create({
+      id: `saved_${currentUser.id}_${recipeId}`, type: 'saved', userId: currentUser.id, recipeId,
+      collectionIds: [], recipeTitle: recipe.recipeTitle, authorName: author?.username || recipe.authorName || '',
+      timestamp: new Date().toISOString()
+    });
+    if (!result.isOk) { showToast('Error al guardar la receta'); return; }
+    showToast('Receta guardada');
+  }
+  savingRecipeId = recipeId;
+  renderCollectionPicker();
+  document.getElementById('saveRecipeModal').classList.add('active');
+}
+
+async function unsaveRecipe(recipeId) {
+  const saved = getSavedRecipe(currentUser.id, recipeId);
+  if (!saved) return;
+  const result = await window.dataSdk.delete(saved.id);
+  if (result.isOk) showToast('Receta quitada de guardados');
+  else showToast('Error al quitar la receta');
+}
+
+function closeSaveRecipeModal() {
+  savingRecipeId = null;
+  document.getElementById('saveRecipeModal').classList.remove('active');
+}
+
+// Casillas de colecciones para la receta que se está guardando.
+function renderCollectionPicker() {
+  const saved = savingRecipeId && getSavedRecipe(currentUser.id, savingRecipeId);
+  const collections = getCollections(currentUser.id);
+  const container = document.getElementById('saveRecipeCollections');
+  if (collections.length === 0) {
+    setHtml(container, html`<div class="collection-meta">Aún no tienes colecciones. Crea una abajo.</div>`);
+    return;
+  }
+  setHtml(container, collections.map(c => html`
+    <label>
+      <input type="checkbox" data-action="toggle-recipe-collection" data-id="${c.id}" ${saved?.collectionIds?.includes(c.id) ? 'checked' : ''}>
+      ${c.name} <span class="collection-meta">${c.visibility === 'friends' ? '👥 Amigos' : '🔒 Privada'}</span>
+    </label>`));
+}
+
+async function toggleRecipeCollection(collectionId, include) {
+  const saved = getSavedRecipe(currentUser.id, savingRecipeId);
+  if (!saved) return;
+  const ids = (saved.collectionIds || []).filter(id => id !== collectionId);
+  if (include) ids.push(collectionId);
+  const result = await window.dataSdk.update({ ...saved, collectionIds: ids });
+  if (!result.isOk) showToast('Error al actualizar la colección');
+}
+
+async function createCollection(name, visibility) {
+  if (getCollections(currentUser.id).some(c => c.name.toLowerCase() === name.toLowerCase())) {
+    showToast('Ya tienes una colección con ese nombre');
+    return { isOk: false };
+  }
+  const collection = {
+    id: generateId(), type: 'collection', ownerId: currentUser.id, name,
+    visibility: visibility === 'friends' ? 'friends' : 'private', timestamp: new Date().toISOString()
+  };
+  const result = await window.dataSdk.create(collection);
+  if (!result.isOk) showToast('Error al crear la colección');
+  return { ...result, data: collection };
+}
+
+async function renameCollection(collectionId) {
+  const collection = getCollections(currentUser.id).find(c => c.id === collectionId);
+  if (!collection) return;
+  const name = (prompt('Nuevo nombre de la colección', collection.name) || '').trim();
+  if (!name || name === collection.name) return;
+  const result = await window.dataSdk.update({ ...collection, name });
+  if (!result.isOk) showToast('Error al renombrar la colección');
+}
+
+async function setCollectionVisibility(collectionId, visibility) {
+  const collection = getCollections(currentUser.id).find(c => c.id === collectionId);
+  if (!collection) return;
+  const result = await window.dataSdk.update({ ...collection, visibility: visibility === 'friends' ? 'friends' : 'private' });
+  if (!result.isOk) showToast('Error al cambiar la visibilidad');
+}
+
+// Borra la colección; las recetas siguen en "Todas las guardadas".
+async function deleteCollection(collectionId) {
+  const collection = getCollections(currentUser.id).find(c => c.id === collectionId);
+  if (!collection) return;
+  if (!confirm(`¿Eliminar la colección "${collection.name}"? Las recetas seguirán en tus guardadas.`)) return;
+
+  for (const saved of getSavedRecipes(currentUser.id).filter(s => s.collectionIds?.includes(collectionId))) {
+    await window.dataSdk.update({ ...saved, collectionIds: saved.collectionIds.filter(id => id !== collectionId) });
+  }
+  const result = await window.dataSdk.delete(collectionId);
+  if (result.isOk) { openCollectionId = null; showToast('Colección eliminada'); }
+  else showToast('Error al eliminar la colección');
+}
+
+// Tarjeta de una receta guardada: la receta viva o un aviso si el autor la borró / ya no es visible.
+function savedRecipeCardHtml(saved) {
+  const recipe = getRecipe(saved.recipeId);
+  if (recipe && canViewRecipe(recipe)) return recipeCardHtml(recipe);
+  const reason = recipe ? 'Ya no tienes acceso a esta receta' : 'El autor eliminó esta receta';
+  return html`
+    <div class="recipe-card unavailable">
+      <div class="recipe-title">${saved.recipeTitle || 'Receta'}</div>
+      <div class="collection-meta">${saved.authorName ? `@${saved.authorName} · ` : ''}${reason}</div>
+      ${saved.userId === currentUser.id ? html`<button type="button" class="btn-unsave" data-action="unsave-recipe" data-id="${saved.recipeId}">Quitar de guardados</button>` : ''}
+    </div>`;
+}
+
+// PROFILE › Colecciones: rejilla de colecciones o contenido de la colección abierta.
+function renderProfileCollections(user) {
+  const container = document.getElementById('profileCollections');
+  const isOwner = user.id === currentUser.id;
+  const collections = getVisibleCollections(user.id, currentUser.id);
+  const saved = getSavedRecipes(user.id);
+
+  if (openCollectionId) {
+    const collection = collections.find(c => c.id === openCollectionId);
+    if (openCollectionId !== 'all' && !collection) { openCollectionId = null; renderProfileCollections(user); return; }
+    const items = openCollectionId === 'all' ? saved : saved.filter(s => s.collectionIds?.includes(openCollectionId));
+
+    setHtml(container, html`
+      <div class="collection-toolbar">
+        <button type="button" class="btn-add-friend secondary" data-action="close-collection">← Volver</button>
+        <div class="collection-name">${collection ? collection.name : 'Todas las guardadas'}</div>
+        ${collection && isOwner ? html`
+          <select class="form-input" data-action="collection-visibility" data-id="${collection.id}" style="width:auto">
+            <option value="private" ${collection.visibility !== 'friends' ? 'selected' : ''}>🔒 Privada</option>
+            <option value="friends" ${collection.visibility === 'friends' ? 'selected' : ''}>👥 Amigos</option>
+          </select>
+          <button type="button" class="btn-add-friend secondary" data-action="rename-collection" data-id="${collection.id}">Renombrar</button>
+          <button type="button" class="btn-add-friend secondary" data-action="delete-collection" data-id="${collection.id}">Eliminar</button>` : ''}
+      </div>
+      ${items.length ? items.map(savedRecipeCardHtml) : html`
+        <div class="empty-state">
+          <div class="empty-state-icon">🔖</div>
+          <div class="empty-state-text">Esta colección está vacía</div>
+        </div>`}`);
+    return;
+  }
+
+  const tiles = [];
+  // "Todas las guardadas" es privada: solo la ve el dueño.
+  if (isOwner) tiles.push(html`
+    <button type="button" class="collection-tile" data-action="open-collection" data-id="all">
+      <div class="collection-name">Todas las guardadas</div>
+      <div class="collection-meta">🔒 ${saved.length} recetas</div>
+    </button>`);
+  collections.forEach(c => tiles.push(html`
+    <button type="button" class="collection-tile" data-action="open-collection" data-id="${c.id}">
+      <div class="collection-name">${c.name}</div>
+      <div class="collection-meta">${c.visibility === 'friends' ? '👥' : '🔒'} ${saved.filter(s => s.collectionIds?.includes(c.id)).length} recetas</div>
+    </button>`));
+
+  if (tiles.length === 0) {
+    setHtml(container, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🔖</div>
+        <div class="empty-state-text">No hay colecciones para mostrar</div>
+      </div>`);
+    return;
+  }
+  setHtml(container, html`<div class="collection-grid">${tiles}</div>`);
+}
+
+document.getElementById('closeSaveRecipeModal').addEventListener('click', closeSaveRecipeModal);
+document.getElementById('newCollectionForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const nameInput = document.getElementById('newCollectionName');
+  const name = nameInput.value.trim();
+  if (!name) return;
+  const result = await createCollection(name, document.getElementById('newCollectionVisibility').value);
+  if (!result.isOk) return;
+  nameInput.value = '';
+  // La receta que se está guardando entra directamente en la colección nueva.
+  if (savingRecipeId) await toggleRecipeCollection(result.data.id, true);
+  renderCollectionPicker();
+});
+
+document.getElementById('editProfileBtn').addEventListener('click', () => {
+  document.getElementById('editFullName').value = currentUser.fullName;
+  document.getElementById('editBio').value = currentUser.bio || '';
+  document.getElementById('editPrivateAccount').checked = Boolean(currentUser.privateAccount);
+  document.getElementById('editHiddenFromSearch').checked = Boolean(currentUser.hiddenFromSearch);
+  // limpiar input file al abrir modal
+  const photoFileInput = document.getElementById('editProfilePhotoFile');
+  if (photoFileInput) photoFileInput.value = '';
+  document.getElementById('editProfileModal').classList.add('active');
+});
+document.getElementById('closeEditProfileModal').addEventListener('click', () => {
+  document.getElementById('editProfileModal').classList.remove('active');
+});
+// EDIT PROFILE: handler robusto que redimensiona imagen, actualiza y limpia input para permitir reemplazos
+document.getElementById('editProfileForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fullName = document.getElementById('editFullName').value.trim();
+  const bio = document.getElementById('editBio').value.trim();
+  const privateAccount = document.getElementById('editPrivateAccount').checked;
+  const hiddenFromSearch = document.getElementById('editHiddenFromSearch').checked;
+  const photoFileInput = document.getElementById('editProfilePhotoFile');
+  const file = photoFileInput && photoFileInput.files && photoFileInput.files[0] ? photoFileInput.files[0] : null;
+
+  const submitBtn = document.getElementById('submitEditProfileBtn');
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Guardando...';
 
-  await window.elementSdk.init({
-    defaultConfig,
-    // Se ejecuta cada vez que cambie la configuración guardada.
-    onConfigChange: async (config) => {
-      const customFont = config.font_family || defaultConfig.font_family;
-      const baseFontStack = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
-      const baseSize = config.font_size || defaultConfig.font_size;
+  try {
+    let photoDataUrl = null;
+    if (file) {
+      try {
+        photoDataUrl = await readAndResizeImage(file, 800, 0.85);
+      } catch (err) {
+        console.error('Error procesando imagen perfil:', err);
+        showToast('Error al procesar la imagen. Prueba con otro archivo más pequeño.');
+        return;
+      }
+    }
 
-      document.body.style.fontFamily = `${customFont}, ${baseFontStack}`;
-      document.body.style.fontSize = `${baseSize}px`;
-      document.body.style.background = config.background_color || defaultConfig.background_color;
+    // Actualizar fields del usuario (copia: si no se puede guardar, el usuario en memoria no cambia).
+    // Sin archivo nuevo se conserva la foto actual.
+    const result = await window.dataSdk.update({ ...currentUser, fullName, bio, profilePhoto: photoDataUrl || currentUser.profilePhoto || '', privateAccount, hiddenFromSearch });
+    if (result.isOk) {
+      // refrescar referencia desde el almacenamiento persistido
+      currentUser = getUser(currentUser.id) || currentUser;
+      // limpiar input file para permitir reemplazo
+      if (photoFileInput) photoFileInput.value = '';
+      showToast('Perfil actualizado');
+      document.getElementById('editProfileModal').classList.remove('active');
+      renderProfile();
+    } else {
+      showToast('Error al actualizar el perfil');
+    }
+  } catch (err) {
+    console.error('update profile error', err);
+    showToast('Error al actualizar el perfil');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Guardar Cambios';
+  }
+});
 
-      const surfaces = document.querySelectorAll('.auth-container, .header, .recipe-card, .search-container, .conversations-list, .chat-container, .modal-content, .profile-header');
-      surfaces.forEach(el => { el.style.background = config.surface_color || defaultConfig.surface_color; });
+/*
+  ACCOUNT DATA: exportar, importar y eliminar la cuenta (la lógica está en account_archive.js).
+*/
+function exportAccount() {
+  const archive = window.accountArchive.buildArchive(window.dataSdk.query({}), currentUser.id);
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`yourrecipe-${currentUser.username}-${date}.json`, JSON.stringify(archive, null, 2), 'application/json');
+  showToast('Datos exportados');
+}
 
-      const textElements = document.querySelectorAll('.logo, .auth-logo, .profile-username, .timeline-title, .search-title, .modal-title, .recipe-title, .user-name, .conversation-name, .chat-user-name, .stat, .profile-bio, .recipe-description, .comment, label');
-      textElements.forEach(el => { el.style.color = config.text_color || defaultConfig.text_color; });
+// Fusiona un archivo exportado en la cuenta actual (ver planImport).
+async function importAccount(file) {
+  let plan;
+  try {
+    const archive = JSON.parse(await file.text());
+    plan = window.accountArchive.planImport(archive, window.dataSdk.query({}), currentUser, generateId);
+  } catch (err) {
+    console.error('import error', err);
+    showToast(`No se pudo importar: ${err instanceof SyntaxError ? 'el archivo no es JSON válido' : err.message}`);
+    return;
+  }
 
-      const primaryButtons = document.querySelectorAll('.btn-primary, .btn-new-recipe, .btn-add-friend, .btn-send, .btn-comment');
-      primaryButtons.forEach(el => { el.style.background = config.primary_action_color || defaultConfig.primary_action_color; });
+  let failed = 0;
+  for (const record of plan.creates) {
+    if (!(await window.dataSdk.create(record)).isOk) failed++;
+  }
+  for (const change of plan.modifies) {
+    if (!(await window.dataSdk.modify(change.id, change.apply)).isOk) failed++;
+  }
+  const { recipes, comments, friendships, messages, ratings, cooks, skipped } = plan.summary;
+  const parts = [`${recipes} recetas`, `${comments} comentarios`, `${friendships} solicitudes de amistad`, `${messages} mensajes`,
+    `${ratings} valoraciones`, `${cooks} «lo cociné»`];
+  showToast(`Importado: ${parts.join(', ')}${skipped ? ` (${skipped} omitidos por duplicados o sin destino)` : ''}${failed ? `. ${failed} no se pudieron guardar` : ''}`);
+}
 
-      const secondaryElements = document.querySelectorAll('.btn-edit-profile, .form-input, .search-input, .chat-input');
-      secondaryElements.forEach(el => { el.style.borderColor = config.secondary_action_color || defaultConfig.secondary_action_color; });
+function openDeleteAccountModal() {
+  document.getElementById('deleteAccountForm').reset();
+  document.getElementById('deleteAccountModal').classList.add('active');
+}
+function closeDeleteAccountModal() {
+  document.getElementById('deleteAccountModal').classList.remove('active');
+}
 
-      document.getElementById('authLogo').textContent = config.app_title || defaultConfig.app_title;
-      document.getElementById('logoBtn').textContent = config.app_title || defaultConfig.app_title;
-      document.getElementById('authTagline').textContent = config.app_tagline || defaultConfig.app_tagline;
-      document.getElementById('loginBtn').textContent = config.login_button_text || defaultConfig.login_button_text;
-      document.getElementById('registerBtn').textContent = config.register_button_text || defaultConfig.register_button_text;
-      document.getElementById('timelineTitle').textContent = config.timeline_title || defaultConfig.timeline_title;
-      document.getElementById('searchInput').placeholder = config.search_placeholder || defaultConfig.search_placeholder;
+// Borra la cuenta actual: primero anonimiza (likes, comentarios, recetas conservadas) y luego elimina.
+async function deleteAccount(keepRecipes) {
+  const plan = window.accountArchive.planAccountDeletion(window.dataSdk.query({}), currentUser.id, { keepRecipes });
+  let failed = 0;
+  for (const change of plan.modifies) {
+    if (!(await window.dataSdk.modify(change.id, change.apply)).isOk) failed++;
+  }
+  for (const id of plan.deletes) {
+    if (!(await window.dataSdk.delete(id)).isOk && window.dataSdk.get(id)) failed++;
+  }
+  if (failed) { showToast('No se pudo eliminar todo. Vuelve a intentarlo.'); return false; }
 
-      const headings = document.querySelectorAll('.timeline-title, .search-title, .modal-title');
-      headings.forEach(el => { el.style.fontSize = `${baseSize * 1.7}px`; });
-      const largeText = document.querySelectorAll('.auth-logo, .logo');
-      largeText.forEach(el => { el.style.fontSize = `${baseSize * 2}px`; });
-    }
-  });
+  writeStoredSession(null);
+  currentUser = null; selectedChatUser = null;
+  closeDeleteAccountModal();
+  navigate('/login', { replace: true });
+  showToast('Tu cuenta se ha eliminado');
+  return true;
 }
 
-// Utils
-// Muestra un toast temporal con un mensaje de estado.
-function showToast(message) {
-  const toast = document.getElementById('toast');
-  toast.textContent = message;
-  toast.classList.add('show');
-  setTimeout(() => { toast.classList.remove('show'); }, 3000);
+document.getElementById('importArchiveFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = ''; // permite volver a elegir el mismo archivo
+  if (file) await importAccount(file);
+});
+document.getElementById('closeDeleteAccountModal').addEventListener('click', closeDeleteAccountModal);
+document.getElementById('deleteAccountForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (document.getElementById('deleteAccountConfirm').value.trim() !== currentUser.username) {
+    showToast('El nombre de usuario no coincide');
+    return;
+  }
+  const keepRecipes = e.target.querySelector('input[name="deleteRecipes"]:checked')?.value === 'keep';
+  const submitBtn = document.getElementById('submitDeleteAccountBtn');
+  submitBtn.disabled = true;
+  try { await deleteAccount(keepRecipes); }
+  finally { submitBtn.disabled = false; }
+});
+
+// Search
+// Recetas que el usuario actual puede ver: las suyas y las de sus amigos.
+/*
+  VISIBILIDAD: todas las pantallas consultan estas funciones (reglas en privacy_rules.js).
+  privacyContext calcula una vez los amigos de quien mira para filtrar listas enteras.
+*/
+function privacyContext(viewerId = currentUser.id) {
+  return { friendIds: new Set(getUserFriends(viewerId).map(f => f.id)) };
 }
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function canViewRecipe(recipe, viewerId = currentUser.id, context = privacyContext(viewerId)) {
+  return window.privacyRules.canViewRecipe(recipe, viewerId, { ...context, author: getUser(recipe.authorId) });
 }
-function getUsers() { return allData.filter(item => item.type === 'user'); }
-function getRecipes() { return allData.filter(item => item.type === 'recipe').sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)); }
-function getFriendships() { return allData.filter(item => item.type === 'friendship'); }
-function getMessages() { return allData.filter(item => item.type === 'message').sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); }
-function getUserFriends(userId) {
-  const friendships = getFriendships().filter(f => f.status === 'accepted' && (f.requesterId === userId || f.receiverId === userId));
-  const friendIds = friendships.map(f => f.requesterId === userId ? f.receiverId : f.requesterId);
-  return getUsers().filter(u => friendIds.includes(u.id));
+function canFindUser(user, context = privacyContext()) {
+  return window.privacyRules.canFindUser(user, currentUser.id, context);
 }
-function areFriends(a, b) {
-  return getFriendships().some(f => f.status === 'accepted' && ((f.requesterId === a && f.receiverId === b) || (f.requesterId === b && f.receiverId === a)));
+function canSeeProfileDetails(user, context = privacyContext()) {
+  return window.privacyRules.canSeeProfileDetails(user, currentUser.id, context);
 }
-function getFriendshipStatus(a, b) {
-  const f = getFriendships().find(f => (f.requesterId === a && f.receiverId === b) || (f.requesterId === b && f.receiverId === a));
-  return f ? f.status : null;
+// Todas las recetas que puede ver el usuario actual (búsqueda, despensa, plan...), más recientes primero.
+function getVisibleRecipes() {
+  const context = privacyContext();
+  return window.dataSdk.query({ where: { type: 'recipe' }, filter: r => canViewRecipe(r, currentUser.id, context), sort: { field: 'timestamp', dir: 'desc' } });
+}
+// Inicio: recetas propias y de amigos que se pueden ver.
+function getTimelineRecipes() {
+  const context = privacyContext();
+  return window.dataSdk.query({
+    where: { type: 'recipe', authorId: [currentUser.id, ...context.friendIds] },
+    filter: r => canViewRecipe(r, currentUser.id, context),
+    sort: { field: 'timestamp', dir: 'desc' }
+  });
+}
+// Explorar: recetas públicas de quien no es amigo.
+function getExploreRecipes() {
+  const context = privacyContext();
+  return window.dataSdk.query({
+    where: { type: 'recipe' },
+    filter: r => window.privacyRules.isExplorable(r, currentUser.id, { ...context, author: getUser(r.authorId) }),
+    sort: { field: 'timestamp', dir: 'desc' }
+  });
 }
 
-// Navigation
-// Navigation: muestra la página indicada y renderiza su contenido si aplica.
-function showPage(pageName) {
-  currentPage = pageName;
-  document.getElementById('authPage').classList.add('hidden');
-  document.getElementById('timelinePage').classList.add('hidden');
-  document.getElementById('profilePage').classList.add('hidden');
-  document.getElementById('searchPage').classList.add('hidden');
-  document.getElementById('messagesPage').classList.add('hidden');
+// SEARCH: alterna entre las pestañas Usuarios y Recetas.
+function setSearchTab(tab) {
+  searchTab = tab;
+  document.querySelectorAll('.search-tabs .search-tab').forEach(el => el.classList.toggle('active', el.dataset.tab === tab));
+  document.getElementById('searchTitle').textContent = tab === 'recipes' ? 'Buscar Recetas' : 'Buscar Usuarios';
+  document.getElementById('searchInput').placeholder = tab === 'recipes'
+    ? 'Buscar recetas...'
+    : (window.elementSdk.config.search_placeholder || defaultConfig.search_placeholder);
+  syncSearchRoute();
+  renderSearchResults();
+}
 
-  if (pageName === 'auth') {
-    document.getElementById('header').classList.add('hidden');
-    document.getElementById('authPage').classList.remove('hidden');
+// Refleja la consulta y la pestaña en #/search?q=&tab= (sin añadir entradas al historial).
+function syncSearchRoute() {
+  if (!isRoute('/search')) return;
+  const q = document.getElementById('searchInput').value.trim();
+  replaceRoute(routePath('/search', { q, tab: searchTab === 'recipes' ? 'recipes' : '' }));
+}
+
+// SEARCH: pinta la pestaña activa.
+function renderSearchResults() {
+  const isRecipes = searchTab === 'recipes';
+  document.getElementById('recipeFilters').classList.toggle('hidden', !isRecipes);
+  document.getElementById('recipeResults').classList.toggle('hidden', !isRecipes);
+  document.getElementById('usersList').classList.toggle('hidden', isRecipes);
+  if (isRecipes) {
+    document.getElementById('friendRequestsSection').classList.add('hidden');
+    renderRecipeSearchResults();
   } else {
-    document.getElementById('header').classList.remove('hidden');
-    document.getElementById(`${pageName}Page`).classList.remove('hidden');
-    if (pageName === 'timeline') renderTimeline();
-    else if (currentPage === 'profile') renderProfile();
-    else if (currentPage === 'search') renderSearchResults();
-    else if (currentPage === 'messages') renderConversations();
+    renderUserSearchResults();
   }
 }
 
-// Auth
-// AUTH: manejo de inicio de sesión (login).
-document.getElementById('loginForm').addEventListener('submit', async (e) => {
-  e.preventDefault();
-  const username = document.getElementById('loginUsername').value.trim();
-  const password = document.getElementById('loginPassword').value;
-  const user = getUsers().find(u => u.username === username && u.password === password);
-  if (user) { currentUser = user; showToast('¡Bienvenido de nuevo!'); showPage('timeline'); }
-  else showToast('Usuario o contraseña incorrectos');
-});
+// SEARCH (recetas): texto completo + filtros, resultados como tarjetas por relevancia.
+function renderRecipeSearchResults() {
+  const { normalizeRecipe } = window.recipeModel;
+  const { searchRecipes, parseTermList } = window.recipeSearch;
+  const recipes = getVisibleRecipes().map(normalizeRecipe);
 
-// AUTH: manejo de registro de nueva cuenta (signup).
-document.getElementById('registerForm').addEventListener('submit', async (e) => {
-  e.preventDefault();
-  const fullName = document.getElementById('registerFullName').value.trim();
-  const username = document.getElementById('registerUsername').value.trim();
-  const password = document.getElementById('registerPassword').value;
+  // Selector de autor: solo autores de recetas visibles (se conserva la selección).
+  const authorSelect = document.getElementById('filterAuthor');
+  const selectedAuthor = authorSelect.value;
+  const authors = getUsers().filter(u => recipes.some(r => r.authorId === u.id));
+  setHtml(authorSelect, html`
+    <option value="">Cualquier autor</option>
+    ${authors.map(u => html`<option value="${u.id}" ${u.id === selectedAuthor ? 'selected' : ''}>@${u.username}</option>`)}`);
 
-  if (getUsers().some(u => u.username === username)) { showToast('El nombre de usuario ya existe'); return; }
+  const results = searchRecipes(recipes, {
+    query: document.getElementById('searchInput').value,
+    include: parseTermList(document.getElementById('filterInclude').value),
+    exclude: parseTermList(document.getElementById('filterExclude').value),
+    maxTime: document.getElementById('filterMaxTime').value,
+    authorId: authorSelect.value
+  });
 
-  const submitBtn = document.getElementById('registerBtn');
-  submitBtn.disabled = true; submitBtn.textContent = 'Registrando...';
+  const container = document.getElementById('recipeResults');
+  if (results.length === 0) {
+    setHtml(container, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🍽️</div>
+        <div class="empty-state-text">No se encontraron recetas</div>
+        <div class="empty-state-subtext">Prueba con otras palabras o quita algún filtro</div>
+      </div>`);
+    return;
+  }
+  setHtml(container, results.map(({ recipe }) => recipeCardHtml(recipe)));
+}
 
-  const result = await window.dataSdk.create({
-    id: generateId(), type: 'user', username, password, fullName,
-    bio: 'Amante de la cocina 👨‍🍳', profilePhoto: '', timestamp: new Date().toISOString()
-  });
+// SEARCH (usuarios): resultados de usuarios + botón de amistad según estado.
+function renderUserSearchResults() {
+  renderFriendRequests();
 
-  submitBtn.disabled = false;
-  submitBtn.textContent = window.elementSdk.config.register_button_text || defaultConfig.register_button_text;
+  const searchInput = document.getElementById('searchInput');
+  const searchTerm = searchInput.value.toLowerCase().trim();
+  const usersList = document.getElementById('usersList');
 
-  if (result.isOk) { showToast('¡Cuenta creada! Ahora puedes iniciar sesión'); document.getElementById('authSwitchBtn').click(); document.getElementById('registerForm').reset(); }
-  else showToast('Error al crear la cuenta');
-});
+  // Las cuentas ocultas no aparecen (salvo a sus amigos) y en las privadas no se busca por nombre completo.
+  const context = privacyContext();
+  const users = getUsers()
+    .filter(u => canFindUser(u, context))
+    .map(u => ({ user: u, showName: canSeeProfileDetails(u, context) }))
+    .filter(({ user: u, showName }) =>
+      u.username.toLowerCase().includes(searchTerm) || (showName && u.fullName.toLowerCase().includes(searchTerm)));
 
-document.getElementById('authSwitchBtn').addEventListener('click', () => {
-  const loginForm = document.getElementById('loginForm');
-  const registerForm = document.getElementById('registerForm');
-  const switchText = document.getElementById('authSwitchText');
-  const switchBtn = document.getElementById('authSwitchBtn');
+  if (users.length === 0) {
+    setHtml(usersList, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🔍</div>
+        <div class="empty-state-text">No se encontraron usuarios</div>
+      </div>`);
+    return;
+  }
 
-  if (loginForm.classList.contains('hidden')) {
-    loginForm.classList.remove('hidden'); registerForm.classList.add('hidden');
-    switchText.textContent = '¿No tienes cuenta?'; switchBtn.textContent = 'Regístrate';
-  } else {
-    loginForm.classList.add('hidden'); registerForm.classList.remove('hidden');
-    switchText.textContent = '¿Ya tienes cuenta?'; switchBtn.textContent = 'Inicia sesión';
+  setHtml(usersList, users.map(({ user, showName }) => html`
+    <div class="user-item">
+      <div class="user-photo" data-action="open-user" data-id="${user.id}">${avatarHtml(user, showName ? 'fullName' : 'username')}</div>
+      <div class="user-info" data-action="open-user" data-id="${user.id}">
+        <div class="user-name">${showName ? user.fullName : user.username}</div>
+        <div class="user-username">@${user.username}</div>
+      </div>
+      ${friendshipActionsHtml(user)}
+    </div>`));
+}
+
+// Botones de amistad para un usuario según el estado de la relación con el usuario actual.
+function friendshipActionsHtml(user) {
+  const status = getFriendshipStatus(currentUser.id, user.id);
+  const friendship = getFriendship(currentUser.id, user.id);
+
+  if (status === 'accepted') {
+    return html`<button class="btn-add-friend friends" data-action="remove-friend" data-id="${user.id}" title="Eliminar de amigos">✓ Amigos</button>`;
   }
-});
+  if (status === 'pending_sent') {
+    return html`<button class="btn-add-friend pending" data-action="cancel-friend-request" data-id="${friendship.id}" title="Cancelar solicitud">Pendiente · Cancelar</button>`;
+  }
+  if (status === 'pending_received') return friendRequestButtonsHtml(friendship);
+  if (status === 'declined_by_them') {
+    return html`<button class="btn-add-friend declined" disabled>No disponible</button>`;
+  }
+  return html`<button class="btn-add-friend" data-action="send-friend-request" data-id="${user.id}">+ Agregar</button>`;
+}
 
-// Timeline
-// TIMELINE: lista recetas de amigos + propias, con me gusta y comentarios.
-function renderTimeline() {
-  const recipesList = document.getElementById('recipesList');
-  const friends = getUserFriends(currentUser.id);
-  const friendIds = friends.map(f => f.id); friendIds.push(currentUser.id);
-  const recipes = getRecipes().filter(r => friendIds.includes(r.authorId));
+// Botones aceptar/rechazar de una solicitud recibida.
+function friendRequestButtonsHtml(request) {
+  return html`
+    <div class="friend-actions">
+      <button class="btn-add-friend" data-action="accept-friend-request" data-id="${request.id}">Aceptar</button>
+      <button class="btn-add-friend secondary" data-action="decline-friend-request" data-id="${request.id}">Rechazar</button>
+    </div>`;
+}
 
-  if (recipes.length === 0) {
-    recipesList.innerHTML = `
-      <div class="empty-state">
-        <div class="empty-state-icon">🍳</div>
-        <div class="empty-state-text">No hay recetas aún</div>
-        <div class="empty-state-subtext">¡Sé el primero en compartir una receta!</div>
+// FRIEND REQUESTS: bandeja de solicitudes recibidas (se oculta si no hay ninguna).
+function renderFriendRequests() {
+  const section = document.getElementById('friendRequestsSection');
+  const list = document.getElementById('friendRequestsList');
+  const requests = getIncomingFriendRequests(currentUser.id);
+
+  if (requests.length === 0) {
+    section.classList.add('hidden');
+    setHtml(list, '');
+    return;
+  }
+
+  section.classList.remove('hidden');
+  setHtml(list, requests.map(request => {
+    const user = getUser(request.requesterId);
+    if (!user) return '';
+
+    return html`
+      <div class="user-item">
+        <div class="user-photo">${avatarHtml(user, 'fullName')}</div>
+        <div class="user-info">
+          <div class="user-name">${user.fullName}</div>
+          <div class="user-username">@${user.username}</div>
+        </div>
+        ${friendRequestButtonsHtml(request)}
       </div>`;
+  }));
+}
+
+// Envía una solicitud de amistad pendiente al usuario destino.
+async function sendFriendRequest(receiverId) {
+  const status = getFriendshipStatus(currentUser.id, receiverId);
+  const existingRequest = getFriendship(currentUser.id, receiverId);
+
+  // Si el otro ya nos había enviado una solicitud, enviar la nuestra equivale a aceptarla.
+  if (status === 'pending_received') { await respondFriendRequest(existingRequest.id, true); return; }
+  if (status === 'declined_by_them') { showToast('Este usuario no acepta solicitudes tuyas'); return; }
+
+  // Quien rechazó una solicitud puede reabrir la relación enviando la suya propia.
+  if (status === 'declined_by_me') {
+    const result = await window.dataSdk.update({
+      ...existingRequest, requesterId: currentUser.id, receiverId,
+      status: 'pending', timestamp: new Date().toISOString()
+    });
+    if (!result.isOk) { showToast('Error al enviar la solicitud'); return; }
+    showToast('Solicitud enviada');
+    await sendNotification('friend_request', receiverId, { friendshipId: existingRequest.id });
+    return;
+  }
+  if (existingRequest) { showToast('Ya existe una solicitud con este usuario'); return; }
+
+  const friendshipId = generateId();
+  const result = await window.dataSdk.create({
+    id: friendshipId, type: 'friendship',
+    requesterId: currentUser.id, receiverId: receiverId,
+    status: 'pending', timestamp: new Date().toISOString()
+  });
+  if (!result.isOk) { showToast('Error al enviar la solicitud'); return; }
+  showToast('Solicitud enviada');
+  await sendNotification('friend_request', receiverId, { friendshipId });
+}
+
+// Acepta o rechaza una solicitud recibida. Solo el receptor puede responder.
+async function respondFriendRequest(friendshipId, accept) {
+  const request = getRecord(friendshipId, 'friendship');
+  if (!request || request.status !== 'pending') { showToast('La solicitud ya no está disponible'); return; }
+  if (request.receiverId !== currentUser.id) { showToast('No puedes responder a esta solicitud'); return; }
+
+  const result = await window.dataSdk.update({
+    ...request, status: accept ? 'accepted' : 'declined', respondedAt: new Date().toISOString()
+  });
+  if (!result.isOk) { showToast('Error al responder la solicitud'); return; }
+  showToast(accept ? '¡Ahora son amigos!' : 'Solicitud rechazada');
+  // La solicitud ya está respondida: su aviso se da por leído. Al aceptar se avisa a quien la envió.
+  await markNotificationRead(window.notificationCenter.notificationId('friend_request', { friendshipId }));
+  if (accept) await sendNotification('friend_accepted', request.requesterId, { friendshipId });
+}
+
+// Cancela una solicitud enviada que aún no ha sido respondida.
+async function cancelFriendRequest(friendshipId) {
+  const request = getRecord(friendshipId, 'friendship');
+  if (!request || request.status !== 'pending' || request.requesterId !== currentUser.id) {
+    showToast('La solicitud ya no está disponible');
     return;
   }
+  const result = await window.dataSdk.delete(friendshipId);
+  if (!result.isOk) { showToast('Error al cancelar la solicitud'); return; }
+  showToast('Solicitud cancelada');
+  await withdrawNotification('friend_request', { friendshipId });
+}
+
+// Elimina la amistad con otro usuario (cualquiera de los dos puede hacerlo).
+async function removeFriend(userId) {
+  const friendship = getFriendship(currentUser.id, userId);
+  if (!friendship || friendship.status !== 'accepted') return;
+
+  const ok = confirm('¿Eliminar de tus amigos? Dejarás de ver sus recetas y vuestro chat.');
+  if (!ok) return;
+
+  if (selectedChatUser?.id === userId) closeChat();
+  const result = await window.dataSdk.delete(friendship.id);
+  if (result.isOk) showToast('Amistad eliminada');
+  else showToast('Error al eliminar la amistad');
+}
+
+/*
+  NOTIFICATIONS: avisos de actividad (registros 'notification', ver notification_center.js).
+  - Los crean las acciones de quien actúa (likes, comentarios, amistad, mensajes) y se borran al deshacerlas.
+  - La campana se alimenta de dataSdk.subscribe, así que también refleja los avisos que llegan
+    desde otra pestaña o del servidor.
+  Un fallo al guardar un aviso no deshace la acción que lo originó.
+*/
+const NOTIFICATIONS_LIMIT = 50;
+let notificationsWatch = null; // { userId, since, unsubscribe }
+
+// Guarda avisos nuevos o reaviva los existentes (mismo id) como no leídos.
+async function pushNotifications(notifications) {
+  // Un aviso no debe desvelar una receta (título, comentario) a quien no puede verla.
+  const visible = n => {
+    const recipe = n.recipeId && getRecipe(n.recipeId);
+    return !recipe || canViewRecipe(recipe, n.userId);
+  };
+  for (const notification of notifications.filter(Boolean).filter(visible)) {
+    const result = window.dataSdk.get(notification.id)
+      ? await window.dataSdk.modify(notification.id, latest => ({ ...latest, ...notification }))
+      : await window.dataSdk.create(notification);
+    if (!result.isOk) console.warn('No se pudo guardar el aviso', notification.id, result.error);
+  }
+}
+async function removeNotifications(ids) {
+  for (const id of ids) {
+    if (window.dataSdk.get(id)) await window.dataSdk.delete(id);
+  }
+}
+function sendNotification(kind, userId, fields = {}) {
+  return pushNotifications([window.notificationCenter.buildNotification(kind, userId, currentUser.id, fields)]);
+}
+function withdrawNotification(kind, refs) {
+  return removeNotifications([window.notificationCenter.notificationId(kind, { actorId: currentUser.id, ...refs })]);
+}
+// Avisos que apuntan a un registro que se ha borrado (receta o comentario).
+function removeNotificationsFor(field, id) {
+  return removeNotifications(window.dataSdk.query({ where: { type: 'notification' }, filter: n => n[field] === id }).map(n => n.id));
+}
 
-  recipesList.innerHTML = recipes.map(recipe => {
-    const author = getUsers().find(u => u.id === recipe.authorId);
-    const likedByArray = recipe.likedBy ? recipe.likedBy.split(',').filter(id => id) : [];
-    const isLiked = likedByArray.includes(currentUser.id);
-    const comments = recipe.comments ? JSON.parse(recipe.comments) : [];
-
-    // Photo del autor: img si es data:, si no, contenedor vacío (se ve el fondo/degradado)
-    const authorPhotoHtml = (author && author.profilePhoto && String(author.profilePhoto).startsWith('data:'))
-      ? `<img src="${author.profilePhoto}" alt="${author.username}" />`
-      : '';
+function getNotifications(userId, limit = NOTIFICATIONS_LIMIT) {
+  return window.dataSdk.query({ where: { type: 'notification', userId }, sort: { field: 'timestamp', dir: 'desc' }, limit });
+}
+function countUnreadNotifications(userId) {
+  return window.dataSdk.count({ where: { type: 'notification', userId }, filter: n => !n.read });
+}
 
-    const imageHtml = (recipe.recipeImage && String(recipe.recipeImage).startsWith('data:'))
-      ? `<div class="recipe-image"><img src="${recipe.recipeImage}" alt="${(recipe.recipeTitle || 'receta')}" /></div>`
-      : `<div class="recipe-image">${recipe.recipeImage || '🍕'}</div>`;
+// Se suscribe a los avisos del usuario con sesión (y se da de baja al cambiar de usuario o salir).
+function watchNotifications() {
+  const userId = currentUser?.id || null;
+  if (notificationsWatch?.userId === userId) return;
+  notificationsWatch?.unsubscribe();
+  notificationsWatch = null;
+  if (userId) {
+    notificationsWatch = { userId, since: new Date().toISOString(), unsubscribe: null };
+    notificationsWatch.unsubscribe = window.dataSdk.subscribe({ where: { type: 'notification', userId } }, onNotificationsChanged);
+  }
+  renderNotifications();
+}
+function onNotificationsChanged(diff) {
+  renderNotifications();
+  // Solo se anuncian los avisos que llegan con la app abierta, no los que ya estaban.
+  const fresh = diff.added.concat(diff.updated).filter(n => !n.read && n.timestamp > notificationsWatch.since);
+  if (fresh.length === 1) showToast(`${notificationHtmlParts(fresh[0]).icon} ${notificationHtmlParts(fresh[0]).text}`);
+  else if (fresh.length > 1) showToast(`🔔 ${fresh.length} avisos nuevos`);
+  if (fresh.length) notificationsWatch.since = fresh.map(n => n.timestamp).sort().pop();
+}
 
-    return `
-      <div class="recipe-card">
-        <div class="recipe-header">
-          <div class="recipe-author-photo">${authorPhotoHtml}</div>
-          <div class="recipe-author-name">${author?.username || 'Usuario'}</div>
-        </div>
-        ${imageHtml}
-        <div class="recipe-actions">
-          <button class="action-btn ${isLiked ? 'liked' : ''}" onclick="toggleLike('${recipe.id}')">${isLiked ? '❤️' : '🤍'}</button>
-          <button class="action-btn" onclick="focusComment('${recipe.id}')">💬</button>
-        </div>
-        <div class="recipe-likes">${recipe.likes || 0} me gusta</div>
-        <div class="recipe-content">
-          <div class="recipe-title">${recipe.recipeTitle}</div>
-          <div class="recipe-description">${recipe.recipeDescription}</div>
-          <div class="recipe-details">
-            <div class="recipe-section-title">Ingredientes:</div>
-            <div class="recipe-text">${recipe.recipeIngredients}</div>
-          </div>
-          <div class="recipe-details">
-            <div class="recipe-section-title">Pasos:</div>
-            <div class="recipe-text">${recipe.recipeSteps}</div>
-          </div>
-        </div>
-        ${comments.length > 0 ? `
-          <div class="recipe-comments">
-            ${comments.map(c => `
-              <div class="comment">
-                <span class="comment-author">${c.author}</span>
-                ${c.text}
-              </div>`).join('')}
-          </div>` : ''}
-        <div class="recipe-comments">
-          <form class="comment-form" onsubmit="addComment(event, '${recipe.id}')">
-            <input type="text" class="comment-input" id="comment-${recipe.id}" placeholder="Añade un comentario..." required />
-            <button type="submit" class="btn-comment">Publicar</button>
-          </form>
-        </div>
-      </div>`;
-  }).join('');
+function notificationHtmlParts(notification) {
+  return window.notificationCenter.describeNotification(notification, {
+    actor: getUser(notification.actorId)?.username || window.accountArchive.DELETED_USER_NAME,
+    recipeTitle: notification.recipeId ? getRecipe(notification.recipeId)?.recipeTitle : undefined
+  });
 }
 
-// Alterna el 'me gusta' del usuario actual sobre una receta.
-async function toggleLike(recipeId) {
-  const recipe = allData.find(r => r.id === recipeId);
-  if (!recipe) return;
-  const likedByArray = recipe.likedBy ? recipe.likedBy.split(',').filter(id => id) : [];
-  const isLiked = likedByArray.includes(currentUser.id);
+// Campana de la cabecera: contador de no leídos y, si está abierta, la lista.
+function renderNotifications() {
+  const badge = document.getElementById('notificationsBadge');
+  const unread = currentUser ? countUnreadNotifications(currentUser.id) : 0;
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+  badge.classList.toggle('hidden', unread === 0);
+  document.getElementById('markAllNotificationsBtn').disabled = unread === 0;
 
-  if (isLiked) {
-    const index = likedByArray.indexOf(currentUser.id);
-    likedByArray.splice(index, 1);
-    recipe.likes = Math.max(0, (recipe.likes || 0) - 1);
-  } else {
-    likedByArray.push(currentUser.id);
-    recipe.likes = (recipe.likes || 0) + 1;
+  const panel = document.getElementById('notificationsPanel');
+  if (!currentUser) panel.classList.add('hidden');
+  if (panel.classList.contains('hidden')) return;
+
+  const notifications = getNotifications(currentUser.id);
+  if (notifications.length === 0) {
+    setHtml(document.getElementById('notificationsList'), html`
+      <div class="notifications-empty">Sin avisos por ahora</div>`);
+    return;
   }
-  recipe.likedBy = likedByArray.join(',');
-  const result = await window.dataSdk.update(recipe);
-  if (!result.isOk) showToast('Error al actualizar el me gusta');
+  setHtml(document.getElementById('notificationsList'), notifications.map(n => {
+    const { icon, text } = notificationHtmlParts(n);
+    return html`
+      <button type="button" class="notification-item ${n.read ? '' : 'unread'}" data-action="open-notification" data-id="${n.id}">
+        <span class="notification-icon">${icon}</span>
+        <span class="notification-body">
+          <span class="notification-text">${text}</span>
+          <span class="notification-time">${formatDateTime(n.timestamp)}</span>
+        </span>
+      </button>`;
+  }));
 }
 
-// Agrega un comentario a una receta y persiste el cambio.
-async function addComment(event, recipeId) {
-  event.preventDefault();
-  const input = document.getElementById(`comment-${recipeId}`);
-  const commentText = input.value.trim();
-  if (!commentText) return;
+function toggleNotificationsPanel(open) {
+  const panel = document.getElementById('notificationsPanel');
+  panel.classList.toggle('hidden', !open);
+  renderNotifications();
+}
 
-  const recipe = allData.find(r => r.id === recipeId);
-  if (!recipe) return;
+async function markNotificationRead(id) {
+  const notification = getRecord(id, 'notification');
+  if (!notification || notification.read) return;
+  await window.dataSdk.modify(id, latest => (latest.read ? null : { ...latest, read: true }));
+}
+async function markAllNotificationsRead() {
+  const unread = window.dataSdk.query({ where: { type: 'notification', userId: currentUser.id }, filter: n => !n.read });
+  for (const n of unread) await window.dataSdk.modify(n.id, latest => (latest.read ? null : { ...latest, read: true }));
+}
 
-  const comments = recipe.comments ? JSON.parse(recipe.comments) : [];
-  comments.push({ author: currentUser.username, text: commentText, timestamp: new Date().toISOString() });
-  recipe.comments = JSON.stringify(comments);
+// Marca el aviso como leído y lleva a lo que lo originó.
+async function openNotification(id) {
+  const notification = getRecord(id, 'notification');
+  if (!notification) return;
+  toggleNotificationsPanel(false);
+  await markNotificationRead(id);
+  if (notification.kind === 'message') {
+    navigate(`/messages/${encodeURIComponent(notification.actorId)}`);
+  } else if (notification.kind === 'friend_request') {
+    navigate('/search');
+  } else if (notification.kind === 'friend_accepted') {
+    openUserProfile(notification.actorId);
+  } else if (notification.recipeId) {
+    openRecipeCard(notification.recipeId, notification.commentId);
+  }
+}
 
-  const result = await window.dataSdk.update(recipe);
-  if (result.isOk) input.value = '';
-  else showToast('Error al añadir el comentario');
+// Abre la página de una receta (y resalta el comentario, si se indica).
+function openRecipeCard(recipeId, commentId = null) {
+  if (!getRecipe(recipeId)) { showToast('La receta ya no existe'); return; }
+  navigate(routePath(`/recipe/${encodeURIComponent(recipeId)}`, { comment: commentId }));
 }
-function focusComment(recipeId) { document.getElementById(`comment-${recipeId}`).focus(); }
 
-// New recipe modal
-// NEW RECIPE MODAL: abrir/cerrar y publicar una nueva receta.
-document.getElementById('newRecipeBtn').addEventListener('click', () => {
-  document.getElementById('newRecipeModal').classList.add('active');
+document.getElementById('notificationsBtn').addEventListener('click', (e) => {
+  e.stopPropagation();
+  toggleNotificationsPanel(document.getElementById('notificationsPanel').classList.contains('hidden'));
 });
-document.getElementById('closeRecipeModal').addEventListener('click', () => {
-  document.getElementById('newRecipeModal').classList.remove('active');
+// Clic fuera del panel: se cierra.
+document.addEventListener('click', (e) => {
+  const panel = document.getElementById('notificationsPanel');
+  if (!panel.classList.contains('hidden') && !panel.contains(e.target)) toggleNotificationsPanel(false);
 });
-// NEW RECIPE: submit mejorado con lectura/redimensionado y restauración segura del botón
-document.getElementById('newRecipeForm').addEventListener('submit', async (e) => {
-  e.preventDefault();
-  const title = document.getElementById('recipeTitle').value.trim();
-  const description = document.getElementById('recipeDescription').value.trim();
-  const ingredients = document.getElementById('recipeIngredients').value.trim();
-  const steps = document.getElementById('recipeSteps').value.trim();
 
-  const fileInput = document.getElementById('recipeImageFile');
-  const file = fileInput && fileInput.files && fileInput.files[0] ? fileInput.files[0] : null;
+// Pantry
+// Registro de despensa del usuario (uno por usuario, id estable 'pantry_<userId>').
+function getPantry(userId) {
+  return getRecord(`pantry_${userId}`, 'pantry');
+}
 
-  const submitBtn = document.getElementById('submitRecipeBtn');
-  submitBtn.disabled = true;
-  submitBtn.textContent = 'Publicando...';
+// Crea o actualiza la despensa del usuario actual con los cambios indicados.
+async function savePantry(changes) {
+  const existing = getPantry(currentUser.id);
+  const pantry = {
+    ...(existing || { id: `pantry_${currentUser.id}`, type: 'pantry', userId: currentUser.id, items: [], assumeStaples: true }),
+    ...changes, timestamp: new Date().toISOString()
+  };
+  const result = existing ? await window.dataSdk.update(pantry) : await window.dataSdk.create(pantry);
+  if (!result.isOk) showToast('Error al guardar la despensa');
+  return result;
+}
 
-  let imageDataUrl = null;
-  try {
-    if (file) {
-      imageDataUrl = await readAndResizeImage(file, 1200, 0.8); // redimensiona para evitar errores de tamaño
-    }
-  } catch (err) {
-    console.error('Error procesando imagen receta:', err);
-    showToast('Error al procesar la imagen. Usa otra imagen o prueba menor tamaño.');
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Publicar Receta';
-    return;
-  }
+// Añade ingredientes (separados por comas) sin duplicar los que ya están.
+async function addPantryItems(text) {
+  const key = item => window.ingredientMatch.canonicalIngredient(item).join(' ');
+  const items = [...(getPantry(currentUser.id)?.items || [])];
+  text.split(',').map(t => t.trim()).filter(Boolean).forEach(item => {
+    if (!items.some(existing => key(existing) === key(item))) items.push(item);
+  });
+  return savePantry({ items });
+}
 
-  try {
-    const result = await window.dataSdk.create({
-      id: generateId(), type: 'recipe',
-      recipeTitle: title, recipeDescription: description,
-      recipeIngredients: ingredients, recipeSteps: steps,
-      recipeImage: imageDataUrl || '🍕', authorId: currentUser.id, authorName: currentUser.username,
-      likes: 0, likedBy: '', comments: '[]', timestamp: new Date().toISOString()
-    });
+async function removePantryItem(index) {
+  const items = [...(getPantry(currentUser.id)?.items || [])];
+  items.splice(index, 1);
+  return savePantry({ items });
+}
 
-    if (result.isOk) {
-      showToast('¡Receta publicada!');
-      document.getElementById('newRecipeModal').classList.remove('active');
-      document.getElementById('newRecipeForm').reset();
-    } else {
-      showToast('Error al publicar la receta');
-    }
-  } catch (err) {
-    console.error('create recipe error', err);
-    showToast('Error al publicar la receta');
-  } finally {
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Publicar Receta';
-  }
-});
+// PANTRY: chips de la despensa + recetas visibles ordenadas por ingredientes cubiertos.
+function renderPantry() {
+  const pantry = getPantry(currentUser.id);
+  const items = pantry?.items || [];
+  const assumeStaples = pantry ? pantry.assumeStaples !== false : true;
+  document.getElementById('pantryStaples').checked = assumeStaples;
 
-// Profile
-// PROFILE: render de perfil propio y lista de recetas publicadas.
-function renderProfile() {
-  const user = currentUser;
-  const recipes = getRecipes().filter(r => r.authorId === user.id);
-  const friends = getUserFriends(user.id);
+  setHtml(document.getElementById('pantryItems'), items.map((item, index) => html`
+    <span class="pantry-chip">${item}<button type="button" data-action="remove-pantry-item" data-index="${index}" title="Quitar">×</button></span>`));
 
-  const profilePhotoEl = document.getElementById('profilePhoto');
-  if (user.profilePhoto && String(user.profilePhoto).startsWith('data:')) {
-    profilePhotoEl.innerHTML = `<img src="${user.profilePhoto}" alt="${user.username}" />`;
-  } else {
-    profilePhotoEl.innerHTML = ''; // sin emoji por defecto
+  const matchesEl = document.getElementById('pantryMatches');
+  if (items.length === 0) {
+    setHtml(matchesEl, html`
+      <div class="empty-state">
+        <div class="empty-state-icon">🧺</div>
+        <div class="empty-state-text">Tu despensa está vacía</div>
+        <div class="empty-state-subtext">Añade lo que tienes en casa y te diremos qué puedes cocinar</div>
+      </div>`);
+    return;
   }
 
-  document.getElementById('profileUsername').textContent = user.username;
-  document.getElementById('recipesCount').textContent = recipes.length;
-  document.getElementById('friendsCount').textContent = friends.length;
-  document.getElementById('profileBio').textContent = user.bio || 'Amante de la cocina 👨‍🍳';
-
-  const userRecipesList = document.getElementById('userRecipesList');
-  if (recipes.length === 0) {
-    userRecipesList.innerHTML = `
+  const recipes = getVisibleRecipes().map(window.recipeModel.normalizeRecipe);
+  const ranked = window.ingredientMatch.rankRecipesByPantry(recipes, items, { assumeStaples });
+  if (ranked.length === 0) {
+    setHtml(matchesEl, html`
       <div class="empty-state">
-        <div class="empty-state-icon">📝</div>
-        <div class="empty-state-text">No has publicado recetas aún</div>
-      </div>`;
+        <div class="empty-state-icon">🤔</div>
+        <div class="empty-state-text">Ninguna receta usa esos ingredientes</div>
+        <div class="empty-state-subtext">Prueba a añadir más cosas a tu despensa</div>
+      </div>`);
     return;
   }
 
-  userRecipesList.innerHTML = recipes.map(recipe => {
-    const likedByArray = recipe.likedBy ? recipe.likedBy.split(',').filter(id => id) : [];
-    const isLiked = likedByArray.includes(currentUser.id);
-    const comments = recipe.comments ? JSON.parse(recipe.comments) : [];
+  // <details>: resumen con la cobertura; al desplegar se ve la tarjeta completa.
+  setHtml(matchesEl, ranked.map(({ recipe, have, missing, coverage }) => {
+    const author = getUser(recipe.authorId);
+    return html`
+      <details class="pantry-match">
+        <summary>
+          <div class="pantry-match-title">${recipe.recipeTitle}</div>
+          <div class="pantry-match-meta">@${author?.username || 'usuario'} · tienes ${have.length} de ${have.length + missing.length} ingredientes</div>
+          <div class="coverage-bar"><span style="width: ${Math.round(coverage * 100)}%"></span></div>
+          ${missing.length
+            ? html`<div class="pantry-missing">Te falta: ${missing.map(row => row.name).join(', ')}</div>`
+            : html`<div class="pantry-match-meta">¡Tienes todo lo necesario!</div>`}
+        </summary>
+        ${recipeCardHtml(recipe)}
+      </details>`;
+  }));
+}
 
-    const imageHtml = (recipe.recipeImage && String(recipe.recipeImage).startsWith('data:'))
-      ? `<div class="recipe-image"><img src="${recipe.recipeImage}" alt="${(recipe.recipeTitle || 'receta')}" /></div>`
-      : `<div class="recipe-image">${recipe.recipeImage || '🍕'}</div>`;
+document.getElementById('pantryForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('pantryInput');
+  if (!input.value.trim()) return;
+  const result = await addPantryItems(input.value);
+  if (result.isOk) input.value = '';
+});
+document.getElementById('pantryStaples').addEventListener('change', (e) => {
+  savePantry({ assumeStaples: e.target.checked });
+});
 
-    // Mostrar la foto del autor como <img> si es data URL, sino dejar contenedor vacío (mantiene el fondo/degradado)
-    const authorPhotoHtml = (user.profilePhoto && String(user.profilePhoto).startsWith('data:'))
-      ? `<img src="${user.profilePhoto}" alt="${user.username}" />`
-      : '';
+// Planner
+/*
+  Plan semanal: un registro 'mealplan' por usuario (id 'plan_<userId>').
+  - slots: { '<día>-<comida>': [{ recipeId, servings }] } con día 0 (lunes) a 6 (domingo).
+  - checked: { '<clave de artículo>': true } para la lista de la compra.
+*/
+const MEAL_DAYS = ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'];
+const MEAL_SLOTS = [
+  { id: 'desayuno', label: 'Desayuno' },
+  { id: 'comida', label: 'Comida' },
+  { id: 'cena', label: 'Cena' }
+];
+let plannerDockOpen = false;
 
-    return `
-      <div class="recipe-card">
-        <div class="recipe-header">
-          <div class="recipe-author-photo">${authorPhotoHtml}</div>
-          <div class="recipe-author-name">${user.username}</div>
-        </div>
-        ${imageHtml}
-        <div class="recipe-actions">
-          <button class="action-btn ${isLiked ? 'liked' : ''}" onclick="toggleLike('${recipe.id}')">${isLiked ? '❤️' : '🤍'}</button>
-          <button class="action-btn" onclick="focusComment('${recipe.id}')">💬</button>
-          <!-- Botón eliminar visible en el perfil del autor -->
-          <button class="action-btn btn-delete" onclick="deleteRecipe('${recipe.id}')" title="Eliminar receta">🗑️</button>
-        </div>
-        <div class="recipe-likes">${recipe.likes || 0} me gusta</div>
-        <div class="recipe-content">
-          <div class="recipe-title">${recipe.recipeTitle}</div>
-          <div class="recipe-description">${recipe.recipeDescription}</div>
-          <div class="recipe-details">
-            <div class="recipe-section-title">Ingredientes:</div>
-            <div class="recipe-text">${recipe.recipeIngredients}</div>
-          </div>
-          <div class="recipe-details">
-            <div class="recipe-section-title">Pasos:</div>
-            <div class="recipe-text">${recipe.recipeSteps}</div>
-          </div>
-        </div>
-        ${comments.length > 0 ? `
-          <div class="recipe-comments">
-            ${comments.map(c => `
-              <div class="comment">
-                <span class="comment-author">${c.author}</span>
-                ${c.text}
-              </div>`).join('')}
-          </div>` : ''}
-        <div class="recipe-comments">
-          <form class="comment-form" onsubmit="addComment(event, '${recipe.id}')">
-            <input type="text" class="comment-input" id="comment-${recipe.id}" placeholder="Añade un comentario..." required />
-            <button type="submit" class="btn-comment">Publicar</button>
-          </form>
-        </div>
-      </div>`;
-  }).join('');
+function getMealPlan(userId) {
+  return getRecord(`plan_${userId}`, 'mealplan');
 }
 
-document.getElementById('editProfileBtn').addEventListener('click', () => {
-  document.getElementById('editFullName').value = currentUser.fullName;
-  document.getElementById('editBio').value = currentUser.bio || '';
-  // limpiar input file al abrir modal
-  const photoFileInput = document.getElementById('editProfilePhotoFile');
-  if (photoFileInput) photoFileInput.value = '';
-  document.getElementById('editProfileModal').classList.add('active');
-});
-document.getElementById('closeEditProfileModal').addEventListener('click', () => {
-  document.getElementById('editProfileModal').classList.remove('active');
-});
-// EDIT PROFILE: handler robusto que redimensiona imagen, actualiza y limpia input para permitir reemplazos
-document.getElementById('editProfileForm').addEventListener('submit', async (e) => {
-  e.preventDefault();
-  const fullName = document.getElementById('editFullName').value.trim();
-  const bio = document.getElementById('editBio').value.trim();
-  const photoFileInput = document.getElementById('editProfilePhotoFile');
-  const file = photoFileInput && photoFileInput.files && photoFileInput.files[0] ? photoFileInput.files[0] : null;
+async function saveMealPlan(changes) {
+  const existing = getMealPlan(currentUser.id);
+  const plan = {
+    ...(existing || { id: `plan_${currentUser.id}`, type: 'mealplan', userId: currentUser.id, slots: {}, checked: {} }),
+    ...changes, timestamp: new Date().toISOString()
+  };
+  const result = existing ? await window.dataSdk.update(plan) : await window.dataSdk.create(plan);
+  if (!result.isOk) showToast('Error al guardar el plan');
+  return result;
+}
 
-  const submitBtn = document.getElementById('submitEditProfileBtn');
-  submitBtn.disabled = true;
-  submitBtn.textContent = 'Guardando...';
+// Añade una receta visible a un hueco, con las raciones elegidas en su tarjeta.
+async function addRecipeToPlan(slotKey, recipeId) {
+  const recipe = getVisibleRecipes().find(r => r.id === recipeId);
+  if (!recipe) return;
+  const servings = getRecipeScaleState(window.recipeModel.normalizeRecipe(recipe)).servings;
+  const slots = { ...(getMealPlan(currentUser.id)?.slots || {}) };
+  slots[slotKey] = [...(slots[slotKey] || []), { recipeId, servings }];
+  const result = await saveMealPlan({ slots });
+  if (result.isOk) showToast(`"${recipe.recipeTitle}" añadida al plan`);
+}
 
-  try {
-    let photoDataUrl = null;
-    if (file) {
-      try {
-        photoDataUrl = await readAndResizeImage(file, 800, 0.85);
-      } catch (err) {
-        console.error('Error procesando imagen perfil:', err);
-        showToast('Error al procesar la imagen. Prueba con otro archivo más pequeño.');
-        return;
-      }
-    }
+async function removePlanEntry(slotKey, index) {
+  const slots = { ...(getMealPlan(currentUser.id)?.slots || {}) };
+  slots[slotKey] = (slots[slotKey] || []).filter((_, i) => i !== index);
+  if (slots[slotKey].length === 0) delete slots[slotKey];
+  return saveMealPlan({ slots });
+}
 
-    // Actualizar fields del usuario
-    currentUser.fullName = fullName;
-    currentUser.bio = bio;
-    currentUser.profilePhoto = photoDataUrl || '';
+async function clearMealPlan() {
+  if (!confirm('¿Vaciar el plan semanal y la lista de la compra?')) return;
+  await saveMealPlan({ slots: {}, checked: {} });
+}
 
-    const result = await window.dataSdk.update(currentUser);
-    if (result.isOk) {
-      // refrescar referencia desde el almacenamiento persistido
-      currentUser = getUsers().find(u => u.id === currentUser.id) || currentUser;
-      // limpiar input file para permitir reemplazo
-      if (photoFileInput) photoFileInput.value = '';
-      showToast('Perfil actualizado');
-      document.getElementById('editProfileModal').classList.remove('active');
-      renderProfile();
-    } else {
-      showToast('Error al actualizar el perfil');
-    }
-  } catch (err) {
-    console.error('update profile error', err);
-    showToast('Error al actualizar el perfil');
-  } finally {
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Guardar Cambios';
-  }
-});
+// Entradas del plan con su receta (solo recetas aún visibles para el usuario).
+function getPlannedRecipes() {
+  const slots = getMealPlan(currentUser.id)?.slots || {};
+  const visible = getVisibleRecipes();
+  return Object.values(slots).flat()
+    .map(entry => ({ ...entry, recipe: visible.find(r => r.id === entry.recipeId) }))
+    .filter(entry => entry.recipe);
+}
 
-// Search
-// SEARCH: resultados de usuarios + botón de amistad según estado.
-function renderSearchResults() {
-  const searchInput = document.getElementById('searchInput');
-  const searchTerm = searchInput.value.toLowerCase().trim();
-  const usersList = document.getElementById('usersList');
+// Raciones de una entrada del plan; sin raciones en la receta se muestran como multiplicador (×2).
+function plannedServingsHtml(recipe, servings) {
+  if (!recipe || recipe.recipeServings) return html` <small>(${servings} ${servings === 1 ? 'ración' : 'raciones'})</small>`;
+  return html` <small title="La receta no indica raciones: sus cantidades se multiplican por ${servings}">(×${servings})</small>`;
+}
 
-  const users = getUsers().filter(u =>
-    u.id !== currentUser.id &&
-    (u.username.toLowerCase().includes(searchTerm) || u.fullName.toLowerCase().includes(searchTerm))
-  );
+/*
+  Cuadrícula días × comidas.
+  - compact: versión del panel flotante (sin selector para añadir).
+*/
+function plannerGridHtml({ compact = false } = {}) {
+  const slots = getMealPlan(currentUser.id)?.slots || {};
+  const visible = getVisibleRecipes();
 
-  if (users.length === 0) {
-    usersList.innerHTML = `
+  return html`
+    <div></div>
+    ${MEAL_SLOTS.map(slot => html`<div class="planner-slot-label">${slot.label}</div>`)}
+    ${MEAL_DAYS.map((day, dayIndex) => html`
+      <div class="planner-day">${compact ? day.slice(0, 3) : day}</div>
+      ${MEAL_SLOTS.map(slot => {
+        const slotKey = `${dayIndex}-${slot.id}`;
+        return html`
+          <div class="planner-slot" data-slot="${slotKey}">
+            ${(slots[slotKey] || []).map((entry, index) => {
+              const recipe = visible.find(r => r.id === entry.recipeId);
+              return html`
+                <div class="planner-entry ${recipe ? '' : 'unavailable'}">
+                  <span>${recipe ? recipe.recipeTitle : 'Receta no disponible'}${!compact && entry.servings ? plannedServingsHtml(recipe, entry.servings) : ''}</span>
+                  <button type="button" data-action="remove-plan-entry" data-slot="${slotKey}" data-index="${index}" title="Quitar">×</button>
+                </div>`;
+            })}
+            ${compact ? '' : html`
+              <select class="planner-add" data-action="plan-add-recipe" data-slot="${slotKey}">
+                <option value="">+ Añadir…</option>
+                ${visible.map(r => html`<option value="${r.id}">${r.recipeTitle}</option>`)}
+              </select>`}
+          </div>`;
+      })}`)}`;
+}
+
+// PLANNER: página completa (cuadrícula + lista de la compra).
+function renderPlanner() {
+  setHtml(document.getElementById('plannerGrid'), plannerGridHtml());
+  renderShoppingList();
+}
+
+function currentShoppingList() {
+  const entries = getPlannedRecipes().map(({ recipe, servings }) => ({ recipe: window.recipeModel.normalizeRecipe(recipe), servings }));
+  return window.shoppingList.buildShoppingList(entries);
+}
+
+function renderShoppingList() {
+  const container = document.getElementById('shoppingList');
+  const list = currentShoppingList();
+  const checked = getMealPlan(currentUser.id)?.checked || {};
+
+  if (list.length === 0) {
+    setHtml(container, html`
       <div class="empty-state">
-        <div class="empty-state-icon">🔍</div>
-        <div class="empty-state-text">No se encontraron usuarios</div>
-      </div>`;
+        <div class="empty-state-icon">🛒</div>
+        <div class="empty-state-text">Tu lista está vacía</div>
+        <div class="empty-state-subtext">Arrastra recetas desde el timeline o tu perfil al plan semanal</div>
+      </div>`);
     return;
   }
 
-  usersList.innerHTML = users.map(user => {
-    const status = getFriendshipStatus(currentUser.id, user.id);
-    const isFriend = areFriends(currentUser.id, user.id);
-    let buttonText = '+ Agregar';
-    let buttonClass = 'btn-add-friend';
+  const { formatAmounts } = window.shoppingList;
+  setHtml(container, list.map(aisle => html`
+    <div class="shopping-aisle-title">${aisle.label}</div>
+    ${aisle.items.map(item => html`
+      <label class="shopping-item ${checked[item.key] ? 'checked' : ''}" title="${item.recipes.join(', ')}">
+        <input type="checkbox" data-action="toggle-shopping-item" data-key="${item.key}" ${checked[item.key] ? 'checked' : ''}>
+        <span class="shopping-item-name">${item.name}</span>
+        <span class="shopping-item-amount">${formatAmounts(item.amounts)}</span>
+      </label>`)}`));
+}
 
-    if (isFriend) { buttonText = '✓ Amigos'; buttonClass = 'btn-add-friend friends'; }
-    else if (status === 'pending') { buttonText = 'Pendiente'; buttonClass = 'btn-add-friend pending'; }
+async function toggleShoppingItem(key, isChecked) {
+  const checked = { ...(getMealPlan(currentUser.id)?.checked || {}) };
+  if (isChecked) checked[key] = true;
+  else delete checked[key];
+  await saveMealPlan({ checked });
+}
 
-    const photoHtml = user.profilePhoto && String(user.profilePhoto).startsWith('data:') ? `<img src="${user.profilePhoto}" alt="${user.fullName}" />` : '';
+// Descarga la lista como texto plano.
+function exportShoppingList() {
+  const list = currentShoppingList();
+  if (list.length === 0) { showToast('La lista de la compra está vacía'); return; }
+  const text = window.shoppingList.formatShoppingListText(list, getMealPlan(currentUser.id)?.checked || {});
+  downloadFile('lista-de-la-compra.txt', text, 'text/plain;charset=utf-8');
+}
 
-    return `
-      <div class="user-item">
-        <div class="user-photo">${photoHtml}</div>
-        <div class="user-info">
-          <div class="user-name">${user.fullName}</div>
-          <div class="user-username">@${user.username}</div>
-        </div>
-        <button class="${buttonClass}" onclick="sendFriendRequest('${user.id}')" ${isFriend || status === 'pending' ? 'disabled' : ''}>
-          ${buttonText}
-        </button>
-      </div>`;
-  }).join('');
+// Descarga un texto como archivo (enlace temporal con un Blob).
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Algunos navegadores empiezan la descarga después del click: si se revoca ya, se cancela.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// Envía/crea una relación de amistad aceptada entre el usuario actual y el destino.
-async function sendFriendRequest(receiverId) {
-  const existingRequest = getFriendships().find(f =>
-    (f.requesterId === currentUser.id && f.receiverId === receiverId) ||
-    (f.requesterId === receiverId && f.receiverId === currentUser.id)
-  );
-  if (existingRequest) { showToast('Ya existe una solicitud con este usuario'); return; }
+// Imprime solo la lista (ver @media print en styles.css).
+function printShoppingList() {
+  document.body.classList.add('print-shopping-list');
+  window.print();
+  document.body.classList.remove('print-shopping-list');
+}
 
-  const result = await window.dataSdk.create({
-    id: generateId(), type: 'friendship',
-    requesterId: currentUser.id, receiverId: receiverId,
-    status: 'accepted', timestamp: new Date().toISOString()
-  });
-  if (result.isOk) showToast('¡Ahora son amigos!');
-  else showToast('Error al enviar la solicitud');
+// PLANNER DOCK: panel flotante en timeline/receta/perfil como destino de arrastre.
+function updatePlannerDock() {
+  const dock = document.getElementById('plannerDock');
+  const visible = Boolean(currentUser) && ['timeline', 'recipe', 'profile'].includes(currentPage);
+  dock.classList.toggle('hidden', !visible);
+  const grid = document.getElementById('plannerDockGrid');
+  grid.classList.toggle('hidden', !plannerDockOpen);
+  if (visible && plannerDockOpen) setHtml(grid, plannerGridHtml({ compact: true }));
 }
+function setPlannerDockOpen(open) {
+  plannerDockOpen = open;
+  updatePlannerDock();
+}
+
+// DRAG & DROP: de la imagen de una tarjeta a un hueco del plan.
+document.addEventListener('dragstart', (e) => {
+  const handle = e.target.closest?.('[data-drag-recipe]');
+  if (!handle) return;
+  e.dataTransfer.setData('text/plain', handle.dataset.dragRecipe);
+  e.dataTransfer.effectAllowed = 'copy';
+  if (!plannerDockOpen) setPlannerDockOpen(true);
+});
+document.addEventListener('dragover', (e) => {
+  const slot = e.target.closest?.('.planner-slot');
+  if (!slot) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  slot.classList.add('drag-over');
+});
+document.addEventListener('dragleave', (e) => {
+  const slot = e.target.closest?.('.planner-slot');
+  if (slot && !slot.contains(e.relatedTarget)) slot.classList.remove('drag-over');
+});
+document.addEventListener('drop', (e) => {
+  const slot = e.target.closest?.('.planner-slot');
+  if (!slot) return;
+  e.preventDefault();
+  slot.classList.remove('drag-over');
+  const recipeId = e.dataTransfer.getData('text/plain');
+  if (recipeId) addRecipeToPlan(slot.dataset.slot, recipeId);
+});
 
 // Messages
-// MESSAGES: lista de conversaciones con amigos (vista izquierda).
-function renderConversations() {
+// Último mensaje y no leídos por amigo. Se guardan entre repintados para que un diff de mensajes
+// solo recalcule las conversaciones que toca (ver onMessagesChanged).
+let conversationSummaries = new Map();
+
+function conversationSummary(friendId) {
+  if (!conversationSummaries.has(friendId)) {
+    conversationSummaries.set(friendId, {
+      lastMessage: getConversationMessages(currentUser.id, friendId, { limit: 1, dir: 'desc' })[0] || null,
+      unread: countUnreadMessages(friendId)
+    });
+  }
+  return conversationSummaries.get(friendId);
+}
+
+/*
+  MESSAGES: lista de conversaciones con amigos (vista izquierda).
+  - changedFriendIds: amigos cuyas conversaciones cambiaron; sin él se recalculan todas.
+*/
+function renderConversations(changedFriendIds = null) {
+  if (changedFriendIds) changedFriendIds.forEach(id => conversationSummaries.delete(id));
+  else conversationSummaries = new Map();
   const friends = getUserFriends(currentUser.id);
   const conversationsList = document.getElementById('conversationsList');
 
+  // Si la amistad con el chat abierto dejó de existir, se cierra la conversación.
+  if (selectedChatUser && !friends.some(f => f.id === selectedChatUser.id)) closeChat();
+
   if (friends.length === 0) {
-    conversationsList.innerHTML = `
+    setHtml(conversationsList, html`
       <div class="empty-state">
         <div class="empty-state-icon">💬</div>
         <div class="empty-state-text">No tienes amigos aún</div>
         <div class="empty-state-subtext">Busca usuarios para agregar</div>
-      </div>`;
+      </div>`);
     return;
   }
 
-  conversationsList.innerHTML = friends.map(friend => {
-    const messages = getMessages().filter(m =>
-      (m.fromUserId === currentUser.id && m.toUserId === friend.id) ||
-      (m.fromUserId === friend.id && m.toUserId === currentUser.id)
-    );
-    const lastMessage = messages[messages.length - 1];
-    const preview = lastMessage ? lastMessage.messageText.substring(0, 30) + '...' : 'Envía un mensaje';
+  // Con actividad más reciente primero; los amigos sin mensajes, al final por nombre.
+  const conversations = friends.map(friend => ({ friend, ...conversationSummary(friend.id) })).sort((a, b) => (b.lastMessage?.timestamp || '').localeCompare(a.lastMessage?.timestamp || '') || a.friend.fullName.localeCompare(b.friend.fullName));
 
-    const photoHtml = friend.profilePhoto && String(friend.profilePhoto).startsWith('data:') ? `<img src="${friend.profilePhoto}" alt="${friend.fullName}" />` : '';
+  setHtml(conversationsList, conversations.map(({ friend, lastMessage, unread }) => {
+    const preview = lastMessage
+      ? `${lastMessage.fromUserId === currentUser.id ? 'Tú: ' : ''}${lastMessage.messageText}` // el CSS pone la elipsis si no cabe
+      : 'Envía un mensaje';
 
-    return `
-      <div class="conversation-item ${selectedChatUser?.id === friend.id ? 'active' : ''}" onclick="selectChat('${friend.id}')">
-        <div class="conversation-photo">${photoHtml}</div>
+    return html`
+      <div class="conversation-item ${selectedChatUser?.id === friend.id ? 'active' : ''} ${unread ? 'unread' : ''}" data-action="select-chat" data-id="${friend.id}">
+        <div class="conversation-photo">${avatarHtml(friend, 'fullName')}</div>
         <div class="conversation-info">
           <div class="conversation-name">${friend.fullName}</div>
           <div class="conversation-preview">${preview}</div>
         </div>
+        <div class="conversation-meta">
+          ${lastMessage ? html`<span class="conversation-time" title="${formatDateTime(lastMessage.timestamp)}">${formatRelativeTime(lastMessage.timestamp)}</span>` : ''}
+          ${unread ? html`<span class="conversation-unread">${unread > 99 ? '99+' : unread}</span>` : ''}
+        </div>
       </div>`;
-  }).join('');
+  }));
+}
+
+/*
+  UNREAD MESSAGES: un mensaje está sin leer hasta que su destinatario abre la conversación
+  (readAt). El remitente ve entonces "Visto" bajo su último mensaje leído.
+*/
+function getUnreadMessages(fromUserId) {
+  return window.dataSdk.query({ where: { type: 'message', fromUserId, toUserId: currentUser.id }, filter: m => !m.readAt });
+}
+function countUnreadMessages(fromUserId) {
+  return window.dataSdk.count({ where: { type: 'message', fromUserId, toUserId: currentUser.id }, filter: m => !m.readAt });
+}
+// Total de no leídos de amigos (los de ex-amigos no se pueden abrir, así que no cuentan).
+function countAllUnreadMessages() {
+  const friendIds = getUserFriends(currentUser.id).map(f => f.id);
+  if (friendIds.length === 0) return 0;
+  return window.dataSdk.count({ where: { type: 'message', toUserId: currentUser.id, fromUserId: friendIds }, filter: m => !m.readAt });
+}
+function renderMessagesBadge() {
+  const badge = document.getElementById('messagesBadge');
+  const unread = currentUser ? countAllUnreadMessages() : 0;
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+  badge.classList.toggle('hidden', unread === 0);
+}
+
+/*
+  Los mensajes del usuario con sesión (enviados y recibidos) llegan por dataSdk.subscribe:
+  sus diffs repintan el badge, la lista de conversaciones y, si le afectan, el chat abierto,
+  sin pasar por el repintado completo de dataHandler.onDataChanged.
+*/
+let messagesWatch = null; // { userId, unsubscribe }
+
+function watchMessages() {
+  const userId = currentUser?.id || null;
+  if (messagesWatch?.userId === userId) return;
+  messagesWatch?.unsubscribe();
+  messagesWatch = null;
+  conversationSummaries = new Map();
+  if (userId) {
+    const where = [{ type: 'message', fromUserId: userId }, { type: 'message', toUserId: userId }];
+    messagesWatch = { userId, unsubscribe: window.dataSdk.subscribe({ where }, onMessagesChanged) };
+  }
+}
+function onMessagesChanged(diff) {
+  if (!currentUser) return;
+  renderMessagesBadge();
+  if (currentPage !== 'messages') return;
+  // Los borrados solo traen el id: entonces se recalculan todas las conversaciones y el chat.
+  const changed = diff.added.concat(diff.updated);
+  const otherUser = m => (m.fromUserId === currentUser.id ? m.toUserId : m.fromUserId);
+  renderConversations(diff.removed.length ? null : new Set(changed.map(otherUser)));
+  if (!selectedChatUser) return;
+  // En el chat abierto se ven los mensajes nuevos y el "Visto" de los enviados; que se lean
+  // los recibidos (readAt) no cambia nada a la vista.
+  const chatId = selectedChatUser.id;
+  const touchesChat = diff.removed.length > 0
+    || diff.added.some(m => otherUser(m) === chatId)
+    || diff.updated.some(m => m.fromUserId === currentUser.id && m.toUserId === chatId);
+  if (!touchesChat) return;
+  renderChat(selectedChatUser);
+  // Lo que llega con el chat abierto se lee al momento (con una pasada en curso, al terminarla).
+  if (readPasses.has(chatId)) readPasses.get(chatId).rerun = true;
+  else if (countUnreadMessages(chatId)) markConversationRead(chatId);
+}
+
+// Pasadas de markConversationRead en curso, por amigo: { rerun } pide otra al terminar.
+const readPasses = new Map();
+
+// Marca como leídos los mensajes recibidos de un amigo (solo si el chat está a la vista).
+// Cada modify avisa a la suscripción de mensajes; si mientras tanto llegan mensajes nuevos no se
+// empieza otra pasada en paralelo (que volvería a recorrer los mismos): se repite una al acabar.
+async function markConversationRead(userId) {
+  if (document.visibilityState === 'hidden') return;
+  const running = readPasses.get(userId);
+  if (running) { running.rerun = true; return; }
+  const pass = { rerun: true };
+  readPasses.set(userId, pass);
+  try {
+    while (pass.rerun && document.visibilityState !== 'hidden') {
+      pass.rerun = false;
+      const readAt = new Date().toISOString();
+      for (const message of getUnreadMessages(userId)) {
+        await window.dataSdk.modify(message.id, latest => (latest.readAt ? null : { ...latest, readAt }));
+      }
+    }
+    await markNotificationRead(window.notificationCenter.notificationId('message', { actorId: userId, userId: currentUser.id }));
+  } finally {
+    readPasses.delete(userId);
+  }
 }
 
 // Selecciona un amigo y muestra el chat correspondiente.
 function selectChat(userId) {
-  const user = getUsers().find(u => u.id === userId);
+  const user = getUser(userId);
   if (!user) return;
   selectedChatUser = user;
   renderChat(user);
   document.getElementById('chatHeader').classList.remove('hidden');
   document.getElementById('chatInputContainer').classList.remove('hidden');
 
-  const items = document.querySelectorAll('.conversation-item');
-  items.forEach(item => item.classList.remove('active'));
+  document.querySelectorAll('.conversation-item').forEach(item => item.classList.toggle('active', item.dataset.id === userId));
+  // Abrir la conversación marca sus mensajes (y su aviso) como leídos.
+  markConversationRead(userId);
+}
+
+// Cierra la conversación activa y oculta cabecera/entrada del chat.
+function closeChat() {
+  selectedChatUser = null;
+  if (isRoute('/messages/:userId')) replaceRoute('/messages');
+  document.getElementById('chatHeader').classList.add('hidden');
+  document.getElementById('chatInputContainer').classList.add('hidden');
+  setHtml(document.getElementById('chatMessages'), '');
 }
 
 // RENDER CHAT: muestra el historial con el usuario seleccionado y hace autoscroll.
 function renderChat(user) {
-  document.getElementById('chatUserPhoto').innerHTML = (user.profilePhoto && String(user.profilePhoto).startsWith('data:')) ? `<img src="${user.profilePhoto}" alt="${user.fullName}" />` : '';
+  setHtml(document.getElementById('chatUserPhoto'), avatarHtml(user, 'fullName'));
   document.getElementById('chatUserName').textContent = user.fullName;
 
-  const messages = getMessages().filter(m =>
-    (m.fromUserId === currentUser.id && m.toUserId === user.id) ||
-    (m.fromUserId === user.id && m.toUserId === currentUser.id)
-  );
+  const messages = getConversationMessages(currentUser.id, user.id);
 
   const chatMessages = document.getElementById('chatMessages');
   if (messages.length === 0) {
-    chatMessages.innerHTML = `
+    setHtml(chatMessages, html`
       <div class="empty-state">
         <div class="empty-state-icon">💬</div>
         <div class="empty-state-text">No hay mensajes aún</div>
         <div class="empty-state-subtext">Envía el primer mensaje</div>
-      </div>`;
+      </div>`);
     return;
   }
 
-  chatMessages.innerHTML = messages.map(msg => {
+  // "Visto" solo bajo el último mensaje enviado que el otro ya leyó; "Enviado" si el último aún no.
+  const sent = messages.filter(msg => msg.fromUserId === currentUser.id);
+  const lastSent = sent[sent.length - 1];
+  const lastSeen = [...sent].reverse().find(msg => msg.readAt);
+  let previousDay = null;
+
+  setHtml(chatMessages, messages.map(msg => {
     const isSent = msg.fromUserId === currentUser.id;
-    return `<div class="message ${isSent ? 'sent' : 'received'}">${msg.messageText}</div>`;
-  }).join('');
+    const day = formatDayLabel(msg.timestamp);
+    const separator = day !== previousDay ? html`<div class="chat-day-separator"><span>${day}</span></div>` : '';
+    previousDay = day;
+    let receipt = '';
+    if (msg === lastSeen) receipt = html`<div class="message-receipt" title="${formatDateTime(msg.readAt)}">Visto ${formatRelativeTime(msg.readAt)}</div>`;
+    else if (msg === lastSent) receipt = html`<div class="message-receipt">Enviado</div>`;
+    return html`
+      ${separator}
+      <div class="message ${isSent ? 'sent' : 'received'}">
+        ${msg.messageText}
+        <span class="message-time" title="${formatDateTime(msg.timestamp)}">${formatTime(msg.timestamp)}</span>
+      </div>
+      ${receipt}`;
+  }));
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
@@ -790,35 +5656,157 @@ document.getElementById('sendMessageBtn').addEventListener('click', async () =>
   const input = document.getElementById('chatInput');
   const messageText = input.value.trim();
   if (!messageText || !selectedChatUser) return;
+  if (!areFriends(currentUser.id, selectedChatUser.id)) { showToast('Solo puedes escribir a tus amigos'); return; }
 
   const sendBtn = document.getElementById('sendMessageBtn');
   sendBtn.disabled = true; sendBtn.textContent = 'Enviando...';
 
+  const messageId = generateId();
+  const toUserId = selectedChatUser.id;
   const result = await window.dataSdk.create({
-    id: generateId(), type: 'message',
-    fromUserId: currentUser.id, toUserId: selectedChatUser.id,
+    id: messageId, type: 'message',
+    fromUserId: currentUser.id, toUserId,
     messageText, timestamp: new Date().toISOString()
   });
 
   sendBtn.disabled = false; sendBtn.textContent = 'Enviar';
-  if (result.isOk) { input.value = ''; renderChat(selectedChatUser); renderConversations(); }
-  else showToast('Error al enviar el mensaje');
+  if (!result.isOk) { showToast('Error al enviar el mensaje'); return; }
+  input.value = ''; // el chat y la lista se repintan desde la suscripción (onMessagesChanged)
+  await sendNotification('message', toUserId, { messageId, excerpt: messageText });
 });
 
 document.getElementById('chatInput').addEventListener('keypress', (e) => {
   if (e.key === 'Enter') document.getElementById('sendMessageBtn').click();
 });
+// Volver a la pestaña con un chat abierto lee lo que llegó mientras estaba oculta.
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && currentPage === 'messages' && selectedChatUser) markConversationRead(selectedChatUser.id);
+});
+
+// EVENT DELEGATION: acciones de los elementos renderizados dinámicamente (sin onclick en línea).
+const clickActions = {
+  'toggle-like': el => toggleLike(el.dataset.id),
+  'rate-recipe': el => rateRecipe(el.dataset.id, Number(el.dataset.stars)),
+  'open-cook-log': el => openCookLogModal(el.dataset.id),
+  'delete-cook-log': el => deleteCookLog(el.dataset.id),
+  'focus-comment': el => focusComment(el.dataset.id),
+  'reply-comment': el => openCommentForm(el.dataset.id, 'reply'),
+  'start-edit-comment': el => openCommentForm(el.dataset.id, 'edit'),
+  'cancel-comment-form': () => {
+    const comment = getComment(editingCommentId || replyingToCommentId);
+    if (comment) closeCommentForms(comment.recipeId);
+  },
+  'delete-comment': el => deleteComment(el.dataset.id),
+  'toggle-comment-like': el => toggleCommentLike(el.dataset.id),
+  'pick-mention': el => pickMention(el),
+  'open-user': el => openUserProfile(el.dataset.id),
+  'open-notification': el => openNotification(el.dataset.id),
+  'mark-all-notifications-read': () => markAllNotificationsRead(),
+  'delete-recipe': el => deleteRecipe(el.dataset.id),
+  'send-friend-request': el => sendFriendRequest(el.dataset.id),
+  'accept-friend-request': el => respondFriendRequest(el.dataset.id, true),
+  'decline-friend-request': el => respondFriendRequest(el.dataset.id, false),
+  'cancel-friend-request': el => cancelFriendRequest(el.dataset.id),
+  'remove-friend': el => removeFriend(el.dataset.id),
+  'select-chat': el => navigate(`/messages/${encodeURIComponent(el.dataset.id)}`),
+  'go-home': () => navigate('/'),
+  'timeline-feed': el => navigate(timelineRoute(el.dataset.feed, timelineOrder)),
+  'load-more-recipes': () => loadMoreTimeline(),
+  'add-ingredient-row': () => addIngredientRow().querySelector('input').focus(),
+  'add-step-row': () => addStepRow().querySelector('textarea').focus(),
+  'remove-editor-row': el => removeEditorRow(el),
+  'edit-recipe': el => {
+    const recipe = getRecipe(el.dataset.id);
+    if (recipe && recipe.authorId === currentUser.id) openRecipeModal(recipe);
+  },
+  'recipe-history': el => openRecipeHistory(el.dataset.id),
+  'share-recipe': el => openShareRecipeModal(el.dataset.id),
+  'download-recipe-jsonld': () => downloadRecipeJsonLd(),
+  'download-recipe-markdown': () => downloadRecipeMarkdown(),
+  'copy-recipe-markdown': () => copyRecipeMarkdown(),
+  'copy-recipe-link': () => copyRecipeLink(),
+  'print-recipe': () => printRecipe(),
+  'import-recipe-text': () => importRecipeText(),
+  'search-tab': el => setSearchTab(el.dataset.tab),
+  'profile-tab': el => setProfileTab(el.dataset.tab),
+  'export-account': () => exportAccount(),
+  'open-delete-account': () => openDeleteAccountModal(),
+  'dismiss-storage-alert': () => document.getElementById('storageAlert').classList.add('hidden'),
+  'save-recipe': el => saveRecipe(el.dataset.id),
+  'unsave-recipe': async el => {
+    const recipeId = el.dataset.id || savingRecipeId;
+    if (!el.dataset.id) closeSaveRecipeModal();
+    await unsaveRecipe(recipeId);
+  },
+  'open-collection': el => { openCollectionId = el.dataset.id; renderProfile(); },
+  'close-collection': () => { openCollectionId = null; renderProfile(); },
+  'rename-collection': el => renameCollection(el.dataset.id),
+  'delete-collection': el => deleteCollection(el.dataset.id),
+  'remove-pantry-item': el => removePantryItem(Number(el.dataset.index)),
+  'remove-plan-entry': el => removePlanEntry(el.dataset.slot, Number(el.dataset.index)),
+  'clear-meal-plan': () => clearMealPlan(),
+  'toggle-planner-dock': () => setPlannerDockOpen(!plannerDockOpen),
+  'export-shopping-list': () => exportShoppingList(),
+  'print-shopping-list': () => printShoppingList(),
+  'restore-recipe-revision': el => restoreRecipeRevision(el.dataset.id, Number(el.dataset.index)),
+  'scale-servings': el => {
+    const recipe = getRecipe(el.dataset.id);
+    if (!recipe) return;
+    const current = getRecipeScaleState(window.recipeModel.normalizeRecipe(recipe)).servings;
+    updateRecipeScale(el.dataset.id, { servings: current + Number(el.dataset.delta) });
+  }
+};
+const changeActions = {
+  'timeline-order': el => navigate(timelineRoute(timelineFeed, el.value)),
+  'convert-units': el => updateRecipeScale(el.dataset.id, { system: el.value }),
+  'plan-add-recipe': el => { if (el.value) addRecipeToPlan(el.dataset.slot, el.value); },
+  'toggle-shopping-item': el => toggleShoppingItem(el.dataset.key, el.checked),
+  'toggle-recipe-collection': el => toggleRecipeCollection(el.dataset.id, el.checked),
+  'collection-visibility': el => setCollectionVisibility(el.dataset.id, el.value)
+};
+const submitActions = {
+  'add-comment': (el, e) => addComment(e, el.dataset.id),
+  'edit-comment': (el, e) => editComment(e, el.dataset.id)
+};
+document.addEventListener('click', (e) => {
+  const el = e.target.closest('[data-action]');
+  if (!el || ['FORM', 'SELECT', 'INPUT'].includes(el.tagName) || !clickActions[el.dataset.action]) return;
+  clickActions[el.dataset.action](el, e);
+});
+document.addEventListener('change', (e) => {
+  const el = e.target.closest('[data-action]');
+  if (!el || !changeActions[el.dataset.action]) return;
+  changeActions[el.dataset.action](el, e);
+});
+document.addEventListener('submit', (e) => {
+  const el = e.target.closest('form[data-action]');
+  if (!el || !submitActions[el.dataset.action]) return;
+  e.preventDefault();
+  submitActions[el.dataset.action](el, e);
+});
+
+// SEARCH: la búsqueda se actualiza mientras se escribe o se cambian filtros.
+['searchInput', 'filterInclude', 'filterExclude', 'filterMaxTime'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => renderSearchResults());
+});
+document.getElementById('searchInput').addEventListener('input', () => syncSearchRoute());
+document.getElementById('filterAuthor').addEventListener('change', () => renderSearchResults());
 
 // Nav buttons
 // NAV BUTTONS: navegación principal del header.
-document.getElementById('logoBtn').addEventListener('click', () => showPage('timeline'));
-document.getElementById('homeBtn').addEventListener('click', () => showPage('timeline'));
-document.getElementById('searchBtn').addEventListener('click', () => showPage('search'));
-document.getElementById('messagesBtn').addEventListener('click', () => showPage('messages'));
-document.getElementById('profileBtn').addEventListener('click', () => showPage('profile'));
-document.getElementById('logoutBtn').addEventListener('click', () => {
-  currentUser = null; selectedChatUser = null; showPage('auth'); showToast('Sesión cerrada');
+document.getElementById('logoBtn').addEventListener('click', () => navigate('/'));
+document.getElementById('homeBtn').addEventListener('click', () => navigate('/'));
+document.getElementById('searchBtn').addEventListener('click', () => navigate('/search'));
+document.getElementById('pantryBtn').addEventListener('click', () => navigate('/pantry'));
+document.getElementById('plannerBtn').addEventListener('click', () => navigate('/planner'));
+document.getElementById('messagesBtn').addEventListener('click', () => navigate('/messages'));
+document.getElementById('profileBtn').addEventListener('click', () => navigate('/profile'));
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  await endSession();
+  currentUser = null; selectedChatUser = null; navigate('/login'); showToast('Sesión cerrada');
 });
+// Atrás/Adelante del navegador o un enlace #/... escrito a mano.
+window.addEventListener('hashchange', () => handleRoute());
 
 // Init
 // Punto de entrada: inicia la app una vez cargado el script.
@@ -869,7 +5857,7 @@ function readAndResizeImage(file, maxDimension = 1200, quality = 0.85) {
 
 // Nueva función: borrar receta (solo autor)
 async function deleteRecipe(recipeId) {
-  const recipe = allData.find(r => r.id === recipeId && r.type === 'recipe');
+  const recipe = getRecipe(recipeId);
   if (!recipe) { showToast('Receta no encontrada'); return; }
   if (recipe.authorId !== currentUser.id) { showToast('No puedes eliminar esta receta'); return; }
 
@@ -878,6 +5866,11 @@ async function deleteRecipe(recipeId) {
 
   const result = await window.dataSdk.delete(recipeId);
   if (result.isOk) {
+    // Sus comentarios, valoraciones, "lo cociné" y avisos ya no se pueden ver: se borran también.
+    for (const record of window.dataSdk.query({ where: { type: ['comment', 'rating', 'cooklog'], recipeId } })) {
+      await window.dataSdk.delete(record.id);
+    }
+    await removeNotificationsFor('recipeId', recipeId);
     showToast('Receta eliminada');
     // dataSdk.notify via delete -> dataHandler actualizará la vista automáticamente
   } else {
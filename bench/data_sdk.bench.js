@@ -0,0 +1,149 @@
+/*
+  Benchmark de dataSdk con 10.000 recetas y 50.000 mensajes.
+  Ejecutar con: npm run bench   (tarda unos minutos; usa jsdom y el adaptador IndexedDB sobre fake-indexeddb)
+
+  Compara el filtrado del array completo (como hacían getRecipes/getMessages antes de la API de
+  consultas) con query() y sus índices, y mide cuánto cuesta una escritura de mensaje ahora que
+  la lista de conversaciones y el chat se repintan desde subscribe() en vez de repintar toda la página.
+
+  Resultados (Node 20, jsdom 24, un núcleo; mediana de 5 ejecuciones en ms, 3 para "array completo"):
+    carga inicial (60.100 registros)  3144 ms
+    recetas ordenadas        array completo   76.77 | query   13.66
+    recetas de un autor      array completo    4.79 | query    0.58
+    chat de 1.000 mensajes   array completo   14.03 | query    3.30
+    conversaciones (49)      array completo  567.87 | query  149.14
+    no leídos (badge)        array completo    8.12 | query   50.00
+    mensaje recibido con el chat abierto    740.49
+    mensaje recibido en el timeline          47.31 (repintar el timeline: 59.38)
+
+  - "array completo" parte de una copia ya hecha; antes cada cambio clonaba además los 60.000 registros.
+  - El badge recorre todos los mensajes recibidos (readAt no tiene índice): es lo único más lento.
+  - Con el chat abierto casi todo es pintar las 1.000 burbujas en jsdom (~600 ms con renderChat);
+    la lista de conversaciones solo recalcula la del remitente.
+  - En el timeline un mensaje ya no repinta la página: solo se actualiza el badge.
+*/
+const { IDBFactory } = require("fake-indexeddb");
+const { bootApp, settle } = require("../test/helpers/app_dom.js");
+
+const USERS = 50;
+const RECIPES = 10000;
+const MESSAGES = 50000;
+const VIEWER = "u0";
+
+function buildRecords() {
+  const t0 = Date.parse("2025-01-01T00:00:00Z");
+  const at = ms => new Date(t0 + ms).toISOString();
+  const records = [];
+  for (let i = 0; i < USERS; i++) {
+    records.push({ id: `u${i}`, type: "user", username: `user${i}`, fullName: `Usuario ${i}`, bio: "", profilePhoto: "", timestamp: at(0) });
+    if (i > 0) records.push({ id: `f${i}`, type: "friendship", requesterId: VIEWER, receiverId: `u${i}`, status: "accepted", timestamp: at(0) });
+  }
+  for (let i = 0; i < RECIPES; i++) {
+    records.push({
+      id: `r${i}`, type: "recipe", recipeTitle: `Receta ${i}`, recipeDescription: "",
+      recipeIngredients: [{ quantity: 100, unit: "g", name: "harina" }], recipeSteps: ["Mezclar"], recipeServings: 2,
+      recipeImage: "🍲", authorId: `u${i % USERS}`, likes: 0, likedBy: [], visibility: "friends", timestamp: at(i * 60000)
+    });
+  }
+  for (let i = 0; i < MESSAGES; i++) {
+    const friend = `u${1 + (i % (USERS - 1))}`;
+    const outgoing = i % 2 === 0;
+    records.push({
+      id: `m${i}`, type: "message", fromUserId: outgoing ? VIEWER : friend, toUserId: outgoing ? friend : VIEWER,
+      messageText: `hola ${i}`, readAt: at(i * 1000), timestamp: at(i * 1000)
+    });
+  }
+  return records;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+function time(fn, runs = 5) {
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    fn();
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return median(samples);
+}
+async function timeAsync(fn, runs = 5) {
+  const samples = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await fn(i);
+    samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return median(samples);
+}
+const ms = n => n.toFixed(2).padStart(7);
+
+// Espera a que la app haya arrancado y pintado el timeline.
+async function bootReady(options) {
+  const booted = bootApp(options);
+  while (booted.window.eval("typeof currentPage === 'undefined' || currentPage !== 'timeline'")) await settle(50);
+  return booted;
+}
+
+async function main() {
+  // Primer arranque: la migración de la clave antigua de localStorage llena la base IndexedDB.
+  const indexedDB = new IDBFactory();
+  const seeded = await bootReady({ records: buildRecords(), session: VIEWER, storageQuota: 1e9, indexedDB });
+  seeded.window.close();
+
+  const start = process.hrtime.bigint();
+  const { window, errors } = await bootReady({ session: VIEWER, indexedDB });
+  const loadMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const sdk = window.dataSdk;
+  console.log(`carga inicial (${sdk.count({}).toLocaleString("es-ES")} registros)  ${loadMs.toFixed(0)} ms`);
+
+  // El array completo, como lo recorrían los helpers antes de query().
+  const all = sdk.query({});
+  const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+  const friends = Array.from({ length: USERS - 1 }, (_, i) => `u${i + 1}`);
+  const conversation = (list, a, b) => list.filter(m => m.type === "message" && ((m.fromUserId === a && m.toUserId === b) || (m.fromUserId === b && m.toUserId === a)));
+
+  const rows = [
+    ["recetas ordenadas",
+      () => all.filter(r => r.type === "recipe").sort(byDate),
+      () => window.getRecipes()],
+    ["recetas de un autor",
+      () => all.filter(r => r.type === "recipe" && r.authorId === "u3").sort(byDate).slice(0, 20),
+      () => sdk.query({ where: { type: "recipe", authorId: "u3" }, sort: { field: "timestamp", dir: "desc" }, limit: 20 })],
+    ["chat de 1.000 mensajes",
+      () => conversation(all, VIEWER, "u7").sort(byDate),
+      () => window.getConversationMessages(VIEWER, "u7")],
+    ["conversaciones (49)",
+      () => friends.map(f => conversation(all, VIEWER, f).sort(byDate)[0]),
+      () => friends.map(f => window.getConversationMessages(VIEWER, f, { limit: 1, dir: "desc" })[0])],
+    ["no leídos (badge)",
+      () => all.filter(m => m.type === "message" && m.toUserId === VIEWER && friends.includes(m.fromUserId) && !m.readAt).length,
+      () => window.countAllUnreadMessages()]
+  ];
+  for (const [label, legacy, indexed] of rows) {
+    console.log(`${label.padEnd(24)} array completo ${ms(time(legacy, 3))} | query ${ms(time(indexed))}`);
+  }
+
+  // Escrituras: un mensaje nuevo de u7 con su chat abierto y con el timeline a la vista.
+  const incoming = i => ({ id: `bench_${Date.now()}_${i}`, type: "message", fromUserId: "u7", toUserId: VIEWER, messageText: "nuevo", timestamp: new Date().toISOString() });
+  window.navigate("/messages/u7");
+  await settle();
+  const chatMs = await timeAsync(async i => { await sdk.create(incoming(i)); });
+  console.log(`mensaje recibido con el chat abierto   ${ms(chatMs)}`);
+
+  window.navigate("/");
+  await settle();
+  const timelineMs = await timeAsync(async i => { await sdk.create(incoming(100 + i)); });
+  const fullRenderMs = time(() => window.renderTimeline());
+  console.log(`mensaje recibido en el timeline        ${ms(timelineMs)} (repintar el timeline: ${fullRenderMs.toFixed(2)})`);
+
+  if (errors.length) console.error("errores de script:", errors.map(err => err.message));
+  window.close();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
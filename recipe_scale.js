@@ -0,0 +1,155 @@
+/*
+  YourRecipe — recipe_scale.js
+  ----------------------------
+  Escalado de raciones y conversión de unidades (métrico/imperial), sin DOM.
+  Se carga antes que app.js (expone window.recipeScale) y también se puede requerir desde Node
+  para las pruebas unitarias (test/recipe_scale.test.js).
+*/
+(function (root) {
+  // Factores a la unidad base de cada magnitud (masa -> g, volumen -> ml).
+  const MASS = { mg: 0.001, g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+  const VOLUME = { ml: 1, cl: 10, l: 1000, cdta: 5, cda: 15, "fl oz": 29.5735, taza: 240 };
+  const METRIC_UNITS = ["mg", "g", "kg", "ml", "cl", "l"];
+  const IMPERIAL_UNITS = ["oz", "lb", "fl oz", "taza", "cda", "cdta"];
+  // Unidades que no tienen sentido fraccionar (se redondean a enteros, mínimo 1).
+  const WHOLE_UNITS = ["pizca", "diente", "lata", "rebanada"];
+
+  function roundTo(n, step) { return Math.round(n / step) * step; }
+
+  /*
+    Redondea una cantidad a un valor "de cocina" según su unidad:
+    - g / ml: enteros por debajo de 100, de 5 en 5 hasta 500 y de 10 en 10 después.
+    - kg / l: de 0,05 en 0,05.
+    - oz / fl oz: de 0,25 en 0,25; lb: de 0,05 en 0,05.
+    - tazas, cucharadas y unidades sueltas: fracciones de 1/8, 1/4 o 1/2 según el tamaño.
+    - pizcas, dientes, latas…: enteros (mínimo 1).
+  */
+  function roundForKitchen(quantity, unit = "") {
+    if (quantity === null || quantity === undefined || !Number.isFinite(quantity)) return quantity;
+    if (quantity <= 0) return 0;
+    if (WHOLE_UNITS.includes(unit)) return Math.max(1, Math.round(quantity));
+    if (unit === "g" || unit === "ml") {
+      if (quantity < 10) return Math.max(roundTo(quantity, 0.5), 0.5);
+      if (quantity < 100) return Math.round(quantity);
+      if (quantity < 500) return roundTo(quantity, 5);
+      return roundTo(quantity, 10);
+    }
+    if (unit === "mg" || unit === "cl") return Math.max(1, Math.round(quantity));
+    if (unit === "kg" || unit === "l" || unit === "lb") return Math.max(roundTo(quantity, 0.05), 0.05);
+    if (unit === "oz" || unit === "fl oz") return Math.max(roundTo(quantity, 0.25), 0.25);
+    if (quantity < 1) return Math.max(roundTo(quantity, 1 / 8), 1 / 8);
+    if (quantity < 5) return roundTo(quantity, 1 / 4);
+    if (quantity < 10) return roundTo(quantity, 1 / 2);
+    return Math.round(quantity);
+  }
+
+  // Multiplica las cantidades por un factor (las filas sin cantidad, p. ej. "Sal al gusto", no cambian).
+  function scaleIngredients(rows, factor) {
+    return rows.map(row => {
+      if (row.quantity === null || row.quantity === undefined || !Number.isFinite(factor) || factor <= 0) return { ...row };
+      return { ...row, quantity: row.quantity * factor };
+    });
+  }
+
+  // Elige la unidad métrica más legible para una cantidad en g/ml.
+  function toMetric(base, dimension) {
+    if (dimension === "mass") return base >= 1000 ? { quantity: base / 1000, unit: "kg" } : { quantity: base, unit: "g" };
+    return base >= 1000 ? { quantity: base / 1000, unit: "l" } : { quantity: base, unit: "ml" };
+  }
+  // Elige la unidad imperial más legible para una cantidad en g/ml.
+  function toImperial(base, dimension) {
+    if (dimension === "mass") {
+      const oz = base / MASS.oz;
+      return oz >= 16 ? { quantity: base / MASS.lb, unit: "lb" } : { quantity: oz, unit: "oz" };
+    }
+    if (base >= VOLUME.taza / 4) return { quantity: base / VOLUME.taza, unit: "taza" };
+    if (base >= VOLUME.cda) return { quantity: base / VOLUME.cda, unit: "cda" };
+    return { quantity: base / VOLUME.cdta, unit: "cdta" };
+  }
+
+  /*
+    Convierte una fila de ingrediente al sistema indicado:
+    - 'metric': oz/lb -> g/kg; tazas y fl oz -> ml/l (las cucharadas se mantienen).
+    - 'imperial': g/kg -> oz/lb; ml/l -> tazas/cucharadas/cucharaditas.
+    - 'original' (o unidad sin equivalencia): la fila no cambia.
+  */
+  function convertIngredient(row, system) {
+    if (row.quantity === null || row.quantity === undefined || system === "original") return { ...row };
+    const dimension = MASS[row.unit] !== undefined ? "mass" : VOLUME[row.unit] !== undefined ? "volume" : null;
+    if (!dimension) return { ...row };
+
+    if (system === "metric") {
+      if (METRIC_UNITS.includes(row.unit) || row.unit === "cda" || row.unit === "cdta") return { ...row };
+      const base = row.quantity * (dimension === "mass" ? MASS[row.unit] : VOLUME[row.unit]);
+      return { ...row, ...toMetric(base, dimension) };
+    }
+    if (system === "imperial") {
+      if (IMPERIAL_UNITS.includes(row.unit)) return { ...row };
+      const base = row.quantity * (dimension === "mass" ? MASS[row.unit] : VOLUME[row.unit]);
+      return { ...row, ...toImperial(base, dimension) };
+    }
+    return { ...row };
+  }
+
+  function celsiusToFahrenheit(c) { return c * 9 / 5 + 32; }
+  function fahrenheitToCelsius(f) { return (f - 32) * 5 / 9; }
+
+  /*
+    Convierte temperaturas escritas en un paso ("180 °C", "350°F", "200 grados")
+    al sistema indicado, redondeando de 5 en 5. "grados" sin escala se asume Celsius.
+  */
+  function convertTemperaturesInText(text, system) {
+    if (system !== "metric" && system !== "imperial") return text;
+    return String(text).replace(/(\d+(?:[.,]\d+)?)\s*(?:°\s*([CFcf])\b|º\s*([CFcf])\b|grados(?:\s+(celsius|centígrados|fahrenheit))?)/g,
+      (match, value, s1, s2, word) => {
+        const n = Number(value.replace(",", "."));
+        const scale = (s1 || s2 || (word && word.toLowerCase().startsWith("f") ? "F" : "C")).toUpperCase();
+        if (system === "imperial" && scale === "C") return `${roundTo(celsiusToFahrenheit(n), 5)} °F`;
+        if (system === "metric" && scale === "F") return `${roundTo(fahrenheitToCelsius(n), 5)} °C`;
+        return match;
+      });
+  }
+
+  /*
+    Aplica escalado + conversión + redondeo a los ingredientes y pasos de una receta normalizada.
+    - targetServings: raciones deseadas (si la receta no indica raciones se toma como multiplicador).
+    - system: 'original' | 'metric' | 'imperial'.
+  */
+  function scaleRecipe(recipe, targetServings, system = "original") {
+    const baseServings = recipe.recipeServings || 1;
+    const factor = targetServings > 0 ? targetServings / baseServings : 1;
+    const ingredients = scaleIngredients(recipe.recipeIngredients, factor)
+      .map(row => convertIngredient(row, system))
+      .map(row => ({ ...row, quantity: factor === 1 && system === "original" ? row.quantity : roundForKitchen(row.quantity, row.unit) }));
+    const steps = recipe.recipeSteps.map(step => convertTemperaturesInText(step, system));
+    return { ingredients, steps, factor };
+  }
+
+  // Cantidad en unidad base de su magnitud ({ dimension: 'mass' | 'volume', base }) o null si no es convertible.
+  function toBaseQuantity(quantity, unit) {
+    if (quantity === null || quantity === undefined) return null;
+    if (MASS[unit] !== undefined) return { dimension: "mass", base: quantity * MASS[unit] };
+    if (VOLUME[unit] !== undefined) return { dimension: "volume", base: quantity * VOLUME[unit] };
+    return null;
+  }
+  // Unidad base -> unidad legible del sistema indicado ({ quantity, unit }).
+  function fromBaseQuantity(base, dimension, system = "metric") {
+    return system === "imperial" ? toImperial(base, dimension) : toMetric(base, dimension);
+  }
+
+  /*
+    API pública: recipeScale
+    ------------------------
+    - scaleRecipe(recipe, servings, system): ingredientes y pasos listos para mostrar.
+    - scaleIngredients / convertIngredient / roundForKitchen / convertTemperaturesInText: piezas sueltas.
+    - toBaseQuantity / fromBaseQuantity: para sumar cantidades de unidades compatibles.
+  */
+  const recipeScale = {
+    scaleRecipe, scaleIngredients, convertIngredient, roundForKitchen,
+    convertTemperaturesInText, celsiusToFahrenheit, fahrenheitToCelsius,
+    toBaseQuantity, fromBaseQuantity
+  };
+  root.recipeScale = recipeScale;
+  // En Node (pruebas unitarias) también se exporta como módulo CommonJS.
+  if (typeof module !== "undefined" && module.exports) module.exports = recipeScale;
+})(typeof window !== "undefined" ? window : globalThis);
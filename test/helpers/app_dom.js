@@ -0,0 +1,69 @@
+// Arranca la app completa (index.html + recipe_scale.js + app.js) dentro de jsdom.
+// No contiene pruebas: la usan los *.test.js de test/ y bench/data_sdk.bench.js.
+const fs = require("node:fs");
+const path = require("node:path");
+const { webcrypto } = require("node:crypto");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const SCRIPTS = ["recipe_scale.js", "app.js"];
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8");
+}
+
+/*
+  bootApp({ records, session, url, storageQuota, indexedDB }) -> { window, errors }
+  - records: registros que ya están guardados al abrir la app (adaptador localStorage).
+  - session: id de usuario con la sesión iniciada (se guarda su token y, junto a 'records', su registro
+    'session').
+  - url: dirección inicial, p. ej. 'http://localhost/#/recipe/r1'.
+  - storageQuota: límite de localStorage en caracteres (jsdom trae 5 millones).
+  - indexedDB: fábrica IndexedDB (p. ej. de fake-indexeddb) para usar ese adaptador en vez de localStorage.
+    'records' llega entonces por la migración de la clave antigua; para volver a abrir la misma base
+    sin migrar, se arranca sin 'records'.
+  errors acumula los errores de script que jsdom haya visto (deben quedarse vacíos).
+*/
+function bootApp({ records = [], session = null, url = "http://localhost/", storageQuota, indexedDB } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", err => errors.push(err));
+
+  // Sin los <script> del HTML: Tailwind viene de un CDN y app.js se inyecta abajo.
+  const markup = read("index.html").replace(/<script\b[^>]*><\/script>/g, "");
+  const dom = new JSDOM(markup, { url, runScripts: "dangerously", pretendToBeVisual: true, virtualConsole, storageQuota });
+  const { window } = dom;
+
+  // Lo que jsdom no implementa y la app usa.
+  if (!window.crypto?.subtle) Object.defineProperty(window, "crypto", { value: webcrypto });
+  if (!window.CSS) window.CSS = { escape: value => String(value).replace(/[^\w-]/g, ch => "\\" + ch) };
+  window.Element.prototype.scrollIntoView = function () {};
+  window.scrollTo = () => {};
+  window.confirm = () => true;
+  window.alert = () => {};
+  if (indexedDB) window.indexedDB = indexedDB;
+
+  const stored = records.map(record => ({ schemaVersion: 3, rev: 1, ...record }));
+  if (session) {
+    if (stored.length) {
+      stored.push({ id: "s_test", type: "session", userId: session, schemaVersion: 3, rev: 1,
+        expiresAt: new Date(Date.now() + 3600e3).toISOString(), timestamp: new Date().toISOString() });
+    }
+    window.localStorage.setItem("yourrecipe_session", JSON.stringify({ token: "test" }));
+  }
+  if (stored.length) window.localStorage.setItem("yourrecipe_data", JSON.stringify(stored));
+
+  for (const file of SCRIPTS) {
+    const script = window.document.createElement("script");
+    script.textContent = read(file);
+    window.document.head.appendChild(script);
+  }
+  return { window, errors };
+}
+
+// Deja correr promesas y temporizadores pendientes (render tras dataSdk.init, navegación…).
+function settle(ms = 30) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { bootApp, settle };
@@ -0,0 +1,67 @@
+// Marcar como leída una conversación: una sola pasada aunque lleguen mensajes mientras tanto.
+// Ejecutar con: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bootApp, settle } = require("./helpers/app_dom.js");
+
+const UNREAD = 60;
+const now = Date.now();
+const at = i => new Date(now - (UNREAD - i) * 1000).toISOString();
+const RECORDS = [
+  { id: "u_ana", type: "user", username: "ana", fullName: "Ana", bio: "", profilePhoto: "", timestamp: at(0) },
+  { id: "u_luis", type: "user", username: "luis", fullName: "Luis", bio: "", profilePhoto: "", timestamp: at(0) },
+  { id: "f1", type: "friendship", requesterId: "u_ana", receiverId: "u_luis", status: "accepted", timestamp: at(0) },
+  ...Array.from({ length: UNREAD }, (_, i) => ({
+    id: `m${i}`, type: "message", fromUserId: "u_luis", toUserId: "u_ana", messageText: `hola ${i}`, timestamp: at(i)
+  }))
+];
+
+// Cuenta las llamadas a dataSdk.modify.
+function countModify(window) {
+  const calls = [];
+  const modify = window.dataSdk.modify;
+  window.dataSdk.modify = (id, ...rest) => { calls.push(id); return modify.call(window.dataSdk, id, ...rest); };
+  return calls;
+}
+
+async function until(condition, ms = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > ms) throw new Error("tiempo de espera agotado");
+    await settle(20);
+  }
+}
+
+test.describe("markConversationRead", () => {
+  test("abrir el chat marca cada mensaje una sola vez", async () => {
+    const { window, errors } = bootApp({ records: RECORDS, session: "u_ana", url: "http://localhost/#/" });
+    try {
+      await until(() => window.eval("currentPage === 'timeline'"));
+      const calls = countModify(window);
+      window.navigate("/messages/u_luis");
+      await until(() => window.countUnreadMessages("u_luis") === 0);
+      await settle(50);
+      assert.equal(calls.length, UNREAD);
+      assert.equal(new Set(calls).size, UNREAD);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("los mensajes que llegan durante la pasada se leen al terminarla, sin repetir los demás", async () => {
+    const { window, errors } = bootApp({ records: RECORDS, session: "u_ana", url: "http://localhost/#/" });
+    try {
+      await until(() => window.eval("currentPage === 'timeline'"));
+      const calls = countModify(window);
+      window.navigate("/messages/u_luis");
+      await until(() => calls.length > 0);
+      for (let i = 0; i < 3; i++) {
+        await window.dataSdk.create({ id: `nuevo${i}`, type: "message", fromUserId: "u_luis", toUserId: "u_ana", messageText: "otro", timestamp: new Date().toISOString() });
+      }
+      await until(() => window.countUnreadMessages("u_luis") === 0);
+      await settle(50);
+      assert.equal(calls.length, UNREAD + 3);
+      assert.equal(new Set(calls).size, UNREAD + 3);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+});
@@ -0,0 +1,32 @@
+// Editar el perfil: cambiar la privacidad no borra la foto.
+// Ejecutar con: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bootApp, settle } = require("./helpers/app_dom.js");
+
+const PHOTO = "data:image/png;base64,iVBORw0KGgo=";
+const now = new Date().toISOString();
+const RECORDS = [
+  { id: "u_ana", type: "user", username: "ana", fullName: "Ana", bio: "Hola", profilePhoto: PHOTO, timestamp: now }
+];
+
+test.describe("editar perfil", () => {
+  test("hacer la cuenta privada y ocultarla de la búsqueda conserva la foto de perfil", async () => {
+    const { window, errors } = bootApp({ records: RECORDS, session: "u_ana", url: "http://localhost/#/profile" });
+    await settle(80);
+    try {
+      const $ = id => window.document.getElementById(id);
+      $("editProfileBtn").click();
+      $("editPrivateAccount").checked = true;
+      $("editHiddenFromSearch").checked = true;
+      $("editProfileForm").dispatchEvent(new window.Event("submit", { cancelable: true }));
+      await settle(80);
+
+      const user = window.dataSdk.get("u_ana");
+      assert.equal(user.privateAccount, true);
+      assert.equal(user.hiddenFromSearch, true);
+      assert.equal(user.profilePhoto, PHOTO);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+});
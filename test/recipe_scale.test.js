@@ -0,0 +1,155 @@
+// Pruebas unitarias de recipe_scale.js (escalado de raciones y conversión de unidades).
+// Ejecutar con: npm test   (o node --test test/recipe_scale.test.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const recipeScale = require("../recipe_scale.js");
+
+const { scaleRecipe, scaleIngredients, roundForKitchen, convertIngredient, convertTemperaturesInText, toBaseQuantity, fromBaseQuantity } = recipeScale;
+
+function recipe(overrides = {}) {
+  return {
+    recipeServings: 4,
+    recipeIngredients: [
+      { quantity: 200, unit: "g", name: "harina" },
+      { quantity: 0.5, unit: "taza", name: "leche" },
+      { quantity: null, unit: "", name: "sal al gusto" },
+      { quantity: 1, unit: "pizca", name: "canela" },
+      { quantity: 3, unit: "", name: "huevos" }
+    ],
+    recipeSteps: ["Hornear a 180 °C durante 20 minutos"],
+    ...overrides
+  };
+}
+
+test.describe("scaleRecipe", () => {
+  test("escala las cantidades a las raciones pedidas", () => {
+    const { ingredients, factor } = scaleRecipe(recipe(), 6);
+    assert.equal(factor, 1.5);
+    assert.deepEqual(ingredients.map(row => row.quantity), [300, 0.75, null, 2, 4.5]);
+  });
+
+  test("con las mismas raciones y sistema original no toca las cantidades", () => {
+    const { ingredients, steps, factor } = scaleRecipe(recipe(), 4);
+    assert.equal(factor, 1);
+    assert.deepEqual(ingredients, recipe().recipeIngredients);
+    assert.deepEqual(steps, recipe().recipeSteps);
+  });
+
+  test("sin raciones en la receta toma las raciones pedidas como multiplicador", () => {
+    const { factor, ingredients } = scaleRecipe(recipe({ recipeServings: null }), 3);
+    assert.equal(factor, 3);
+    assert.equal(ingredients[0].quantity, 600);
+  });
+
+  test("raciones no válidas dejan el factor en 1", () => {
+    assert.equal(scaleRecipe(recipe(), 0).factor, 1);
+    assert.equal(scaleRecipe(recipe(), -2).factor, 1);
+  });
+
+  test("no modifica la receta original", () => {
+    const original = recipe();
+    scaleRecipe(original, 8, "imperial");
+    assert.deepEqual(original, recipe());
+  });
+
+  test("convierte también las temperaturas de los pasos", () => {
+    assert.deepEqual(scaleRecipe(recipe(), 4, "imperial").steps, ["Hornear a 355 °F durante 20 minutos"]);
+  });
+});
+
+test.describe("scaleIngredients", () => {
+  test("las filas sin cantidad no cambian", () => {
+    assert.deepEqual(scaleIngredients([{ quantity: null, unit: "", name: "sal" }], 2), [{ quantity: null, unit: "", name: "sal" }]);
+  });
+
+  test("un factor no válido deja las cantidades como estaban", () => {
+    const rows = [{ quantity: 2, unit: "", name: "huevos" }];
+    assert.deepEqual(scaleIngredients(rows, NaN), rows);
+    assert.deepEqual(scaleIngredients(rows, 0), rows);
+  });
+});
+
+test.describe("fracciones y redondeo de cocina", () => {
+  test("tazas, cucharadas y unidades sueltas se redondean a fracciones de 1/8, 1/4 y 1/2", () => {
+    assert.equal(roundForKitchen(0.3, "taza"), 0.25);
+    assert.equal(roundForKitchen(0.4, "cda"), 0.375);
+    assert.equal(roundForKitchen(0.05, ""), 1 / 8);
+    assert.equal(roundForKitchen(2.6, "taza"), 2.5);
+    assert.equal(roundForKitchen(1 / 3 * 2, ""), 0.625);
+    assert.equal(roundForKitchen(7.3, ""), 7.5);
+    assert.equal(roundForKitchen(12.4, ""), 12);
+  });
+
+  test("gramos y mililitros se redondean según su tamaño", () => {
+    assert.equal(roundForKitchen(3.2, "g"), 3);
+    assert.equal(roundForKitchen(0.1, "ml"), 0.5);
+    assert.equal(roundForKitchen(47.6, "g"), 48);
+    assert.equal(roundForKitchen(123, "g"), 125);
+    assert.equal(roundForKitchen(734, "ml"), 730);
+  });
+
+  test("kg, l, lb, oz y fl oz usan pasos fijos con un mínimo", () => {
+    assert.equal(roundForKitchen(1.234, "kg"), 1.25);
+    assert.equal(roundForKitchen(0.01, "l"), 0.05);
+    assert.equal(roundForKitchen(2.1, "oz"), 2);
+    assert.equal(roundForKitchen(0.05, "fl oz"), 0.25);
+  });
+
+  test("pizcas, dientes y latas son enteros (mínimo 1)", () => {
+    assert.equal(roundForKitchen(0.3, "pizca"), 1);
+    assert.equal(roundForKitchen(2.5, "diente"), 3);
+    assert.equal(roundForKitchen(1.4, "lata"), 1);
+  });
+
+  test("cantidades vacías, nulas o no positivas", () => {
+    assert.equal(roundForKitchen(null, "g"), null);
+    assert.equal(roundForKitchen(undefined, "g"), undefined);
+    assert.equal(roundForKitchen(0, "g"), 0);
+    assert.equal(roundForKitchen(-3, "g"), 0);
+  });
+});
+
+test.describe("conversión métrico/imperial", () => {
+  test("imperial -> métrico", () => {
+    assert.deepEqual(convertIngredient({ quantity: 1, unit: "lb", name: "carne" }, "metric"), { quantity: 453.592, unit: "g", name: "carne" });
+    assert.deepEqual(convertIngredient({ quantity: 2, unit: "taza", name: "leche" }, "metric"), { quantity: 480, unit: "ml", name: "leche" });
+    assert.deepEqual(convertIngredient({ quantity: 40, unit: "oz", name: "harina" }, "metric").unit, "kg");
+  });
+
+  test("métrico -> imperial", () => {
+    assert.deepEqual(convertIngredient({ quantity: 100, unit: "g", name: "queso" }, "imperial").unit, "oz");
+    assert.deepEqual(convertIngredient({ quantity: 1, unit: "kg", name: "harina" }, "imperial").unit, "lb");
+    assert.deepEqual(convertIngredient({ quantity: 500, unit: "ml", name: "caldo" }, "imperial"), { quantity: 500 / 240, unit: "taza", name: "caldo" });
+    assert.deepEqual(convertIngredient({ quantity: 30, unit: "ml", name: "aceite" }, "imperial"), { quantity: 2, unit: "cda", name: "aceite" });
+    assert.deepEqual(convertIngredient({ quantity: 5, unit: "ml", name: "vainilla" }, "imperial"), { quantity: 1, unit: "cdta", name: "vainilla" });
+  });
+
+  test("las cucharadas se mantienen en métrico y las unidades sin equivalencia no cambian", () => {
+    assert.deepEqual(convertIngredient({ quantity: 2, unit: "cda", name: "azúcar" }, "metric"), { quantity: 2, unit: "cda", name: "azúcar" });
+    assert.deepEqual(convertIngredient({ quantity: 2, unit: "lata", name: "tomate" }, "imperial"), { quantity: 2, unit: "lata", name: "tomate" });
+    assert.deepEqual(convertIngredient({ quantity: 200, unit: "g", name: "arroz" }, "original"), { quantity: 200, unit: "g", name: "arroz" });
+  });
+
+  test("escalar y convertir a la vez redondea en la unidad de destino", () => {
+    const { ingredients } = scaleRecipe(recipe(), 8, "imperial");
+    assert.deepEqual(ingredients[0], { quantity: 14, unit: "oz", name: "harina" });
+    assert.deepEqual(ingredients[1], { quantity: 1, unit: "taza", name: "leche" });
+  });
+
+  test("temperaturas en pasos", () => {
+    assert.equal(convertTemperaturesInText("Hornear a 180 °C", "imperial"), "Hornear a 355 °F");
+    assert.equal(convertTemperaturesInText("Precalentar a 350°F", "metric"), "Precalentar a 175 °C");
+    assert.equal(convertTemperaturesInText("Subir a 200 grados", "imperial"), "Subir a 390 °F");
+    assert.equal(convertTemperaturesInText("Hornear a 180 °C", "metric"), "Hornear a 180 °C");
+    assert.equal(convertTemperaturesInText("Hornear a 180 °C", "original"), "Hornear a 180 °C");
+  });
+
+  test("cantidades base para sumar unidades compatibles", () => {
+    assert.deepEqual(toBaseQuantity(2, "kg"), { dimension: "mass", base: 2000 });
+    assert.deepEqual(toBaseQuantity(1, "taza"), { dimension: "volume", base: 240 });
+    assert.equal(toBaseQuantity(1, "lata"), null);
+    assert.equal(toBaseQuantity(null, "g"), null);
+    assert.deepEqual(fromBaseQuantity(1500, "mass"), { quantity: 1.5, unit: "kg" });
+    assert.deepEqual(fromBaseQuantity(15, "volume", "imperial"), { quantity: 1, unit: "cda" });
+  });
+});
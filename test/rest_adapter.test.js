@@ -0,0 +1,165 @@
+// Adaptador REST de dataSdk (createRestAdapter) contra _sdk/mock_server.js: cola sin conexión,
+// reintentos, conflictos de revisión y lo que el servidor nunca devuelve.
+// Ejecutar con: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bootApp, settle } = require("./helpers/app_dom.js");
+const server = require("../_sdk/mock_server.js");
+
+let api;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  api = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+async function until(condition, ms = 8000) {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > ms) throw new Error("tiempo de espera agotado");
+    await settle(20);
+  }
+}
+
+// Petición directa a la API, como haría otro cliente.
+async function call(method, path, { body, rev } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (rev !== undefined) headers["If-Match"] = String(rev);
+  const response = await fetch(api + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+/*
+  Abre la app en jsdom y crea un adaptador REST con caché en localStorage.
+  fetch pasa por network: log guarda "MÉTODO /ruta" de cada petición y fault(method, path) puede
+  devolver una respuesta o lanzar (sin conexión) en vez de llegar al servidor.
+*/
+async function openAdapter() {
+  const { window, errors } = bootApp();
+  await until(() => window.eval("typeof currentPage !== 'undefined' && currentPage === 'auth'"));
+  const network = { log: [], fault: null };
+  window.fetch = async (url, init = {}) => {
+    const method = init.method || "GET";
+    const path = new URL(url).pathname.replace(/^\/api/, "");
+    const response = network.fault && network.fault(method, path);
+    if (response) return response;
+    network.log.push({ request: `${method} ${path}`, at: Date.now() });
+    return fetch(url, init);
+  };
+  const { createRestAdapter, createLocalStorageAdapter } = window.storageAdapters;
+  const local = createLocalStorageAdapter("rest_test_cache");
+  const adapter = createRestAdapter({ baseUrl: api, local });
+  const states = [];
+  adapter.onStatus = status => states.push(status.state);
+  return { window, errors, adapter, local, network, states };
+}
+
+function message(id, rev = 1, text = "hola") {
+  return { id, type: "message", fromUserId: "u1", toUserId: "u2", messageText: text, rev, timestamp: new Date().toISOString() };
+}
+
+test.describe("createRestAdapter", () => {
+  test("sin conexión encola las escrituras y al volver la conexión las reenvía en orden", async () => {
+    const { window, errors, adapter, local, network, states } = await openAdapter();
+    try {
+      network.fault = () => { throw new TypeError("Failed to fetch"); };
+      await adapter.put(message("q1"), 0);
+      await adapter.put(message("q2"), 0);
+      await adapter.put(message("q3"), 0);
+      await adapter.put(message("q1", 2, "editado"), 1); // se fusiona con el 'put' pendiente de q1
+      assert.deepEqual({ ...adapter.status() }, { mode: "remote", state: "offline", pending: 3 });
+      assert.equal((await local.get("q1")).messageText, "editado");
+      assert.equal((await call("GET", "/records/q1")).status, 404);
+
+      network.fault = null;
+      window.dispatchEvent(new window.Event("online"));
+      await until(() => adapter.status().pending === 0);
+      assert.deepEqual(network.log.map(entry => entry.request), ["PUT /records/q1", "PUT /records/q2", "PUT /records/q3"]);
+      const { body: q1 } = await call("GET", "/records/q1");
+      assert.equal(q1.rev, 2);
+      assert.equal(q1.messageText, "editado");
+      assert.equal((await call("GET", "/records/q3")).status, 200);
+      assert.deepEqual(states.slice(-2), ["syncing", "online"]);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("un error 5xx se reintenta con espera creciente hasta que el servidor responde", async () => {
+    const { window, errors, adapter, network, states } = await openAdapter();
+    try {
+      const attempts = [];
+      network.fault = (method, path) => {
+        if (method !== "PUT" || path !== "/records/r5") return null;
+        attempts.push(Date.now());
+        return attempts.length <= 2 ? new Response(JSON.stringify({ error: "unavailable" }), { status: 503 }) : null;
+      };
+      await adapter.put(message("r5"), 0);
+      assert.equal(adapter.status().pending, 1);
+      await until(() => adapter.status().pending === 0);
+      assert.equal(attempts.length, 3);
+      assert.ok(attempts[2] - attempts[1] > attempts[1] - attempts[0], "la segunda espera es más larga");
+      assert.equal((await call("GET", "/records/r5")).status, 200);
+      assert.equal(states.at(-1), "online");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("un 409 (If-Match con otra revisión) da conflicto y la caché se queda con la del servidor", async () => {
+    const { window, errors, adapter, local } = await openAdapter();
+    try {
+      const changed = [];
+      adapter.onExternalChange = id => changed.push(id);
+      await adapter.put(message("c1"), 0);
+      // Otro cliente escribe antes la revisión 2.
+      assert.equal((await call("PUT", "/records/c1", { body: message("c1", 2, "del otro"), rev: 1 })).status, 200);
+
+      await assert.rejects(adapter.put(message("c1", 2, "mío"), 1), err => err.code === "conflict");
+      assert.equal((await local.get("c1")).messageText, "del otro");
+      assert.deepEqual(changed, ["c1"]);
+      assert.equal(adapter.status().pending, 0);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("las sesiones no salen del navegador y el servidor no devuelve credenciales", async () => {
+    const { window, errors, adapter, network } = await openAdapter();
+    try {
+      const user = {
+        id: "u_cred", type: "user", username: "cred", fullName: "Cred", rev: 1, timestamp: new Date().toISOString(),
+        passwordHash: "ab".repeat(32), passwordSalt: "cd".repeat(16), passwordIterations: 1000
+      };
+      assert.equal((await call("PUT", "/records/u_cred", { body: user })).status, 200);
+      const session = { id: "s_local", type: "session", userId: "u_cred", rev: 1, timestamp: new Date().toISOString() };
+      await adapter.put(session, 0);
+      assert.deepEqual(network.log, [], "la sesión no se envía");
+      assert.equal((await call("PUT", "/records/s_other", { body: { ...session, id: "s_other" } })).status, 403);
+
+      const { status, body: list } = await call("GET", "/records");
+      assert.equal(status, 200);
+      assert.ok(list.some(record => record.id === "u_cred"));
+      assert.equal(list.filter(record => record.type === "session").length, 0);
+      for (const record of list) {
+        assert.equal(record.passwordHash, undefined);
+        assert.equal(record.passwordSalt, undefined);
+      }
+      assert.equal((await call("GET", "/records/u_cred")).body.passwordHash, undefined);
+
+      // Al rehacer la caché con el servidor se conserva la sesión local.
+      const cached = await adapter.loadAll();
+      assert.ok(cached.some(record => record.id === "s_local"));
+      assert.equal(cached.find(record => record.id === "u_cred").passwordHash, undefined);
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("DELETE /api/records (toda la colección) se rechaza con 405", async () => {
+    assert.equal((await call("PUT", "/records/d1", { body: message("d1") })).status, 200);
+    assert.equal((await call("DELETE", "/records")).status, 405);
+    assert.equal((await call("GET", "/records/d1")).status, 200);
+  });
+});
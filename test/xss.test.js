@@ -0,0 +1,172 @@
+// Contenido hostil en cada vista: nada se ejecuta ni se convierte en marcado.
+// Ejecutar con: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bootApp, settle } = require("./helpers/app_dom.js");
+
+// Etiqueta con manejador, cierre de atributo con comillas dobles/simples y <script>.
+const TAG = "<img src=x onerror=\"pwn()\">";
+const BREAKOUT = "\" onmouseover=\"pwn()\" data-pwned=\"1";
+const SINGLE = "'><svg onload=pwn()>";
+const SCRIPT = "<script>pwn()</script>";
+const PAYLOAD = `${TAG}${BREAKOUT}${SINGLE}${SCRIPT}`;
+const JS_URL = "javascript:pwn()";
+const PHOTO_BREAKOUT = "data:image/png;base64,AA\" onerror=\"pwn()";
+const EVIL_NAME = `evil${TAG}`;
+
+const now = new Date().toISOString();
+const RECORDS = [
+  { id: "u_ana", type: "user", username: "ana", fullName: "Ana", bio: "", profilePhoto: "", timestamp: now },
+  { id: "u_evil", type: "user", username: EVIL_NAME, fullName: PAYLOAD, bio: PAYLOAD, profilePhoto: PHOTO_BREAKOUT, timestamp: now },
+  { id: "f_evil", type: "friendship", requesterId: "u_evil", receiverId: "u_ana", status: "accepted", timestamp: now },
+  {
+    id: "r_evil", type: "recipe", recipeTitle: `Tarta ${PAYLOAD}`, recipeDescription: PAYLOAD,
+    recipeIngredients: `200 g ${PAYLOAD}\n${JS_URL}`, recipeSteps: `1. ${PAYLOAD}\n2. ${JS_URL}`,
+    recipeImage: JS_URL, authorId: "u_evil", authorName: EVIL_NAME, likes: 0, likedBy: [], visibility: "public", timestamp: now
+  },
+  {
+    id: "r_photo", type: "recipe", recipeTitle: "Foto rota", recipeDescription: "", recipeIngredients: "Pan", recipeSteps: "Tostar",
+    recipeImage: PHOTO_BREAKOUT, authorId: "u_evil", likes: 0, likedBy: [], visibility: "public", timestamp: now
+  },
+  { id: "c_evil", type: "comment", recipeId: "r_evil", authorId: "u_evil", text: `@ana ${PAYLOAD}`, mentions: ["u_ana"], likes: 0, likedBy: [], timestamp: now },
+  { id: "c_reply", type: "comment", recipeId: "r_evil", authorId: "u_evil", parentId: "c_evil", text: JS_URL, mentions: [], likes: 0, likedBy: [], timestamp: now },
+  { id: "cook_evil", type: "cooklog", recipeId: "r_evil", userId: "u_evil", notes: PAYLOAD, photo: PHOTO_BREAKOUT, timestamp: now },
+  { id: "m_evil", type: "message", fromUserId: "u_evil", toUserId: "u_ana", messageText: PAYLOAD, timestamp: now },
+  { id: "m_link", type: "message", fromUserId: "u_evil", toUserId: "u_ana", messageText: JS_URL, timestamp: now },
+  { id: "n_comment", type: "notification", userId: "u_ana", actorId: "u_evil", kind: "mention", recipeId: "r_evil", commentId: "c_evil", read: false, excerpt: PAYLOAD, timestamp: now },
+  { id: "n_message", type: "notification", userId: "u_ana", actorId: "u_evil", kind: "message", read: false, excerpt: PAYLOAD, timestamp: now }
+];
+
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction", "xlink:href", "srcset", "poster"];
+
+// Comprueba que en el documento no hay marcado inyectado y que pwn() no se ha llamado.
+function assertInert(window, view) {
+  const { document } = window;
+  assert.equal(window.pwnCalls, 0, `${view}: se ejecutó código`);
+  assert.equal(document.body.querySelectorAll("script, svg, iframe, object, embed").length, 0, `${view}: hay etiquetas inyectadas`);
+  for (const el of document.body.querySelectorAll("*")) {
+    for (const attr of el.attributes) {
+      assert.ok(!/^on/i.test(attr.name), `${view}: atributo ${attr.name} en <${el.localName}>`);
+      assert.notEqual(attr.name, "data-pwned", `${view}: se rompió un atributo de <${el.localName}>`);
+      if (URL_ATTRIBUTES.includes(attr.name)) {
+        assert.ok(!/^\s*javascript:/i.test(attr.value), `${view}: URL javascript: en <${el.localName} ${attr.name}>`);
+      }
+    }
+  }
+}
+
+// El contenido hostil se ve tal cual, como texto.
+function assertShownAsText(element, text, view) {
+  assert.ok(element.textContent.includes(text), `${view}: no aparece el texto literal`);
+}
+
+async function openApp(hash) {
+  const { window, errors } = bootApp({ records: RECORDS, session: "u_ana", url: `http://localhost/${hash}` });
+  window.pwnCalls = 0;
+  window.pwn = () => { window.pwnCalls++; };
+  await settle(80);
+  return { window, errors, $: id => window.document.getElementById(id) };
+}
+
+test.describe("contenido hostil en las vistas", () => {
+  test("tarjetas del timeline", async () => {
+    const { window, errors, $ } = await openApp("#/");
+    try {
+      const card = $("timelinePage").querySelector('.recipe-card[data-recipe-id="r_evil"]');
+      assert.ok(card, "la receta del amigo aparece en el timeline");
+      assertShownAsText(card, PAYLOAD, "timeline");
+      assert.ok($("timelinePage").querySelector('.recipe-card[data-recipe-id="r_photo"]'));
+      assertInert(window, "timeline");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("página de receta con sus comentarios y «lo cociné»", async () => {
+    const { window, errors, $ } = await openApp("#/recipe/r_evil");
+    try {
+      const detail = $("recipeDetail");
+      assertShownAsText(detail, `Tarta ${PAYLOAD}`, "receta");
+      assertShownAsText(detail, JS_URL, "pasos");
+      for (const details of detail.querySelectorAll("details")) details.open = true;
+      const comments = detail.querySelectorAll("[data-comment-id], .comment");
+      assert.ok(comments.length >= 2, "se muestran el comentario y su respuesta");
+      assertShownAsText(detail, PAYLOAD.slice(0, 30), "comentarios");
+      assertInert(window, "receta");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("chat y lista de conversaciones", async () => {
+    const { window, errors, $ } = await openApp("#/messages/u_evil");
+    try {
+      assertShownAsText($("chatMessages"), PAYLOAD, "chat");
+      assertShownAsText($("chatMessages"), JS_URL, "chat");
+      assertShownAsText($("chatUserName"), PAYLOAD, "cabecera del chat");
+      assertShownAsText($("conversationsList"), PAYLOAD, "conversaciones");
+      assertInert(window, "chat");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("búsqueda de usuarios y de recetas", async () => {
+    const { window, errors, $ } = await openApp("#/search?q=evil");
+    try {
+      assertShownAsText($("searchPage"), EVIL_NAME, "búsqueda de usuarios");
+      assertInert(window, "búsqueda de usuarios");
+
+      window.navigate(`/search?q=${encodeURIComponent("tarta")}&tab=recipes`);
+      await settle();
+      assertShownAsText($("searchPage"), `Tarta ${PAYLOAD}`, "búsqueda de recetas");
+      assertInert(window, "búsqueda de recetas");
+
+      // La propia consulta también se pinta (campo y mensaje de «sin resultados»).
+      window.navigate(`/search?q=${encodeURIComponent(PAYLOAD)}&tab=recipes`);
+      await settle();
+      assert.equal($("searchInput").value, PAYLOAD);
+      assertInert(window, "consulta hostil");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("perfil público", async () => {
+    const { window, errors, $ } = await openApp(`#/user/${encodeURIComponent(EVIL_NAME)}`);
+    try {
+      assertShownAsText($("profileUsername"), EVIL_NAME, "perfil");
+      assertShownAsText($("profileBio"), PAYLOAD, "biografía");
+      assertShownAsText($("profilePage"), `Tarta ${PAYLOAD}`, "recetas del perfil");
+      assertInert(window, "perfil");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("centro de avisos", async () => {
+    const { window, errors, $ } = await openApp("#/");
+    try {
+      $("notificationsBtn").click();
+      await settle();
+      const list = $("notificationsList");
+      assert.equal(list.querySelectorAll('[data-action="open-notification"]').length, 2);
+      assertShownAsText(list, EVIL_NAME, "avisos");
+      assertInert(window, "avisos");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+
+  test("los eventos delegados siguen funcionando con ids hostiles", async () => {
+    const hostileId = `r"'><img src=x onerror=pwn()>`;
+    const records = RECORDS.map(record => (record.id === "r_evil" ? { ...record, id: hostileId } : record));
+    const { window, errors } = bootApp({ records, session: "u_ana", url: "http://localhost/#/" });
+    window.pwnCalls = 0;
+    window.pwn = () => { window.pwnCalls++; };
+    await settle(80);
+    try {
+      const like = [...window.document.querySelectorAll('[data-action="toggle-like"]')].find(btn => btn.dataset.id === hostileId);
+      assert.ok(like, "el botón conserva el id literal");
+      like.click();
+      await settle();
+      assert.deepEqual([...window.dataSdk.get(hostileId).likedBy], ["u_ana"]);
+      assertInert(window, "ids hostiles");
+      assert.deepEqual(errors, []);
+    } finally { window.close(); }
+  });
+});